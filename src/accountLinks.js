@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+import { createJsonStore } from './store.js';
+
+// No 0/O or 1/I, so codes can be typed from a screenshot
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function generateCode() {
+  const bytes = crypto.randomBytes(8);
+  const chars = [...bytes].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+// Links between Discord users and NXOLand accounts, plus the pending one-time /link codes.
+// This is a local cache of what the backend confirmed through account.linked events.
+export function createAccountLinkStore({ fileName = 'account-links.json', codeTtlMs = 10 * 60 * 1000 } = {}) {
+  const store = createJsonStore(fileName, { codes: {}, links: {} });
+
+  function pruneCodes() {
+    const now = Date.now();
+    for (const [code, pending] of Object.entries(store.data.codes)) {
+      if (new Date(pending.expiresAt).getTime() < now) delete store.data.codes[code];
+    }
+  }
+
+  return {
+    // Issue a one-time code for a Discord user, replacing any earlier code of theirs
+    createCode(discordId) {
+      pruneCodes();
+      for (const [code, pending] of Object.entries(store.data.codes)) {
+        if (pending.discordId === discordId) delete store.data.codes[code];
+      }
+      const code = generateCode();
+      const expiresAt = new Date(Date.now() + codeTtlMs).toISOString();
+      store.data.codes[code] = { discordId, expiresAt };
+      store.save();
+      return { code, expiresAt };
+    },
+
+    // Use up a code. Returns the Discord user it was issued to, or null if unknown/expired.
+    consumeCode(code) {
+      pruneCodes();
+      const key = String(code).trim().toUpperCase();
+      const pending = store.data.codes[key];
+      if (!pending) return null;
+      delete store.data.codes[key];
+      store.save();
+      return pending.discordId;
+    },
+
+    link(discordId, { userId, username = null, verifiedSeller = false }) {
+      // An NXOLand account is linked to one Discord user at a time
+      for (const [otherId, link] of Object.entries(store.data.links)) {
+        if (otherId !== discordId && link.userId === String(userId)) delete store.data.links[otherId];
+      }
+      store.data.links[discordId] = {
+        userId: String(userId),
+        username,
+        verifiedSeller: Boolean(verifiedSeller),
+        linkedAt: store.data.links[discordId]?.linkedAt || new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+      store.save();
+      return { discordId, ...store.data.links[discordId] };
+    },
+
+    unlink(discordId) {
+      const link = store.data.links[discordId];
+      if (!link) return null;
+      delete store.data.links[discordId];
+      store.save();
+      return { discordId, ...link };
+    },
+
+    getByDiscordId(discordId) {
+      const link = store.data.links[discordId];
+      return link ? { discordId, ...link } : null;
+    },
+
+    getByUserId(userId) {
+      if (userId === undefined || userId === null) return null;
+      const entry = Object.entries(store.data.links).find(([, link]) => link.userId === String(userId));
+      return entry ? { discordId: entry[0], ...entry[1] } : null;
+    },
+
+    count() {
+      return Object.keys(store.data.links).length;
+    },
+  };
+}
@@ -0,0 +1,97 @@
+import crypto from 'crypto';
+import { createJsonStore } from './store.js';
+
+// Check a saved search against a listing snapshot: category, price range and keywords
+// (every keyword must appear in the title or description, case-insensitive).
+export function matchesSearch(search, listing) {
+  if (search.category && search.category !== listing.category) return false;
+
+  const price = parseFloat(listing.price);
+  if (search.min_price != null && !(price >= search.min_price)) return false;
+  if (search.max_price != null && !(price <= search.max_price)) return false;
+
+  if (search.keywords?.length > 0) {
+    const text = `${listing.title || ''} ${listing.description || ''}`.toLowerCase();
+    if (!search.keywords.every(keyword => text.includes(keyword.toLowerCase()))) return false;
+  }
+
+  return true;
+}
+
+// Parse a keyword option: comma separated, or space separated when no commas are used
+export function parseKeywords(input) {
+  if (!input) return [];
+  const parts = input.includes(',') ? input.split(',') : input.split(/\s+/);
+  return parts.map(keyword => keyword.trim()).filter(Boolean).slice(0, 10);
+}
+
+// Per-user saved searches for DM alerts, with opt-out and per-user rate limiting
+export function createAlertStore({ fileName = 'alerts.json', maxSearches = 10, maxPerHour = 10 } = {}) {
+  const store = createJsonStore(fileName, { users: {} });
+
+  function userFor(userId) {
+    if (!store.data.users[userId]) {
+      store.data.users[userId] = { optedOut: false, searches: [], sent: [] };
+    }
+    return store.data.users[userId];
+  }
+
+  return {
+    maxSearches,
+
+    list(userId) {
+      return store.data.users[userId]?.searches || [];
+    },
+
+    add(userId, search) {
+      const user = userFor(userId);
+      if (user.searches.length >= maxSearches) {
+        throw new Error(`You can have at most ${maxSearches} alerts. Remove one with /alerts remove first.`);
+      }
+      const saved = { id: crypto.randomBytes(3).toString('hex'), ...search, createdAt: new Date().toISOString() };
+      user.searches.push(saved);
+      store.save();
+      return saved;
+    },
+
+    remove(userId, searchId) {
+      const user = store.data.users[userId];
+      if (!user) return false;
+      const before = user.searches.length;
+      user.searches = user.searches.filter(search => search.id !== searchId);
+      store.save();
+      return user.searches.length < before;
+    },
+
+    setOptedOut(userId, optedOut) {
+      userFor(userId).optedOut = optedOut;
+      store.save();
+    },
+
+    isOptedOut(userId) {
+      return Boolean(store.data.users[userId]?.optedOut);
+    },
+
+    // Users with at least one saved search matching the listing, with the matching search
+    findMatches(listing) {
+      const matches = [];
+      for (const [userId, user] of Object.entries(store.data.users)) {
+        if (user.optedOut) continue;
+        const search = user.searches.find(saved => matchesSearch(saved, listing));
+        if (search) matches.push({ userId, search });
+      }
+      return matches;
+    },
+
+    // Take one alert from the user's hourly budget. Returns false when the user is rate limited.
+    consume(userId) {
+      const user = userFor(userId);
+      const hourAgo = Date.now() - 60 * 60 * 1000;
+      user.sent = user.sent.filter(timestamp => timestamp > hourAgo);
+      if (user.sent.length >= maxPerHour) return false;
+      user.sent.push(Date.now());
+      store.save();
+      return true;
+    },
+  };
+}
@@ -0,0 +1,35 @@
+import crypto from 'crypto';
+import { createJsonStore } from './store.js';
+import { logger } from './logger.js';
+
+// Append-only record of changes made through the admin API (who, when, what), newest first.
+// Every entry is also written to the log. Only the last maxEntries are kept.
+export function createAuditLog({ fileName = 'admin-audit.json', maxEntries = 1000 } = {}) {
+  const store = createJsonStore(fileName, { entries: [] });
+
+  return {
+    // { action, target, actor, ip, details } - details holds the request body or changed fields
+    record({ action, target = null, actor = 'admin', ip = null, details = {} }) {
+      const entry = {
+        id: crypto.randomUUID(),
+        at: new Date().toISOString(),
+        action,
+        target,
+        actor,
+        ip,
+        details,
+      };
+      store.data.entries.unshift(entry);
+      store.data.entries.length = Math.min(store.data.entries.length, maxEntries);
+      store.save();
+      logger.info(`📝 Admin ${action}${target ? ` ${target}` : ''} by ${actor}`, { audit_id: entry.id, action, target, actor, ip });
+      return entry;
+    },
+
+    list({ limit = 100, action = null } = {}) {
+      return store.data.entries
+        .filter(entry => !action || entry.action === action)
+        .slice(0, limit);
+    },
+  };
+}
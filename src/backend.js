@@ -0,0 +1,50 @@
+import { createSignatureHeaders } from './webhookAuth.js';
+
+// Client for callbacks to the Laravel API. Requests are signed with the webhook secret
+// using the same HMAC scheme the bot verifies on incoming webhooks.
+export function createBackendClient({ baseUrl, secret, timeoutMs = 10000 }) {
+  async function request(method, path, body = undefined) {
+    const absolute = /^https?:\/\//.test(path);
+    if (!absolute && !baseUrl) {
+      throw new Error('Backend API is not configured. Set LARAVEL_API_URL in .env');
+    }
+
+    const url = absolute ? path : `${baseUrl.replace(/\/$/, '')}${path}`;
+    const rawBody = body === undefined ? '' : JSON.stringify(body);
+    const headers = {
+      Accept: 'application/json',
+      ...(rawBody && { 'Content-Type': 'application/json' }),
+      ...(secret && createSignatureHeaders(secret, rawBody)),
+    };
+
+    const response = await fetch(url, {
+      method,
+      headers,
+      body: rawBody || undefined,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      data = { message: text };
+    }
+
+    if (!response.ok) {
+      const error = new Error(data?.message || data?.error || `Backend responded with ${response.status}`);
+      error.status = response.status;
+      error.data = data;
+      throw error;
+    }
+
+    return data;
+  }
+
+  return {
+    isConfigured: () => Boolean(baseUrl),
+    get: (path) => request('GET', path),
+    post: (path, body = {}) => request('POST', path, body),
+  };
+}
@@ -0,0 +1,1565 @@
+import { ChannelType, PermissionFlagsBits, Status } from 'discord.js';
+import { createDeliveryQueue } from './deliveryQueue.js';
+import { createIdempotencyStore } from './idempotency.js';
+import { createListingMessageStore } from './listingMessages.js';
+import { createDisputeThreadStore, formatDisputeThreadName, getDisputeStatusLabel } from './disputeThreads.js';
+import { createBackendClient } from './backend.js';
+import { registerCommands, registerGuildCommands, createInteractionHandler } from './commands/index.js';
+import { createEvidenceCollector } from './evidence.js';
+import { createTranscriptArchive } from './transcriptArchive.js';
+import { createCategoryRegistry, legacyEnvVar, categoryLabel } from './categories.js';
+import { createGuildRouter } from './routing.js';
+import { createAlertStore } from './alerts.js';
+import { createListingWatchStore } from './listingWatchers.js';
+import { buildListingActionRow } from './commands/listingActions.js';
+import { t, isolate, resolveLocale, formatPrice, formatDate, DEFAULT_LOCALE, DISPLAY_TIMEZONE } from './i18n.js';
+import { createUserLocaleStore } from './userLocales.js';
+import { createAccountLinkStore } from './accountLinks.js';
+import { addRoleMembersToThread } from './staff.js';
+import { createDisputeSlaScheduler } from './disputeSla.js';
+import { createListingBatcher } from './listingBatches.js';
+import { createListingIndex } from './listingIndex.js';
+import { createAuditLog } from './auditLog.js';
+import { createEventRegistry } from './eventRegistry.js';
+import { createOrderStore, createOrderNotifier, ORDER_EVENTS } from './orders.js';
+import { validateEvent, createValidationError } from './schemas.js';
+import { createTemplateRegistry, renderEmbed, mergeTemplate, PREVIEW_SAMPLES } from './templates.js';
+import { logger } from './logger.js';
+import { registry as metricsRegistry, metrics } from './metrics.js';
+
+// Listing statuses that retire a listing post, with how the embed is marked
+const RETIRED_LISTING_STATUSES = new Set(['sold', 'removed', 'suspended']);
+
+// The bot's stores, event handlers and Discord listeners, built against an injected Discord
+// client (a discord.js Client, or the in-memory fake in test/support) and a loadConfig() object.
+// Nothing here logs in or listens on a port - index.js does that.
+export async function createBot({ client, config, backend: injectedBackend = null }) {
+  const {
+    WEBHOOK_SECRET,
+    FRONTEND_URL,
+    LARAVEL_API_URL,
+    EVIDENCE_CALLBACK_URL,
+    TRANSCRIPT_CALLBACK_URL,
+    PUBLIC_URL,
+    TRANSCRIPT_LINK_SECRET,
+    TRANSCRIPT_LINK_TTL_HOURS,
+    DELIVERY_MAX_ATTEMPTS,
+    IDEMPOTENCY_TTL_HOURS,
+    ALERTS_MAX_SEARCHES,
+    ALERTS_MAX_PER_HOUR,
+    DISCORD_MODERATION_CHANNEL_ID,
+    LISTING_REPORT_CALLBACK_URL,
+    DISCORD_STAFF_ROLE_IDS,
+    DISCORD_ESCALATION_ROLE_ID,
+    DISPUTE_SELLER_REMINDER_HOURS,
+    DISPUTE_ESCALATION_HOURS,
+    DISCORD_STAFF_CHANNEL_ID,
+    DISPUTE_SUMMARY_HOUR,
+    ORDER_NOTIFICATIONS,
+    DISCORD_ORDER_CHANNEL_ID,
+    LINK_CODE_TTL_MINUTES,
+    LINK_VERIFY_URL,
+    LINK_CALLBACK_URL,
+    DISCORD_VERIFIED_SELLER_ROLE_ID,
+    LISTING_RETIRE_MODE,
+    LISTING_BACKFILL_URL,
+    DISCORD_GUILD_ID,
+    CATEGORIES_FILE,
+    CATEGORIES_URL,
+    CATEGORIES_REFRESH_MINUTES,
+    TEMPLATES_FILE,
+    GUILDS_FILE,
+    DISCORD_LISTING_CHANNEL_ID,
+    DISCORD_DISPUTE_CHANNEL_ID,
+  } = config;
+
+  // Get category display name from category code
+  function getCategoryName(category) {
+    return categories.get(category)?.name || category;
+  }
+
+  // Category label for embeds, e.g. "❄️ Whiteout Survival"
+  function getCategoryLabel(category, locale = DEFAULT_LOCALE) {
+    return categoryLabel(categories, category, locale);
+  }
+
+  // Where to configure a category's channel, for warnings
+  function describeChannelSetting(kind, category) {
+    if (!category) {
+      return kind === 'listing' ? 'DISCORD_LISTING_CHANNEL_ID' : 'DISCORD_DISPUTE_CHANNEL_ID';
+    }
+    return `${kind}_channel_id for "${category}" in the category registry (or ${legacyEnvVar(kind, category)})`;
+  }
+
+  // Get the primary guild's listing channel ID (category-specific required, no fallback to general)
+  function getListingChannelId(category = null) {
+    return guildRouter.primaryListingChannelId(category);
+  }
+
+  // Get dispute channel ID (category-specific required, no fallback).
+  // Dispute threads go to a single guild: the primary guild first, then any guild routing the category.
+  function getDisputeChannelId(category = null) {
+    return guildRouter.disputeDestination(category)?.channel_id || null;
+  }
+
+  // Locale for a dispute thread: the payload's language, then what the thread was opened with,
+  // then the dispute channel (or its guild) and the category
+  function getDisputeLocale(dispute, stored = null) {
+    const category = dispute.category || stored?.category || null;
+    return resolveLocale(
+      dispute.language,
+      stored?.locale,
+      guildRouter.disputeDestination(category)?.locale,
+      categories.get(category)?.locale,
+    );
+  }
+
+  // Persistent queue for outbound Discord messages (survives restarts, retries with backoff)
+  const deliveryQueue = createDeliveryQueue({
+    client,
+    maxAttempts: DELIVERY_MAX_ATTEMPTS,
+  });
+  deliveryQueue.start();
+
+  // Live gauges for GET /metrics, read on every scrape
+  metricsRegistry.gauge({
+    name: 'delivery_queue_depth',
+    help: 'Deliveries waiting to be sent or retried',
+    collect: () => deliveryQueue.listPending().length,
+  });
+  metricsRegistry.gauge({
+    name: 'delivery_dead_letters',
+    help: 'Deliveries in the dead-letter store',
+    collect: () => deliveryQueue.listDead().length,
+  });
+  metricsRegistry.gauge({
+    name: 'gateway_connected',
+    help: '1 while the Discord gateway connection is ready',
+    collect: () => (client.ws.status === Status.Ready ? 1 : 0),
+  });
+  metricsRegistry.gauge({
+    name: 'gateway_ping_milliseconds',
+    help: 'Discord gateway heartbeat latency',
+    collect: () => (client.ws.ping >= 0 ? client.ws.ping : null),
+  });
+
+  metricsRegistry.gauge({
+    name: 'listings_active',
+    help: 'Active listings in the local search index',
+    collect: () => listingIndex.size(),
+  });
+
+  client.rest.on('rateLimited', (info) => {
+    metrics.discordRateLimits.inc({ route: info.route, scope: info.scope });
+    logger.warn(`⏳ Discord rate limit on ${info.method} ${info.route}, retrying in ${info.timeToReset}ms`, {
+      route: info.route,
+      scope: info.scope,
+      global: info.global,
+      retry_in_ms: info.timeToReset,
+    });
+  });
+
+  // Gateway connection drops and resumes. While the connection is down the webhook server
+  // answers 503 and the delivery queue holds messages; once it's back, due deliveries go out.
+  const gateway = { down: false, disconnects: 0, lastDisconnectAt: null, lastResumeAt: null };
+  const isDiscordReady = () => client.isReady() && client.ws.status === Status.Ready;
+
+  function gatewayDown(reason, shardId) {
+    if (gateway.down) return;
+    gateway.down = true;
+    gateway.disconnects++;
+    gateway.lastDisconnectAt = new Date().toISOString();
+    metrics.gatewayDisconnects.inc();
+    logger.warn(`🔌 Discord gateway disconnected (shard ${shardId}): ${reason}`, { shard_id: shardId });
+  }
+
+  function gatewayUp(how, shardId) {
+    // shardReady also fires on the first login
+    if (!gateway.down) return;
+    gateway.down = false;
+    gateway.lastResumeAt = new Date().toISOString();
+    const downMs = Date.parse(gateway.lastResumeAt) - Date.parse(gateway.lastDisconnectAt);
+    const pending = deliveryQueue.listPending().length;
+    logger.info(`🔌 Discord gateway ${how} (shard ${shardId}) after ${Math.round(downMs / 1000)}s${pending > 0 ? `, sending ${pending} queued message(s)` : ''}`, {
+      shard_id: shardId,
+      down_ms: downMs,
+    });
+    deliveryQueue.processDue().catch((error) => logger.error('❌ Delivery queue error', { error }));
+  }
+
+  client.on('shardReconnecting', (shardId) => gatewayDown('reconnecting', shardId));
+  client.on('shardDisconnect', (event, shardId) => gatewayDown(`closed with code ${event?.code} and will not reconnect`, shardId));
+  client.on('shardError', (error, shardId) => logger.warn(`⚠️  Discord gateway error (shard ${shardId}): ${error.message}`, { shard_id: shardId }));
+  client.on('shardResume', (shardId) => gatewayUp('resumed', shardId));
+  client.on('shardReady', (shardId) => gatewayUp('reconnected', shardId));
+
+  function gatewayStatus() {
+    return {
+      connected: isDiscordReady(),
+      status: Status[client.ws.status],
+      ping_ms: client.ws.ping >= 0 ? client.ws.ping : null,
+      disconnects: gateway.disconnects,
+      last_disconnect_at: gateway.lastDisconnectAt,
+      last_resume_at: gateway.lastResumeAt,
+    };
+  }
+
+  // Discord messages posted for each listing, so updates can edit or retire them
+  const listingMessages = createListingMessageStore();
+
+  // Listings currently on sale and recent sales, for /search and /stats
+  const listingIndex = createListingIndex();
+
+  // Private dispute threads opened by the bot, keyed by dispute ID
+  const disputeThreads = createDisputeThreadStore();
+
+  // Rename, lock and archive a dispute thread once the dispute is resolved
+  async function closeDisputeThread(disputeId, threadId) {
+    try {
+      const thread = await client.channels.fetch(threadId);
+      const baseName = disputeThreads.get(disputeId)?.threadName || thread.name.replace(/^\[[^\]]*\]\s*/, '');
+      await thread.edit({
+        name: formatDisputeThreadName('resolved', baseName),
+        locked: true,
+        archived: true,
+        reason: `Dispute #${disputeId} resolved`,
+      });
+      logger.info(`🔒 Dispute #${disputeId} thread ${threadId} locked and archived`, { dispute_id: disputeId, thread_id: threadId });
+    } catch (error) {
+      logger.error(`❌ Could not lock/archive thread ${threadId} for dispute #${disputeId}`, { dispute_id: disputeId, thread_id: threadId, error });
+    }
+  }
+
+  deliveryQueue.on('delivered', (job, message) => {
+    if (job.meta.type === 'listing.created' && message) {
+      listingMessages.addMessage(job.meta.listingId, { channelId: job.channelId, messageId: message.id, locale: job.meta.locale });
+    } else if ((job.meta.type === 'listing.batch' || job.meta.type === 'listing.digest') && message) {
+      // One shared message for all listings of the batch, so updates can edit it
+      const { category, locale = null, pingRoleId = null, listingIds = [] } = job.meta;
+      const batch = { mode: job.meta.mode || (job.meta.type === 'listing.digest' ? 'digest' : 'batched'), category, locale, pingRoleId, listingIds };
+      for (const listingId of listingIds) {
+        listingMessages.addMessage(listingId, { channelId: job.channelId, messageId: message.id, locale, batch });
+      }
+    } else if (job.meta.type === 'listing.deleted') {
+      listingMessages.removeMessage(job.meta.listingId, job.messageId);
+    } else if (job.meta.type === 'dispute.resolved' && job.meta.closeThread) {
+      closeDisputeThread(job.meta.disputeId, job.channelId);
+    } else if (job.meta.archiveThread) {
+      // Finished orders: archive the order thread (unlocked, so either party can still reopen it)
+      client.channels.fetch(job.channelId)
+        .then(thread => thread.setArchived(true, `Order #${job.meta.orderId} finished`))
+        .catch(error => logger.error(`❌ Could not archive thread ${job.channelId}`, { thread_id: job.channelId, error }));
+    }
+  });
+
+  // A listing post that could not be deleted for good (Unknown Message after a moderator removed
+  // it, or its channel is gone) is forgotten, so later updates stop targeting it
+  deliveryQueue.on('failed', (job) => {
+    if (job.meta.type === 'listing.deleted') {
+      listingMessages.removeMessage(job.meta.listingId, job.messageId);
+      logger.warn(`🗑️ Listing ${job.meta.listingId} message ${job.messageId} could not be deleted - no longer tracking it`, { listing_id: job.meta.listingId, channel_id: job.channelId, delivery_id: job.id });
+    }
+  });
+
+  // Signed callbacks to the Laravel API
+  const backend = injectedBackend || createBackendClient({
+    baseUrl: LARAVEL_API_URL,
+    secret: WEBHOOK_SECRET,
+  });
+
+  // Category registry (names, emojis, colors, channels, ping roles) - validated at startup, hot-reloaded
+  const categories = createCategoryRegistry({
+    file: CATEGORIES_FILE,
+    url: CATEGORIES_URL,
+    backend,
+    refreshMs: CATEGORIES_REFRESH_MINUTES * 60 * 1000,
+    env: config.env,
+  });
+
+  await categories.load();
+  categories.watch();
+
+  // Per-guild listing/dispute channel mapping and enabled categories
+  const guildRouter = createGuildRouter({
+    file: GUILDS_FILE,
+    categories,
+    primaryGuildId: DISCORD_GUILD_ID,
+    generalListingChannelId: DISCORD_LISTING_CHANNEL_ID,
+    generalDisputeChannelId: DISCORD_DISPUTE_CHANNEL_ID,
+    verifiedSellerRoleId: DISCORD_VERIFIED_SELLER_ROLE_ID,
+    staffRoleIds: DISCORD_STAFF_ROLE_IDS,
+    escalationRoleId: DISCORD_ESCALATION_ROLE_ID,
+  });
+
+  guildRouter.load();
+  guildRouter.watch(() => checkConfiguredRoles());
+
+  // Embed templates per event type (with per-category overrides) - validated at startup, hot-reloaded
+  const templates = createTemplateRegistry({ file: TEMPLATES_FILE });
+
+  templates.load();
+  templates.watch();
+
+  // HTML/JSON transcripts of resolved dispute threads
+  const transcriptArchive = createTranscriptArchive({
+    backend,
+    callbackUrl: TRANSCRIPT_CALLBACK_URL,
+    publicUrl: PUBLIC_URL,
+    linkSecret: TRANSCRIPT_LINK_SECRET,
+    linkTtlHours: TRANSCRIPT_LINK_TTL_HOURS,
+  });
+
+  // Processed webhook event IDs with their results, so retried events are not handled twice
+  const processedEvents = createIdempotencyStore({
+    ttlMs: IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000,
+  });
+
+  // Users watching a listing via its "🔔 Watch" button
+  const listingWatchers = createListingWatchStore();
+
+  // Discord language of each user who used the bot, for localized DMs
+  const userLocales = createUserLocaleStore();
+
+  // Saved searches for /alerts - matching new listings are sent to the user by DM
+  const alerts = createAlertStore({
+    maxSearches: ALERTS_MAX_SEARCHES,
+    maxPerHour: ALERTS_MAX_PER_HOUR,
+  });
+
+  // Changes made through the admin API
+  const auditLog = createAuditLog();
+
+  // Discord <-> NXOLand account links and pending /link codes
+  const accountLinks = createAccountLinkStore({
+    codeTtlMs: LINK_CODE_TTL_MINUTES * 60 * 1000,
+  });
+
+  // Follow-ups on open dispute threads (reminders, escalation, keep-alive, daily summary)
+  const disputeSla = createDisputeSlaScheduler({
+    client,
+    disputeThreads,
+    deliveryQueue,
+    guildRouter,
+    categories,
+    sellerReminderHours: DISPUTE_SELLER_REMINDER_HOURS,
+    escalationHours: DISPUTE_ESCALATION_HOURS,
+    summaryChannelId: DISCORD_STAFF_CHANNEL_ID,
+    summaryHour: DISPUTE_SUMMARY_HOUR,
+  });
+
+  // Combined posts and digests for categories with delivery_mode "batched" or "digest"
+  const listingBatches = createListingBatcher({
+    deliveryQueue,
+    listingMessages,
+    categories,
+    buildListingEmbed,
+    getCategoryLabel,
+    isRetired: listing => RETIRED_LISTING_STATUSES.has(listing.status),
+    frontendUrl: FRONTEND_URL,
+  });
+
+  // Escrow order notifications (order placed, delivered, confirmed, auto-completed, payout released)
+  const orders = createOrderStore();
+  const orderNotifier = createOrderNotifier({
+    client,
+    deliveryQueue,
+    orders,
+    templates,
+    userLocales,
+    getCategoryLabel,
+    mode: ORDER_NOTIFICATIONS,
+    channelId: DISCORD_ORDER_CHANNEL_ID,
+    frontendUrl: FRONTEND_URL,
+  });
+
+  // Startup report and slash command registration, once the client is logged in
+  async function onReady() {
+    console.log(`✅ Bot is ready! Logged in as ${client.user.tag}`);
+    console.log(`📊 Bot is in ${client.guilds.cache.size} server(s)`);
+    console.log(`🌐 Default locale: ${DEFAULT_LOCALE} (dates in ${DISPLAY_TIMEZONE})`);
+
+    // Log channel configuration
+    console.log('\n📋 Channel Configuration:');
+
+    // Check if general channels are configured (for non-category listings)
+    if (DISCORD_LISTING_CHANNEL_ID) {
+      console.log(`   ✅ General Listing Channel: ${DISCORD_LISTING_CHANNEL_ID}`);
+    }
+
+    if (DISCORD_DISPUTE_CHANNEL_ID) {
+      console.log(`   ✅ General Dispute Channel: ${DISCORD_DISPUTE_CHANNEL_ID}`);
+    }
+
+    console.log(`\n📂 Category-Specific Channels (Each game has separate channels, registry: ${categories.source}):`);
+    let configuredCount = 0;
+    for (const { code: category, listing_channel_id: channelId, dispute_channel_id: disputeChannelId } of categories.list()) {
+      if (channelId && disputeChannelId) {
+        console.log(`   ✅ ${getCategoryName(category)}:`);
+        console.log(`      📢 Listing: ${channelId}`);
+        console.log(`      ⚖️  Dispute: ${disputeChannelId}`);
+        configuredCount++;
+      } else if (channelId || disputeChannelId) {
+        console.log(`   ⚠️  ${getCategoryName(category)}: Incomplete configuration`);
+        if (channelId) {
+          console.log(`      📢 Listing: ${channelId} ✅`);
+        } else {
+          console.log(`      📢 Listing: ❌ Not configured`);
+        }
+        if (disputeChannelId) {
+          console.log(`      ⚖️  Dispute: ${disputeChannelId} ✅`);
+        } else {
+          console.log(`      ⚖️  Dispute: ❌ Not configured`);
+        }
+      }
+    }
+
+    if (configuredCount === 0) {
+      console.log(`   ⚠️  No category-specific channels configured`);
+      console.log(`   ⚠️  Each game should have its own listing and dispute channels`);
+    } else {
+      console.log(`\n   ✅ ${configuredCount} game(s) fully configured`);
+    }
+
+    console.log(`\n🌐 Guild Routing (${guildRouter.source}):`);
+    for (const guild of guildRouter.list()) {
+      const known = guild.guild_id === 'default' || client.guilds.cache.has(guild.guild_id);
+      const enabled = guild.enabled_categories === '*' ? 'all categories' : guild.enabled_categories.join(', ') || 'no categories';
+      console.log(`   ${known ? '✅' : '⚠️ '} ${guild.name}${guild.primary ? ' (primary)' : ''}: ${enabled}`);
+      if (!known) {
+        console.log(`      ⚠️  Bot is not a member of guild ${guild.guild_id}`);
+      }
+    }
+
+    console.log('\n👮 Staff Roles:');
+    checkConfiguredRoles();
+
+    console.log('\n🔐 Channel Permissions:');
+    await reportChannels();
+
+    console.log(`\n🎨 Embed templates: ${templates.source}`);
+    console.log(`🔗 Linked accounts: ${accountLinks.count()}`);
+    console.log('');
+
+    // Register slash commands
+    console.log('⌨️  Registering slash commands:');
+    await registerCommands(client);
+    if (!LARAVEL_API_URL) {
+      console.warn('   ⚠️  LARAVEL_API_URL is not set - /dispute commands cannot reach the backend');
+    }
+    console.log('');
+
+    disputeSla.start();
+    listingBatches.start();
+
+    if (LISTING_BACKFILL_URL) {
+      backfillListingIndex().catch(error => logger.error('❌ Listing index backfill failed', { error }));
+    }
+  }
+
+  // Check that every role the guild routing and category registry refer to exists in its guild,
+  // so a typo doesn't silently leave dispute threads without staff. Returns the missing roles.
+  function checkConfiguredRoles() {
+    if (!client.isReady()) return [];
+
+    const missing = [];
+    for (const guild of guildRouter.list()) {
+      // Without DISCORD_GUILD_ID the primary guild is whichever guild has the role
+      const roleExists = guild.guild_id === 'default'
+        ? (roleId) => client.guilds.cache.some(discordGuild => discordGuild.roles.cache.has(roleId))
+        : (roleId) => Boolean(client.guilds.cache.get(guild.guild_id)?.roles.cache.has(roleId));
+      const roles = guildRouter.configuredRoles(guild);
+      const staff = guildRouter.staffRolesFor(guild.guild_id);
+
+      for (const role of roles.filter(({ id }) => !roleExists(id))) {
+        console.error(`   ❌ ${guild.name}: role ${role.id} (${role.setting}) does not exist`);
+        missing.push({ guild_id: guild.guild_id, ...role });
+      }
+      if (staff.staff_role_ids.length === 0) {
+        console.warn(`   ⚠️  ${guild.name}: no staff roles configured - dispute threads only get buyer and seller`);
+      } else if (!roles.some(({ id }) => !roleExists(id))) {
+        console.log(`   ✅ ${guild.name}: ${staff.staff_role_ids.length} staff role(s)${staff.escalation_role_id ? ', escalation role' : ''}`);
+      }
+    }
+    return missing;
+  }
+
+  // Channels the bot posts to, with where each is configured (one entry per channel)
+  function configuredChannels() {
+    const channels = new Map();
+    const add = (id, setting, threads = false, askThreads = false) => {
+      if (!id) return;
+      const entry = channels.get(String(id)) || { id: String(id), settings: [], threads: false, askThreads: false };
+      if (!entry.settings.includes(setting)) entry.settings.push(setting);
+      entry.threads ||= threads;
+      entry.askThreads ||= askThreads;
+      channels.set(entry.id, entry);
+    };
+
+    for (const guild of guildRouter.list()) {
+      for (const { id, setting, threads, askThreads } of guildRouter.configuredChannels(guild)) {
+        add(id, guildRouter.list().length > 1 ? `${guild.name}: ${setting}` : setting, threads, askThreads);
+      }
+    }
+    add(DISCORD_MODERATION_CHANNEL_ID, 'DISCORD_MODERATION_CHANNEL_ID');
+    add(DISCORD_STAFF_CHANNEL_ID, 'DISCORD_STAFF_CHANNEL_ID');
+    add(DISCORD_ORDER_CHANNEL_ID, 'DISCORD_ORDER_CHANNEL_ID', ORDER_NOTIFICATIONS === 'thread');
+    return [...channels.values()];
+  }
+
+  // Permissions the bot needs in every channel it posts embeds to
+  const REQUIRED_CHANNEL_PERMISSIONS = [
+    PermissionFlagsBits.ViewChannel,
+    PermissionFlagsBits.SendMessages,
+    PermissionFlagsBits.EmbedLinks,
+  ];
+
+  // ...and in channels where it opens private threads (disputes, order threads): create them,
+  // post in them, and lock/archive them once resolved
+  const REQUIRED_THREAD_PERMISSIONS = [
+    PermissionFlagsBits.CreatePrivateThreads,
+    PermissionFlagsBits.SendMessagesInThreads,
+    PermissionFlagsBits.ManageThreads,
+  ];
+
+  // ...and in listing channels, where "Ask seller" opens a private thread between buyer and seller
+  const REQUIRED_ASK_THREAD_PERMISSIONS = [
+    PermissionFlagsBits.CreatePrivateThreads,
+    PermissionFlagsBits.SendMessagesInThreads,
+  ];
+
+  // Check that the bot can see and post in each configured channel, and open threads where needed
+  async function checkChannels() {
+    return Promise.all(configuredChannels().map(async ({ id, settings, threads, askThreads }) => {
+      const channel = await client.channels.fetch(id).catch(() => null);
+      if (!channel) {
+        return { id, settings, reachable: false, error: 'Channel not found or not visible to the bot' };
+      }
+      const required = [
+        ...REQUIRED_CHANNEL_PERMISSIONS,
+        ...(threads ? REQUIRED_THREAD_PERMISSIONS : askThreads ? REQUIRED_ASK_THREAD_PERMISSIONS : []),
+      ];
+      const missing = channel.guild ? channel.permissionsFor(client.user)?.missing(required) ?? [] : [];
+      const error = threads && channel.type !== ChannelType.GuildText && channel.type !== ChannelType.GuildForum
+        ? 'Channel does not support private threads (must be a text or forum channel)'
+        : null;
+      return {
+        id,
+        settings,
+        name: channel.name,
+        guild_id: channel.guild?.id,
+        reachable: missing.length === 0 && !error,
+        ...(missing.length > 0 && { missing_permissions: missing }),
+        ...(error && { error }),
+      };
+    }));
+  }
+
+  // Startup check of every configured channel, so a wrong ID or a missing permission shows up
+  // in the logs instead of as dead-lettered deliveries
+  async function reportChannels() {
+    const channels = await checkChannels();
+    for (const channel of channels) {
+      const label = `${channel.name ? `#${channel.name}` : channel.id} - ${channel.settings.join(', ')}`;
+      if (channel.reachable) {
+        logger.info(`   ✅ ${label}`, { channel_id: channel.id });
+      } else {
+        logger.error(`   ❌ ${label}: ${channel.error || `missing ${channel.missing_permissions.join(', ')}`}`, {
+          channel_id: channel.id,
+          missing_permissions: channel.missing_permissions,
+        });
+      }
+    }
+    const unreachable = channels.filter(channel => !channel.reachable).length;
+    if (unreachable > 0) {
+      logger.error(`   ❌ ${unreachable} of ${channels.length} channel(s) can't be used - posts there will fail (see /health)`, { unreachable });
+    }
+    return channels;
+  }
+
+  // Register slash commands when the bot joins a new server
+  client.on('guildCreate', (guild) => {
+    registerGuildCommands(guild);
+  });
+
+  // Event handlers
+
+  // Build the listing embed from a stored listing snapshot with the "listing" template, or
+  // "listing.retired" once the listing is sold or unavailable. An inline template override
+  // is only used by /preview.
+  function buildListingEmbed(listingId, listing, locale = DEFAULT_LOCALE, override = null) {
+    const { title, price, currency, category, description, images, createdAt, status } = listing;
+    const name = RETIRED_LISTING_STATUSES.has(status) ? 'listing.retired' : 'listing';
+    const template = mergeTemplate(templates.get(name, category), override);
+    const categoryColor = categories.get(category)?.color ?? 0x00AE86;
+
+    const truncatedDescription = description && description.length > 1000
+      ? description.substring(0, 997) + '...'
+      : description;
+
+    return renderEmbed(template, {
+      id: listingId,
+      title: isolate(title),
+      price: formatPrice(locale, price, currency || template.currency),
+      category: getCategoryLabel(category, locale),
+      category_code: category,
+      category_color: `#${categoryColor.toString(16).padStart(6, '0')}`,
+      description: isolate(truncatedDescription),
+      image: Array.isArray(images) ? images[0] : null,
+      url: `${FRONTEND_URL}/product/${listingId}`,
+      status,
+      created_at: createdAt,
+    }, locale);
+  }
+
+  // Locale for a listing post: the destination channel (or its guild), then the listing's category
+  function getListingLocale(destination, category) {
+    return resolveLocale(destination?.locale, categories.get(category)?.locale);
+  }
+
+  // Message payload for a listing post: the embed plus the Watch / Report / Ask seller buttons
+  function buildListingPayload(listingId, listing, locale = DEFAULT_LOCALE) {
+    const row = buildListingActionRow(listingId, listing, locale);
+    return {
+      embeds: [buildListingEmbed(listingId, listing, locale).toJSON()],
+      components: row ? [row] : [],
+    };
+  }
+
+  // Pick the listing fields present in a normalized event (updates may be partial)
+  function pickListingFields(listing) {
+    const fields = {
+      title: listing.title,
+      price: listing.price,
+      currency: listing.currency,
+      category: listing.category,
+      description: listing.description,
+      images: listing.images,
+      createdAt: listing.created_at,
+      status: listing.status,
+      sellerDiscordId: listing.seller_discord_id,
+    };
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== null));
+  }
+
+  // DM the listing embed to every user with a matching saved search, in the user's language.
+  // Best-effort: opted-out and rate-limited users are skipped, and failures never fail the webhook.
+  async function notifySubscribers(listingId, snapshot) {
+    const notified = [];
+    for (const { userId, search } of alerts.findMatches(snapshot)) {
+      if (!alerts.consume(userId)) {
+        logger.info(`⏳ Alert for listing ${listingId} skipped for user ${userId} (rate limited)`, { listing_id: listingId, user_id: userId });
+        continue;
+      }
+      try {
+        const locale = resolveLocale(userLocales.get(userId));
+        const delivery = await deliveryQueue.enqueue({
+          op: 'dm',
+          userId,
+          payload: {
+            content: t(locale, 'listing.alert', { id: search.id }),
+            embeds: [buildListingEmbed(listingId, snapshot, locale).toJSON()],
+          },
+          meta: { type: 'listing.alert', listingId, alertId: search.id },
+        });
+        notified.push({ user_id: userId, alert_id: search.id, delivery });
+      } catch (error) {
+        logger.error(`❌ Alert for listing ${listingId} could not be queued for user ${userId}`, { listing_id: listingId, user_id: userId, error });
+      }
+    }
+
+    if (notified.length > 0) {
+      logger.info(`🔔 Listing ${listingId} matched ${notified.length} subscriber alert(s)`, { listing_id: listingId });
+    }
+    return notified;
+  }
+
+  // Post a listing to one destination channel, pinging the destination's role if it has one.
+  // The message ID is recorded once delivered so later updates can edit the post.
+  async function postListing(listingId, snapshot, { guild_id = null, channel_id: channelId, ping_role_id: pingRoleId = null }, locale) {
+    const delivery = await deliveryQueue.enqueue({
+      channelId,
+      payload: {
+        ...buildListingPayload(listingId, snapshot, locale),
+        ...(pingRoleId && { content: `<@&${pingRoleId}>`, allowedMentions: { roles: [pingRoleId] } }),
+      },
+      meta: { type: 'listing.created', listingId, guildId: guild_id, locale },
+    });
+
+    if (delivery.status === 'failed') {
+      logger.error(`❌ Listing ${listingId} could not be delivered to channel ${channelId}${guild_id ? ` (guild ${guild_id})` : ''}: ${delivery.error}`, { listing_id: listingId, channel_id: channelId, guild_id, delivery_id: delivery.id });
+    } else {
+      logger.info(`✅ Listing ${listingId} ${delivery.status === 'delivered' ? 'sent' : 'queued'} for channel ${channelId}${guild_id ? ` (guild ${guild_id})` : ''}`, { listing_id: listingId, channel_id: channelId, guild_id, delivery_id: delivery.id });
+    }
+    return delivery;
+  }
+
+  async function handleListingCreated(listing) {
+    const listingId = listing.listing_id;
+    const snapshot = listingMessages.saveListing(listingId, {
+      category: null,
+      description: null,
+      images: [],
+      createdAt: new Date().toISOString(),
+      ...pickListingFields(listing),
+    });
+    listingIndex.update(listingId, snapshot);
+    const category = snapshot.category;
+
+    // Paused categories (admin API) still index the listing but post nothing
+    if (categories.get(category)?.paused) {
+      logger.info(`⏸️  Listing ${listingId} not posted: notifications for ${getCategoryName(category)} are paused`, { listing_id: listingId, category });
+      return { destinations: [], alerts: [], paused: true };
+    }
+
+    // Fan the listing out to every guild subscribed to its category
+    const destinations = guildRouter.listingDestinations(category);
+    if (destinations.length === 0) {
+      const categoryName = category ? getCategoryName(category) : 'general';
+      logger.warn(`⚠️  No listing channel configured for ${categoryName}. Configure ${describeChannelSetting('listing', category)}`, { category });
+      return { destinations: [], alerts: await notifySubscribers(listingId, snapshot) };
+    }
+
+    // Hand the embed to the delivery queue - it is retried until Discord accepts it.
+    // Batched and digest categories collect the listing for a combined post instead.
+    const mode = categories.get(category)?.delivery_mode || 'instant';
+    const results = [];
+    for (const destination of destinations) {
+      const { guild_id, channel_id: channelId, ping_role_id: pingRoleId } = destination;
+      const locale = getListingLocale(destination, category);
+      if (mode !== 'instant') {
+        const batch = listingBatches.add({ mode, category, channelId, guildId: guild_id, locale, pingRoleId }, listingId);
+        results.push({ guild_id, channel_id: channelId, delivery: { status: 'batched', ...batch } });
+        logger.info(`🗂️  Listing ${listingId} added to the ${mode} post for channel ${channelId}${guild_id ? ` (guild ${guild_id})` : ''} (${batch.size} pending)`, { listing_id: listingId, channel_id: channelId, guild_id, batch: batch.batch });
+        continue;
+      }
+
+      results.push({ guild_id, channel_id: channelId, delivery: await postListing(listingId, snapshot, destination, locale) });
+    }
+
+    if (results.every(result => result.delivery.status === 'failed')) {
+      throw new Error(`Listing ${listingId} could not be delivered to any channel`);
+    }
+
+    logger.info(`✅ Listing created event processed. Sent to ${results.length} destination(s)`, { listing_id: listingId });
+    return { destinations: results, alerts: await notifySubscribers(listingId, snapshot) };
+  }
+
+  // DM the users watching a listing when its price drops or it sells. Retired listings
+  // stop being watched.
+  async function notifyWatchers(listingId, previous, snapshot) {
+    const watchers = listingWatchers.list(listingId);
+    let messageFor = null;
+    if (snapshot.status === 'sold' && previous.status !== 'sold') {
+      messageFor = locale => t(locale, 'listing.watch.sold', { title: isolate(snapshot.title) });
+    } else if (parseFloat(snapshot.price) < parseFloat(previous.price)) {
+      messageFor = locale => t(locale, 'listing.watch.price_drop', {
+        old: formatPrice(locale, previous.price, snapshot.currency),
+        new: formatPrice(locale, snapshot.price, snapshot.currency),
+      });
+    }
+
+    if (messageFor && watchers.length > 0) {
+      for (const userId of watchers) {
+        const locale = resolveLocale(userLocales.get(userId));
+        await deliveryQueue.enqueue({
+          op: 'dm',
+          userId,
+          payload: { content: messageFor(locale), embeds: [buildListingEmbed(listingId, snapshot, locale).toJSON()] },
+          meta: { type: 'listing.watch', listingId },
+        }).catch(error => logger.error(`❌ Watch DM for listing ${listingId} could not be queued for user ${userId}`, { listing_id: listingId, user_id: userId, error }));
+      }
+      logger.info(`🔔 Listing ${listingId}: notified ${watchers.length} watcher(s)`, { listing_id: listingId });
+    }
+
+    if (RETIRED_LISTING_STATUSES.has(snapshot.status)) {
+      listingWatchers.clear(listingId);
+    }
+  }
+
+  // Rebuild the listing index from the backend's active listings (LISTING_BACKFILL_URL), following
+  // Laravel pagination (next_page_url or links.next). Entries that fail the listing schema are skipped.
+  async function backfillListingIndex({ maxPages = 100 } = {}) {
+    if (!LISTING_BACKFILL_URL) {
+      throw new Error('LISTING_BACKFILL_URL is not set');
+    }
+
+    const snapshots = [];
+    let skipped = 0;
+    let url = LISTING_BACKFILL_URL;
+    for (let page = 0; url && page < maxPages; page++) {
+      const response = await backend.get(url);
+      const items = Array.isArray(response) ? response : response?.data || [];
+      for (const item of items) {
+        const { value } = validateEvent('listing.created', item);
+        if (!value) {
+          skipped++;
+          continue;
+        }
+        snapshots.push({ id: value.listing_id, category: null, description: null, images: [], ...pickListingFields(value) });
+      }
+      url = response?.next_page_url || response?.links?.next || null;
+    }
+
+    const active = listingIndex.replace(snapshots);
+    logger.info(`🔎 Listing index backfilled: ${active} active listing(s)${skipped > 0 ? `, ${skipped} invalid entr${skipped === 1 ? 'y' : 'ies'} skipped` : ''}`, { active, skipped });
+    return { active, skipped };
+  }
+
+  // listing.updated and listing.status_changed: merge the change into the stored listing,
+  // then edit every posted embed in place - or delete it if the listing is retired and
+  // LISTING_RETIRE_MODE=delete. Batch and digest posts are shared with other listings, so
+  // they are always re-rendered (retired listings show as sold or struck through).
+  async function handleListingUpdated(listing) {
+    const listingId = listing.listing_id;
+    const entry = listingMessages.get(listingId);
+    const previous = entry?.listing || {};
+    const snapshot = listingMessages.saveListing(listingId, pickListingFields(listing));
+    listingIndex.update(listingId, snapshot);
+    await notifyWatchers(listingId, previous, snapshot);
+
+    if (!entry || entry.messages.length === 0) {
+      logger.info(`📝 Listing ${listingId} updated (no Discord message to update)`, { listing_id: listingId });
+      return { deliveries: [] };
+    }
+
+    const retire = RETIRED_LISTING_STATUSES.has(snapshot.status) && LISTING_RETIRE_MODE === 'delete';
+
+    const deliveries = [];
+    for (const { channelId, messageId, locale, batch } of entry.messages) {
+      if (batch) {
+        deliveries.push(await deliveryQueue.enqueue({
+          op: 'edit',
+          channelId,
+          messageId,
+          payload: listingBatches.render(batch),
+          meta: { type: 'listing.updated', listingId, batch: true },
+        }));
+        continue;
+      }
+      const messageLocale = resolveLocale(locale, categories.get(snapshot.category)?.locale);
+      deliveries.push(await deliveryQueue.enqueue({
+        op: retire ? 'delete' : 'edit',
+        channelId,
+        messageId,
+        payload: retire ? null : buildListingPayload(listingId, snapshot, messageLocale),
+        meta: { type: retire ? 'listing.deleted' : 'listing.updated', listingId },
+      }));
+    }
+
+    logger.info(`📝 Listing ${listingId} ${retire ? 'removal' : 'update'} queued for ${deliveries.length} message(s)${snapshot.status ? ` (status: ${snapshot.status})` : ''}`, { listing_id: listingId });
+    return { deliveries };
+  }
+
+  // Dispute embeds, rendered from the "dispute.*" templates (with the category's override)
+  function buildDisputeCreatedEmbed(dispute, locale = DEFAULT_LOCALE, override = null) {
+    const category = dispute.category || null;
+    const createdAt = dispute.created_at || new Date().toISOString();
+    return renderEmbed(mergeTemplate(templates.get('dispute.created', category), override), {
+      id: dispute.dispute_id,
+      order_id: dispute.order_id,
+      party: t(locale, dispute.party === 'buyer' ? 'dispute.party.buyer' : 'dispute.party.seller'),
+      category: getCategoryLabel(category, locale),
+      category_code: category,
+      reason: isolate(dispute.reason) || t(locale, 'common.na'),
+      description: isolate(dispute.description) || t(locale, 'dispute.no_description'),
+      buyer: dispute.buyer_discord_id ? `<@${dispute.buyer_discord_id}>` : t(locale, 'dispute.not_connected'),
+      seller: dispute.seller_discord_id ? `<@${dispute.seller_discord_id}>` : t(locale, 'dispute.not_connected'),
+      opened: formatDate(locale, createdAt),
+      created_at: createdAt,
+    }, locale);
+  }
+
+  function buildDisputeUpdatedEmbed(dispute, oldStatus, locale = DEFAULT_LOCALE, override = null) {
+    const category = dispute.category || null;
+    return renderEmbed(mergeTemplate(templates.get('dispute.updated', category), override), {
+      id: dispute.dispute_id,
+      order_id: dispute.order_id,
+      category: getCategoryLabel(category, locale),
+      category_code: category,
+      status: dispute.status,
+      previous_status: getDisputeStatusLabel(oldStatus, locale),
+      new_status: getDisputeStatusLabel(dispute.status, locale),
+      notes: isolate(dispute.notes),
+      updated_by: isolate(dispute.updated_by_username),
+      updated_at: dispute.updated_at || new Date().toISOString(),
+    }, locale);
+  }
+
+  function getResolutionText(dispute, locale = DEFAULT_LOCALE) {
+    const key = ['buyer', 'seller', 'refund'].includes(dispute.resolution) ? dispute.resolution : 'default';
+    return t(locale, `dispute.resolution.${key}`);
+  }
+
+  function buildDisputeResolvedEmbed(dispute, locale = DEFAULT_LOCALE, transcriptUrl = null, override = null) {
+    const category = dispute.category || null;
+    return renderEmbed(mergeTemplate(templates.get('dispute.resolved', category), override), {
+      id: dispute.dispute_id,
+      order_id: dispute.order_id,
+      category: getCategoryLabel(category, locale),
+      category_code: category,
+      resolution: dispute.resolution,
+      resolution_text: getResolutionText(dispute, locale),
+      resolved_by: isolate(dispute.resolver_username) || t(locale, 'dispute.resolver_default'),
+      notes: isolate(dispute.resolution_notes) || t(locale, 'dispute.no_notes'),
+      transcript_url: transcriptUrl,
+      resolved_at: dispute.resolved_at || new Date().toISOString(),
+    }, locale);
+  }
+
+  // Mentions of the buyer, seller and staff roles at the top of a dispute thread message
+  function disputeMentionText(dispute, roleIds = []) {
+    const mentions = [
+      ...[dispute.buyer_discord_id, dispute.seller_discord_id].filter(Boolean).map(id => `<@${id}>`),
+      ...roleIds.map(id => `<@&${id}>`),
+    ];
+    return mentions.length > 0 ? `${mentions.join(' ')}\n\n` : '';
+  }
+
+  // Only the parties and the configured roles may be pinged - never @everyone or @here
+  function disputeAllowedMentions(dispute, roleIds = []) {
+    return {
+      parse: [],
+      users: [dispute.buyer_discord_id, dispute.seller_discord_id].filter(Boolean),
+      roles: roleIds,
+    };
+  }
+
+  // Open the private dispute thread. The thread is remembered as soon as it exists, so a retry
+  // of the same dispute.created (e.g. after a failure further down) reuses it instead of opening
+  // a second one; the intro goes through the delivery queue like every other post.
+  async function handleDisputeCreated(dispute) {
+    const category = dispute.category || null;
+    const channelId = getDisputeChannelId(category);
+    const locale = getDisputeLocale(dispute);
+
+      if (!channelId) {
+      const categoryName = category ? getCategoryName(category) : 'general';
+      logger.warn(`⚠️  No dispute channel configured for ${categoryName}. Configure ${describeChannelSetting('dispute', category)}`, { category });
+      return null;
+      }
+
+      try {
+        const discordChannel = await client.channels.fetch(channelId);
+        const guild = discordChannel.guild;
+
+        const stored = disputeThreads.get(dispute.dispute_id);
+        const existing = stored?.threadId ? await client.channels.fetch(stored.threadId).catch(() => null) : null;
+        if (existing && stored.introQueued) {
+          logger.info(`🔁 Dispute #${dispute.dispute_id} already has thread ${existing.id} - not opening another`, { dispute_id: dispute.dispute_id, thread_id: existing.id });
+          return {
+            thread_id: existing.id,
+            channel_id: stored.channelId,
+            guild_id: stored.guildId,
+            thread_url: `https://discord.com/channels/${stored.guildId}/${existing.id}`,
+          };
+        }
+
+      // Ensure channel supports threads
+        if (!existing && !discordChannel.isThread() && !discordChannel.threads) {
+          logger.error(`❌ Channel ${channelId} does not support threads`, { dispute_id: dispute.dispute_id, channel_id: channelId });
+        return null;
+        }
+
+        if (!existing && discordChannel.type !== ChannelType.GuildText && discordChannel.type !== ChannelType.GuildForum) {
+          logger.error(`❌ Channel ${channelId} type (${discordChannel.type}) does not support private threads. Must be Text Channel or Forum Channel.`, { dispute_id: dispute.dispute_id, channel_id: channelId });
+        return null;
+        }
+
+      // Create a PRIVATE thread for the dispute
+        const threadName = `Dispute #${dispute.dispute_id} - Order #${dispute.order_id}${category ? ` (${getCategoryName(category)})` : ''}`;
+        const thread = existing || await discordChannel.threads.create({
+          name: threadName,
+        type: ChannelType.PrivateThread,
+          autoArchiveDuration: 10080, // 7 days - the SLA scheduler also unarchives it while the dispute is open
+          reason: 'New dispute created - private communication between buyer and seller',
+        });
+
+        // Remember the thread so dispute.updated / dispute.resolved can find it without Laravel sending it back
+        disputeThreads.save(dispute.dispute_id, {
+          threadId: thread.id,
+          channelId,
+          guildId: guild.id,
+          threadName,
+          status: 'open',
+          orderId: dispute.order_id,
+          category,
+          buyerDiscordId: dispute.buyer_discord_id || null,
+          sellerDiscordId: dispute.seller_discord_id || null,
+          locale,
+        });
+
+      // Add buyer and seller to thread
+        if (dispute.buyer_discord_id) {
+          try {
+            await thread.members.add(dispute.buyer_discord_id, 'Buyer added to dispute thread');
+          } catch (error) {
+            logger.error('❌ Failed to add buyer to thread', { dispute_id: dispute.dispute_id, thread_id: thread.id, user_id: dispute.buyer_discord_id, error });
+          }
+        }
+        if (dispute.seller_discord_id) {
+          try {
+            await thread.members.add(dispute.seller_discord_id, 'Seller added to dispute thread');
+          } catch (error) {
+            logger.error('❌ Failed to add seller to thread', { dispute_id: dispute.dispute_id, thread_id: thread.id, user_id: dispute.seller_discord_id, error });
+          }
+        }
+
+        // Add the configured staff to the thread explicitly
+        const { staff_role_ids: staffRoleIds } = guildRouter.staffRolesFor(guild.id, category);
+        if (staffRoleIds.length === 0) {
+          logger.warn(`⚠️  No staff roles configured for ${guild.name}${category ? ` (${getCategoryName(category)})` : ''} - only buyer and seller can see dispute #${dispute.dispute_id}`, { dispute_id: dispute.dispute_id, guild_id: guild.id });
+        }
+        try {
+          await addRoleMembersToThread(thread, staffRoleIds, 'Staff added to dispute thread');
+        } catch (error) {
+          logger.error(`❌ Could not add staff to dispute #${dispute.dispute_id} thread`, { dispute_id: dispute.dispute_id, thread_id: thread.id, error });
+        }
+
+        const embed = buildDisputeCreatedEmbed(dispute, locale);
+
+        const delivery = await deliveryQueue.enqueue({
+          channelId: thread.id,
+          payload: {
+            content: disputeMentionText(dispute, staffRoleIds) + t(locale, 'dispute.created.notice'),
+            embeds: [embed.toJSON()],
+            allowedMentions: disputeAllowedMentions(dispute, staffRoleIds),
+          },
+          meta: { type: 'dispute.created', disputeId: dispute.dispute_id },
+        });
+        disputeThreads.save(dispute.dispute_id, { introQueued: true });
+        disputeSla.track(dispute.dispute_id);
+
+        logger.info(`✅ Dispute #${dispute.dispute_id} thread ${existing ? 'reused' : 'created'} in channel ${channelId}`, { dispute_id: dispute.dispute_id, channel_id: channelId, thread_id: thread.id, delivery_id: delivery.id });
+
+        return {
+          thread_id: thread.id,
+          channel_id: channelId,
+        guild_id: guild.id,
+        thread_url: `https://discord.com/channels/${guild.id}/${thread.id}`,
+        };
+      } catch (error) {
+      logger.error(`❌ Error creating dispute thread in channel ${channelId}`, { dispute_id: dispute.dispute_id, channel_id: channelId, error });
+        throw error;
+    }
+  }
+
+  // Add the escalation role's members to an escalated dispute's thread and ping the role there
+  async function bringInEscalationRole(dispute, stored, threadId) {
+    try {
+      const thread = await client.channels.fetch(threadId);
+      const { escalation_role_id: roleId } = guildRouter.staffRolesFor(thread.guild.id, dispute.category || stored?.category);
+      if (!roleId) {
+        logger.warn(`⚠️  Dispute #${dispute.dispute_id} escalated but no escalation role is configured`, { dispute_id: dispute.dispute_id, thread_id: threadId });
+        return;
+      }
+
+      await addRoleMembersToThread(thread, [roleId], `Dispute #${dispute.dispute_id} escalated`);
+      await deliveryQueue.enqueue({
+        channelId: threadId,
+        payload: { content: `<@&${roleId}>`, allowedMentions: { parse: [], roles: [roleId] } },
+        meta: { type: 'dispute.escalated', disputeId: dispute.dispute_id },
+      });
+      logger.info(`🚨 Escalation role ${roleId} brought into dispute #${dispute.dispute_id}`, { dispute_id: dispute.dispute_id, thread_id: threadId, role_id: roleId });
+    } catch (error) {
+      logger.error(`❌ Could not bring the escalation role into dispute #${dispute.dispute_id}`, { dispute_id: dispute.dispute_id, thread_id: threadId, error });
+    }
+  }
+
+  // Post a status-change embed into the dispute thread and prefix the thread name with the new status
+  async function handleDisputeUpdated(dispute) {
+    const stored = disputeThreads.get(dispute.dispute_id);
+    const threadId = dispute.discord_thread_id || stored?.threadId;
+
+    if (!threadId) {
+      logger.warn(`⚠️  Dispute #${dispute.dispute_id} updated (${dispute.status}) but no thread is known for it`, { dispute_id: dispute.dispute_id, status: dispute.status });
+      return null;
+    }
+
+    // /dispute escalate already handled the change Laravel reports afterwards - the thread's
+    // stored status is what decides whether anything changed, not the payload's old_status
+    if (stored?.status && stored.status === dispute.status) {
+      logger.info(`🔁 Dispute #${dispute.dispute_id} is already ${dispute.status} - not posting the update again`, { dispute_id: dispute.dispute_id, thread_id: threadId });
+      return { thread_id: threadId, unchanged: true };
+    }
+
+    const oldStatus = stored?.status || dispute.old_status || null;
+    const newStatus = dispute.status;
+    const locale = getDisputeLocale(dispute, stored);
+
+    const embed = buildDisputeUpdatedEmbed(dispute, oldStatus, locale);
+
+    const delivery = await deliveryQueue.enqueue({
+      channelId: threadId,
+      payload: { embeds: [embed.toJSON()] },
+      meta: { type: 'dispute.updated', disputeId: dispute.dispute_id },
+    });
+
+    if (delivery.status === 'failed') {
+      throw new Error(`Dispute #${dispute.dispute_id} status update could not be delivered to thread ${threadId}: ${delivery.error}`);
+    }
+
+    disputeThreads.save(dispute.dispute_id, { threadId, status: newStatus });
+
+    if (newStatus === 'escalated' && oldStatus !== 'escalated') {
+      await bringInEscalationRole(dispute, stored, threadId);
+    }
+
+    // Renaming is best effort - Discord heavily rate-limits thread renames
+    try {
+      const thread = await client.channels.fetch(threadId);
+      const baseName = stored?.threadName || thread.name.replace(/^\[[^\]]*\]\s*/, '');
+      await thread.setName(formatDisputeThreadName(newStatus, baseName), `Dispute status changed to ${newStatus}`);
+    } catch (error) {
+      logger.error(`❌ Could not rename thread ${threadId} for dispute #${dispute.dispute_id}`, { dispute_id: dispute.dispute_id, thread_id: threadId, error });
+    }
+
+    logger.info(`📝 Dispute #${dispute.dispute_id} updated: ${oldStatus || 'unknown'} → ${newStatus}`, { dispute_id: dispute.dispute_id, thread_id: threadId, status: newStatus });
+    return { thread_id: threadId, delivery };
+  }
+
+  async function handleDisputeResolved(dispute) {
+    const category = dispute.category || null;
+    const stored = disputeThreads.get(dispute.dispute_id);
+    const threadId = dispute.discord_thread_id || stored?.threadId;
+    const locale = getDisputeLocale(dispute, stored);
+
+    // Already resolved here, e.g. with /dispute resolve: the dispute.resolved webhook Laravel sends
+    // afterwards must not post the resolution or archive the transcript a second time
+    if (stored?.status === 'resolved') {
+      logger.info(`🔁 Dispute #${dispute.dispute_id} is already resolved - not posting the resolution again`, { dispute_id: dispute.dispute_id });
+      return { thread_id: stored.threadId, already_resolved: true };
+    }
+
+    // Try to find and send message to the existing thread
+    if (threadId) {
+      try {
+        const thread = await client.channels.fetch(threadId);
+
+        if (thread && thread.isThread()) {
+          const { staff_role_ids: staffRoleIds } = guildRouter.staffRolesFor(thread.guild.id, category || stored?.category);
+
+          // Archive the thread conversation before it is locked; the transcript is best effort
+          let transcript = null;
+          try {
+            transcript = await transcriptArchive.archive(dispute, thread);
+          } catch (error) {
+            logger.error(`❌ Could not archive transcript for dispute #${dispute.dispute_id}`, { dispute_id: dispute.dispute_id, thread_id: threadId, error });
+          }
+
+          const embed = buildDisputeResolvedEmbed(dispute, locale, transcript?.url);
+
+          const delivery = await deliveryQueue.enqueue({
+            channelId: thread.id,
+            payload: {
+              content: disputeMentionText(dispute, staffRoleIds) + getResolutionText(dispute, locale),
+              embeds: [embed.toJSON()],
+              allowedMentions: disputeAllowedMentions(dispute, staffRoleIds),
+            },
+            // The thread is locked and archived once this message has been delivered
+            meta: { type: 'dispute.resolved', disputeId: dispute.dispute_id, closeThread: true },
+          });
+
+          if (delivery.status !== 'failed') {
+            disputeThreads.save(dispute.dispute_id, { threadId, status: 'resolved' });
+            logger.info(`✅ Dispute #${dispute.dispute_id} resolution ${delivery.status === 'delivered' ? 'posted' : 'queued'} for thread ${threadId}`, { dispute_id: dispute.dispute_id, thread_id: threadId, delivery_id: delivery.id });
+            return { delivery, ...(transcript && { transcript }) };
+          }
+          logger.error(`❌ Could not post resolution to thread ${threadId}, falling back to dispute channel`, { dispute_id: dispute.dispute_id, thread_id: threadId, delivery_id: delivery.id });
+        }
+      } catch (error) {
+        logger.error(`❌ Error posting to thread ${threadId}`, { dispute_id: dispute.dispute_id, thread_id: threadId, error });
+      }
+    }
+
+    // Fallback: Send to dispute channel if thread not found
+    const destination = guildRouter.disputeDestination(category);
+    const channelId = destination?.channel_id;
+    if (!channelId) {
+      const categoryName = category ? getCategoryName(category) : 'general';
+      logger.warn(`⚠️  No dispute channel configured for ${categoryName}. Configure ${describeChannelSetting('dispute', category)}`, { category });
+      return;
+    }
+
+    const embed = buildDisputeResolvedEmbed(dispute, locale);
+    const { staff_role_ids: staffRoleIds } = guildRouter.staffRolesFor(destination.guild_id, category || stored?.category);
+
+    const delivery = await deliveryQueue.enqueue({
+      channelId,
+      payload: {
+        content: disputeMentionText(dispute, staffRoleIds) + getResolutionText(dispute, locale),
+        embeds: [embed.toJSON()],
+        allowedMentions: disputeAllowedMentions(dispute, staffRoleIds),
+      },
+      meta: { type: 'dispute.resolved', disputeId: dispute.dispute_id },
+    });
+
+    if (delivery.status === 'failed') {
+      throw new Error(`Dispute #${dispute.dispute_id} resolution could not be delivered to channel ${channelId}: ${delivery.error}`);
+    }
+
+    logger.info(`✅ Dispute #${dispute.dispute_id} resolution ${delivery.status === 'delivered' ? 'posted' : 'queued'} for channel ${channelId} (fallback)`, { dispute_id: dispute.dispute_id, channel_id: channelId, delivery_id: delivery.id });
+    return { delivery };
+  }
+
+  // Render a template with a normalized sample (or given) event for /preview, through the
+  // same builders the event handlers use
+  function renderPreview(name, event, locale, override = null, transcriptUrl = null) {
+    switch (name) {
+      case 'listing':
+      case 'listing.retired': {
+        const snapshot = {
+          images: [],
+          createdAt: new Date().toISOString(),
+          ...pickListingFields(event),
+        };
+        // The template is chosen by status, so make the status match the requested template
+        if (name === 'listing.retired' && !RETIRED_LISTING_STATUSES.has(snapshot.status)) snapshot.status = 'sold';
+        if (name === 'listing' && RETIRED_LISTING_STATUSES.has(snapshot.status)) delete snapshot.status;
+        return buildListingEmbed(event.listing_id, snapshot, locale, override);
+      }
+      case 'dispute.created':
+        return buildDisputeCreatedEmbed(event, locale, override);
+      case 'dispute.updated':
+        return buildDisputeUpdatedEmbed(event, event.old_status, locale, override);
+      case 'dispute.resolved':
+        return buildDisputeResolvedEmbed(event, locale, transcriptUrl, override);
+      default:
+        return orderNotifier.buildEmbed(name, event, locale, override);
+    }
+  }
+
+  // Guilds where the Verified Seller role is configured, with the Discord guild to manage it in.
+  // Without a guild ID (no DISCORD_GUILD_ID), the guild is the one the role belongs to.
+  function verifiedSellerGuilds() {
+    return guildRouter.list()
+      .filter(guild => guild.verified_seller_role_id)
+      .map(guild => ({
+        roleId: guild.verified_seller_role_id,
+        discordGuild: guild.guild_id === 'default'
+          ? client.guilds.cache.find(candidate => candidate.roles.cache.has(guild.verified_seller_role_id))
+          : client.guilds.cache.get(guild.guild_id),
+      }))
+      .filter(({ discordGuild }) => discordGuild);
+  }
+
+  // Give or take the Verified Seller role in every guild the user is a member of.
+  // Best-effort: a missing member or permission never fails the link itself.
+  async function syncVerifiedSellerRole(discordId, verified) {
+    const updated = [];
+    for (const { roleId, discordGuild } of verifiedSellerGuilds()) {
+      try {
+        const member = await discordGuild.members.fetch(discordId).catch(() => null);
+        if (!member || member.roles.cache.has(roleId) === verified) continue;
+
+        if (verified) {
+          await member.roles.add(roleId, 'Linked NXOLand account is a verified seller');
+        } else {
+          await member.roles.remove(roleId, 'NXOLand account unlinked or no longer a verified seller');
+        }
+        updated.push(discordGuild.id);
+        logger.info(`🏷️  Verified Seller role ${verified ? 'given to' : 'removed from'} ${discordId} in ${discordGuild.name}`, { user_id: discordId, guild_id: discordGuild.id });
+      } catch (error) {
+        logger.error(`❌ Could not update the Verified Seller role for ${discordId} in ${discordGuild.name}`, { user_id: discordId, guild_id: discordGuild.id, error });
+      }
+    }
+    return updated;
+  }
+
+  // The user confirmed a /link code on NXOLand. The code says which Discord user asked for it;
+  // a discord_id without a code is accepted for links made through the verification URL (OAuth).
+  async function handleAccountLinked(data) {
+    let discordId = data.discord_id || null;
+    if (data.code) {
+      const codeOwner = accountLinks.consumeCode(data.code);
+      if (!codeOwner) {
+        throw createValidationError('account.linked', [{ field: 'code', message: 'is unknown or expired' }]);
+      }
+      if (discordId && discordId !== codeOwner) {
+        throw createValidationError('account.linked', [{ field: 'discord_id', message: 'does not match the user the code was issued to' }]);
+      }
+      discordId = codeOwner;
+    }
+    if (!discordId) {
+      throw createValidationError('account.linked', [{ field: 'code', message: 'or discord_id is required' }]);
+    }
+
+    const previous = accountLinks.getByDiscordId(discordId);
+    const link = accountLinks.link(discordId, {
+      userId: data.user_id,
+      username: data.username || null,
+      verifiedSeller: data.verified_seller ?? previous?.verifiedSeller ?? false,
+    });
+    const roles = await syncVerifiedSellerRole(discordId, link.verifiedSeller);
+
+    // Confirm by DM only for new links - repeated events just refresh the cache
+    if (previous?.userId !== link.userId) {
+      const locale = resolveLocale(userLocales.get(discordId));
+      const lines = [t(locale, 'account.linked', { account: isolate(link.username) || `#${link.userId}` })];
+      if (link.verifiedSeller) lines.push(t(locale, 'account.linked.verified_seller'));
+      await deliveryQueue.enqueue({
+        op: 'dm',
+        userId: discordId,
+        payload: { content: lines.join('\n') },
+        meta: { type: 'account.linked', userId: link.userId },
+      });
+    }
+
+    logger.info(`🔗 NXOLand account #${link.userId} linked to Discord user ${discordId}`, { account_id: link.userId, user_id: discordId });
+    return { discord_id: discordId, user_id: link.userId, verified_seller: link.verifiedSeller, roles_updated: roles };
+  }
+
+  async function handleAccountUnlinked(data) {
+    const discordId = data.discord_id || accountLinks.getByUserId(data.user_id)?.discordId;
+    const link = discordId ? accountLinks.unlink(discordId) : null;
+    if (!link) {
+      logger.warn('⚠️  account.unlinked for an account that is not linked', { account_id: data.user_id, user_id: data.discord_id });
+      return { unlinked: false };
+    }
+
+    await syncVerifiedSellerRole(discordId, false);
+    const locale = resolveLocale(userLocales.get(discordId));
+    await deliveryQueue.enqueue({
+      op: 'dm',
+      userId: discordId,
+      payload: { content: t(locale, 'account.unlinked') },
+      meta: { type: 'account.unlinked', userId: link.userId },
+    });
+
+    logger.info(`🔗 NXOLand account #${link.userId} unlinked from Discord user ${discordId}`, { account_id: link.userId, user_id: discordId });
+    return { unlinked: true, discord_id: discordId, user_id: link.userId };
+  }
+
+  // Fill in buyer/seller Discord IDs from the link cache when the backend only sends NXOLand user IDs
+  function withLinkedAccounts(data) {
+    const resolved = { ...data };
+    for (const role of ['buyer', 'seller']) {
+      if (!resolved[`${role}_discord_id`] && resolved[`${role}_id`]) {
+        const link = accountLinks.getByUserId(resolved[`${role}_id`]);
+        if (link) resolved[`${role}_discord_id`] = link.discordId;
+      }
+    }
+    return resolved;
+  }
+
+  // Webhook event handlers. Listing, dispute and order events get buyer/seller Discord IDs
+  // filled in from linked accounts first.
+  const eventHandlers = createEventRegistry()
+    .register('listing.created', data => handleListingCreated(withLinkedAccounts(data)))
+    .register('listing.updated', data => handleListingUpdated(withLinkedAccounts(data)))
+    .register('listing.status_changed', data => handleListingUpdated(withLinkedAccounts(data)))
+    .register('dispute.created', data => handleDisputeCreated(withLinkedAccounts(data)))
+    .register('dispute.updated', data => handleDisputeUpdated(withLinkedAccounts(data)))
+    .register('dispute.resolved', data => handleDisputeResolved(withLinkedAccounts(data)))
+    .register('account.linked', handleAccountLinked)
+    .register('account.unlinked', handleAccountUnlinked);
+
+  for (const eventType of Object.keys(ORDER_EVENTS)) {
+    eventHandlers.register(eventType, data => orderNotifier.handle(eventType, withLinkedAccounts(data)));
+  }
+
+  // Handle an event raised inside the bot (slash commands) like a webhook event: validated and
+  // normalized against its schema first
+  function dispatchEvent(eventType, data) {
+    const { value, errors } = validateEvent(eventType, data);
+    if (errors.length > 0) throw createValidationError(eventType, errors);
+    return eventHandlers.dispatch(eventType, value);
+  }
+
+  // Slash command interactions
+  client.on('interactionCreate', createInteractionHandler({
+    backend,
+    userLocales,
+    alerts,
+    categories,
+    deliveryQueue,
+    listingMessages,
+    listingWatchers,
+    listingIndex,
+    frontendUrl: FRONTEND_URL,
+    moderationChannelId: DISCORD_MODERATION_CHANNEL_ID,
+    reportCallbackUrl: LISTING_REPORT_CALLBACK_URL,
+    guildRouter,
+    accountLinks,
+    linkCodeUrl: LINK_CALLBACK_URL,
+    linkVerifyUrl: LINK_VERIFY_URL,
+    syncVerifiedSellerRole,
+    disputeThreads,
+    transcriptArchive,
+    // /dispute goes through the same validation and account linking as the webhooks
+    handleDisputeUpdated: data => dispatchEvent('dispute.updated', data),
+    handleDisputeResolved: data => dispatchEvent('dispute.resolved', data),
+  }));
+
+  // Forward buyer/seller messages in dispute threads to the backend as evidence
+  client.on('messageCreate', createEvidenceCollector({
+    backend,
+    disputeThreads,
+    callbackUrl: EVIDENCE_CALLBACK_URL,
+  }));
+
+  // Track buyer/seller activity in dispute threads for the SLA scheduler
+  client.on('messageCreate', disputeSla.handleMessage);
+
+  // Error handling
+  client.on('error', (error) => {
+    logger.error('❌ Discord client error', { error });
+  });
+
+  // Legacy /webhook/listing: post one listing to the primary guild's listing channel.
+  // Returns the channel and delivery; throws (statusCode 500) when no channel is configured.
+  async function handleLegacyListing(data) {
+    const listing = withLinkedAccounts(data);
+    const channelId = getListingChannelId(listing.category);
+    if (!channelId) {
+      const category = listing.category;
+      const categoryName = category ? getCategoryName(category) : 'general';
+      const error = new Error(`No listing channel configured for ${categoryName}. Set ${describeChannelSetting('listing', category)}`);
+      error.statusCode = 500;
+      throw error;
+    }
+
+    // Remember the listing so later listing.updated events can rebuild the embed
+    const snapshot = listingMessages.saveListing(listing.listing_id, {
+      category: null,
+      description: null,
+      images: [],
+      createdAt: new Date().toISOString(),
+      ...pickListingFields(listing),
+    });
+    listingIndex.update(listing.listing_id, snapshot);
+    if (categories.get(listing.category)?.paused) {
+      logger.info(`⏸️  Listing ${listing.listing_id} not posted: notifications for ${getCategoryName(listing.category)} are paused`, { listing_id: listing.listing_id, category: listing.category });
+      return { channelId, delivery: { status: 'paused' } };
+    }
+
+    const destination = guildRouter.listingDestinations(listing.category).find(candidate => candidate.channel_id === channelId);
+    const locale = getListingLocale(destination, listing.category);
+    const delivery = await deliveryQueue.enqueue({
+      channelId,
+      payload: buildListingPayload(listing.listing_id, snapshot, locale),
+      meta: { type: 'listing.created', listingId: listing.listing_id, locale },
+    });
+    return { channelId, delivery };
+  }
+
+  // Admin API: post a stored listing again - to every destination of its category, or to one
+  // channel - without pinging roles. The new posts are recorded so later updates edit them too.
+  async function repostListing(listingId, { channelId = null } = {}) {
+    const snapshot = listingMessages.get(listingId)?.listing;
+    if (!snapshot?.title) {
+      const error = new Error(`Unknown listing: ${listingId}`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const routed = guildRouter.listingDestinations(snapshot.category);
+    const destinations = channelId
+      ? [routed.find(destination => destination.channel_id === channelId) || { guild_id: null, channel_id: channelId }]
+      : routed;
+    if (destinations.length === 0) {
+      const error = new Error(`No listing channel configured for ${getCategoryName(snapshot.category) || 'general'}`);
+      error.statusCode = 422;
+      throw error;
+    }
+
+    const results = [];
+    for (const destination of destinations) {
+      const locale = getListingLocale(destination, snapshot.category);
+      const delivery = await postListing(listingId, snapshot, { ...destination, ping_role_id: null }, locale);
+      results.push({ guild_id: destination.guild_id, channel_id: destination.channel_id, delivery });
+    }
+    return { listing_id: String(listingId), destinations: results };
+  }
+
+  // Admin API: post a sample listing or dispute embed (rendered with the category's templates)
+  // to the category's channel in the primary guild, to check the channel and permissions
+  async function sendTestMessage(category, kind = 'listing') {
+    if (!categories.get(category)) {
+      const error = new Error(`Unknown category: ${category}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    const channelId = kind === 'dispute' ? getDisputeChannelId(category) : getListingChannelId(category);
+    if (!channelId) {
+      const error = new Error(`No ${kind} channel configured for ${getCategoryName(category)}. Set ${describeChannelSetting(kind, category)}`);
+      error.statusCode = 422;
+      throw error;
+    }
+
+    const template = kind === 'dispute' ? 'dispute.created' : 'listing';
+    const { value: sample } = validateEvent(kind === 'dispute' ? 'dispute.created' : 'listing.updated', { ...PREVIEW_SAMPLES[template], category });
+    const locale = resolveLocale(categories.get(category).locale);
+    const delivery = await deliveryQueue.enqueue({
+      channelId,
+      payload: {
+        content: '🧪 Test message from the admin API (sample data, no action needed)',
+        embeds: [renderPreview(template, sample, locale).toJSON()],
+        allowedMentions: { parse: [] },
+      },
+      meta: { type: 'admin.test', category, kind },
+    });
+    logger.info(`🧪 Test ${kind} message for ${getCategoryName(category)} ${delivery.status === 'failed' ? 'failed' : 'sent'} (channel ${channelId})`, { category, channel_id: channelId, delivery_id: delivery.id });
+    return { channel_id: channelId, delivery };
+  }
+
+  // Stop timers and file watchers (tests, shutdown)
+  function stop() {
+    deliveryQueue.stop();
+    disputeSla.stop();
+    listingBatches.stop();
+    categories.unwatch();
+    guildRouter.unwatch();
+    templates.unwatch();
+  }
+
+  // Shutdown: stop the schedulers, post the pending listing batches and wait (at most timeoutMs)
+  // for deliveries in flight, then stop. Queued deliveries survive the restart.
+  async function shutdown({ timeoutMs = 5000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    disputeSla.stop();
+    listingBatches.stop();
+    const flushed = await listingBatches.flush();
+    if (flushed.length > 0) {
+      logger.info(`🗂️  Flushed ${flushed.length} pending listing batch(es)`);
+    }
+    const unfinished = await deliveryQueue.whenIdle(Math.max(0, deadline - Date.now()));
+    if (unfinished > 0) {
+      logger.warn(`⚠️  ${unfinished} delivery attempt(s) still in flight - they stay queued for the next start`);
+    }
+    stop();
+  }
+
+  return {
+    config,
+    client,
+    backend,
+    deliveryQueue,
+    listingMessages,
+    disputeThreads,
+    processedEvents,
+    transcriptArchive,
+    categories,
+    guildRouter,
+    templates,
+    accountLinks,
+    userLocales,
+    alerts,
+    orders,
+    disputeSla,
+    eventHandlers,
+    handleLegacyListing,
+    renderPreview,
+    checkChannels,
+    isDiscordReady,
+    gatewayStatus,
+    listingBatches,
+    listingIndex,
+    backfillListingIndex,
+    auditLog,
+    repostListing,
+    sendTestMessage,
+    onReady,
+    shutdown,
+    stop,
+  };
+}
@@ -0,0 +1,319 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { isSupportedLocale, SUPPORTED_LOCALES, t, DEFAULT_LOCALE } from './i18n.js';
+import { createJsonStore } from './store.js';
+import { logger } from './logger.js';
+
+// Built-in categories, used when no registry file or endpoint defines them
+export const DEFAULT_CATEGORIES = [
+  { code: 'wos_accounts', name: 'Whiteout Survival', emoji: '❄️', color: 0x5DADE2 },
+  { code: 'kingshot_accounts', name: 'KingShot', emoji: '👑', color: 0xF1C40F },
+  { code: 'pubg_accounts', name: 'PUBG Mobile', emoji: '🔫', color: 0xE67E22 },
+  { code: 'fortnite_accounts', name: 'Fortnite', emoji: '🎯', color: 0x9B59B6 },
+  { code: 'tiktok_accounts', name: 'TikTok', emoji: '🎵', color: 0x010101 },
+  { code: 'instagram_accounts', name: 'Instagram', emoji: '📸', color: 0xE1306C },
+];
+
+const DEFAULT_COLOR = 0x00AE86;
+
+// How new listings reach a category's channels: one post per listing, a combined post every
+// batch_minutes, or an hourly/daily digest
+export const LISTING_DELIVERY_MODES = ['instant', 'batched', 'digest'];
+export const DIGEST_SCHEDULES = ['hourly', 'daily'];
+
+// Category fields the admin API can override at runtime (persisted on top of the registry)
+export const OVERRIDABLE_FIELDS = [
+  'listing_channel_id',
+  'dispute_channel_id',
+  'ping_role_id',
+  'staff_role_ids',
+  'escalation_role_id',
+  'locale',
+  'delivery_mode',
+  'batch_minutes',
+  'digest_schedule',
+  'digest_hour',
+  'paused',
+];
+const SNOWFLAKE = /^\d{17,20}$/;
+const CATEGORY_CODE = /^[a-z0-9][a-z0-9_-]*$/;
+
+// Category label for embeds and command replies, e.g. "❄️ Whiteout Survival"
+export function categoryLabel(registry, code, locale = DEFAULT_LOCALE) {
+  const category = registry.get(code);
+  if (!category) return code || t(locale, 'common.na');
+  return category.emoji ? `${category.emoji} ${category.name}` : category.name;
+}
+
+// Legacy per-category env var names, e.g. DISCORD_LISTING_CHANNEL_WOS_ACCOUNTS
+export function legacyEnvVar(kind, code) {
+  return `DISCORD_${kind.toUpperCase()}_CHANNEL_${code.toUpperCase().replace(/-/g, '_')}`;
+}
+
+function parseColor(color) {
+  if (typeof color === 'number') return color;
+  if (typeof color === 'string' && /^#?[0-9a-f]{6}$/i.test(color)) return parseInt(color.replace('#', ''), 16);
+  return undefined;
+}
+
+// Accept either { categories: [...] }, a plain array, or an object keyed by category code
+function toCategoryList(document) {
+  const categories = document?.categories ?? document;
+  if (Array.isArray(categories)) return categories;
+  if (categories && typeof categories === 'object') {
+    return Object.entries(categories).map(([code, category]) => ({ code, ...category }));
+  }
+  throw new Error('Category registry must be a list of categories or an object keyed by category code');
+}
+
+// Validate raw category definitions. Returns a list of error messages (empty when valid).
+export function validateCategories(categories) {
+  const errors = [];
+  const seen = new Set();
+
+  categories.forEach((category, index) => {
+    const label = category?.code ? `"${category.code}"` : `#${index}`;
+    if (!category || typeof category !== 'object') {
+      errors.push(`Category ${label}: must be an object`);
+      return;
+    }
+    if (typeof category.code !== 'string' || !CATEGORY_CODE.test(category.code)) {
+      errors.push(`Category ${label}: code must be lowercase letters, digits, "_" or "-"`);
+    } else if (seen.has(category.code)) {
+      errors.push(`Category ${label}: duplicate code`);
+    }
+    seen.add(category.code);
+
+    if (category.name !== undefined && (typeof category.name !== 'string' || !category.name.trim())) {
+      errors.push(`Category ${label}: name must be a non-empty string`);
+    }
+    if (category.locale !== undefined && category.locale !== null && !isSupportedLocale(category.locale)) {
+      errors.push(`Category ${label}: locale must be one of ${SUPPORTED_LOCALES.join(', ')}`);
+    }
+    if (category.color !== undefined && parseColor(category.color) === undefined) {
+      errors.push(`Category ${label}: color must be a number or a hex string like "#00AE86"`);
+    }
+    for (const field of ['listing_channel_id', 'dispute_channel_id', 'ping_role_id', 'escalation_role_id']) {
+      const value = category[field];
+      if (value !== undefined && value !== null && value !== '' && !SNOWFLAKE.test(String(value))) {
+        errors.push(`Category ${label}: ${field} must be a Discord ID`);
+      }
+    }
+    const staffRoles = category.staff_role_ids;
+    if (staffRoles !== undefined && staffRoles !== null
+      && !(Array.isArray(staffRoles) && staffRoles.every(id => SNOWFLAKE.test(String(id))))) {
+      errors.push(`Category ${label}: staff_role_ids must be a list of Discord role IDs`);
+    }
+    if (category.delivery_mode !== undefined && !LISTING_DELIVERY_MODES.includes(category.delivery_mode)) {
+      errors.push(`Category ${label}: delivery_mode must be one of ${LISTING_DELIVERY_MODES.join(', ')}`);
+    }
+    if (category.batch_minutes !== undefined
+      && !(Number.isInteger(category.batch_minutes) && category.batch_minutes >= 1 && category.batch_minutes <= 1440)) {
+      errors.push(`Category ${label}: batch_minutes must be a whole number of minutes between 1 and 1440`);
+    }
+    if (category.digest_schedule !== undefined && !DIGEST_SCHEDULES.includes(category.digest_schedule)) {
+      errors.push(`Category ${label}: digest_schedule must be one of ${DIGEST_SCHEDULES.join(', ')}`);
+    }
+    if (category.digest_hour !== undefined
+      && !(Number.isInteger(category.digest_hour) && category.digest_hour >= 0 && category.digest_hour <= 23)) {
+      errors.push(`Category ${label}: digest_hour must be an hour between 0 and 23`);
+    }
+    if (category.paused !== undefined && typeof category.paused !== 'boolean') {
+      errors.push(`Category ${label}: paused must be true or false`);
+    }
+  });
+
+  return errors;
+}
+
+// Fill in defaults and legacy env var channels
+function normalizeCategories(categories, env) {
+  return categories.map(category => {
+    const builtIn = DEFAULT_CATEGORIES.find(defaults => defaults.code === category.code) || {};
+    return {
+      code: category.code,
+      name: category.name || builtIn.name || category.code,
+      emoji: category.emoji || builtIn.emoji || '',
+      color: parseColor(category.color) ?? builtIn.color ?? DEFAULT_COLOR,
+      listing_channel_id: String(category.listing_channel_id || env[legacyEnvVar('listing', category.code)] || '') || null,
+      dispute_channel_id: String(category.dispute_channel_id || env[legacyEnvVar('dispute', category.code)] || '') || null,
+      ping_role_id: category.ping_role_id ? String(category.ping_role_id) : null,
+      staff_role_ids: (category.staff_role_ids || []).map(String),
+      escalation_role_id: category.escalation_role_id ? String(category.escalation_role_id) : null,
+      locale: category.locale || null,
+      delivery_mode: category.delivery_mode || 'instant',
+      batch_minutes: category.batch_minutes ?? 10,
+      digest_schedule: category.digest_schedule || 'daily',
+      digest_hour: category.digest_hour ?? 9,
+      paused: category.paused === true,
+    };
+  });
+}
+
+// Categories that only exist as legacy env vars (DISCORD_LISTING_CHANNEL_<CODE>)
+function envOnlyCategories(env, knownCodes) {
+  const codes = new Set();
+  for (const [name, value] of Object.entries(env)) {
+    const match = name.match(/^DISCORD_(?:LISTING|DISPUTE)_CHANNEL_(.+)$/);
+    if (match && match[1] !== 'ID' && value) {
+      codes.add(match[1].toLowerCase());
+    }
+  }
+  return [...codes].filter(code => !knownCodes.has(code)).map(code => ({ code }));
+}
+
+// Category registry: display name, emoji, embed color, listing/dispute channels, ping role,
+// staff/escalation roles for dispute threads, message locale and listing delivery mode per category. Loaded from CATEGORIES_FILE (JSON or YAML) or CATEGORIES_URL (Laravel),
+// falling back to the built-in categories and the legacy per-category env vars.
+// Runtime overrides from the admin API (channels, roles, delivery mode, paused) are stored in
+// overridesFile and applied on top of every load. The last registry fetched from CATEGORIES_URL
+// is kept in cacheFile, so the bot still starts while the backend is down.
+export function createCategoryRegistry({
+  file,
+  url,
+  backend,
+  refreshMs = 5 * 60 * 1000,
+  env = process.env,
+  overridesFile = 'category-overrides.json',
+  cacheFile = 'categories-cache.json',
+}) {
+  let categories = new Map();
+  let definitions = [];
+  let source = 'defaults';
+  let watcher = null;
+  let timer = null;
+  // categories: code -> overridden fields
+  const overrides = createJsonStore(overridesFile, { categories: {} });
+  const cache = url ? createJsonStore(cacheFile, { url: null, fetched_at: null, categories: null }) : null;
+  let loaded = false;
+
+  function applyOverrides() {
+    const merged = definitions.map(category => ({ ...category, ...overrides.data.categories[category.code] }));
+    const normalized = normalizeCategories(merged, env);
+    categories = new Map(normalized.map(category => [category.code, category]));
+    return normalized;
+  }
+
+  // The first load falls back to the cached copy of CATEGORIES_URL, then to CATEGORIES_FILE or the
+  // built-in categories, when the backend can't be reached. Reloads keep the current registry instead.
+  async function readDefinitions() {
+    if (url) {
+      try {
+        const response = await backend.get(url);
+        return { list: toCategoryList(response?.data ?? response), from: url, fetched: true };
+      } catch (error) {
+        if (loaded) throw error;
+        if (cache.data.categories && cache.data.url === url) {
+          logger.warn(`⚠️  Could not fetch the category registry from ${url} - using the copy cached at ${cache.data.fetched_at}`, { url, error });
+          return { list: cache.data.categories, from: `${url} (cached ${cache.data.fetched_at})` };
+        }
+        logger.warn(`⚠️  Could not fetch the category registry from ${url} and there is no cached copy - using ${file && fs.existsSync(file) ? file : 'the built-in categories'} until it can be fetched`, { url, error });
+      }
+    }
+    if (file && fs.existsSync(file)) {
+      const text = fs.readFileSync(file, 'utf8');
+      const document = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+      return { list: toCategoryList(document), from: file };
+    }
+    return { list: DEFAULT_CATEGORIES, from: 'defaults' };
+  }
+
+  // Load (or reload) the registry. Throws on invalid definitions and keeps the previous registry.
+  async function load() {
+    const { list, from, fetched } = await readDefinitions();
+    const errors = validateCategories(list);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid category registry (${from}):\n  - ${errors.join('\n  - ')}`);
+      error.errors = errors;
+      throw error;
+    }
+
+    if (fetched) {
+      Object.assign(cache.data, { url, fetched_at: new Date().toISOString(), categories: list });
+      cache.save();
+    }
+    loaded = true;
+
+    const knownCodes = new Set(list.map(category => category.code));
+    definitions = [...list, ...envOnlyCategories(env, knownCodes)];
+    source = from;
+    return applyOverrides();
+  }
+
+  // Override fields of a category at runtime. A null value drops the override, so the field
+  // falls back to the registry. Throws (statusCode 404/422) and changes nothing when invalid.
+  function setOverrides(code, changes) {
+    const definition = definitions.find(category => category.code === code);
+    if (!definition) {
+      const error = new Error(`Unknown category: ${code}`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const unknownFields = Object.keys(changes).filter(field => !OVERRIDABLE_FIELDS.includes(field));
+    const next = { ...overrides.data.categories[code] };
+    for (const [field, value] of Object.entries(changes)) {
+      if (unknownFields.includes(field)) continue;
+      if (value === null) delete next[field];
+      else next[field] = value;
+    }
+    const errors = [
+      ...unknownFields.map(field => `Category "${code}": ${field} cannot be changed at runtime`),
+      ...validateCategories([{ ...definition, ...next }]),
+    ];
+    if (errors.length > 0) {
+      const error = new Error(`Invalid changes for category "${code}":\n  - ${errors.join('\n  - ')}`);
+      error.statusCode = 422;
+      error.errors = errors;
+      throw error;
+    }
+
+    if (Object.keys(next).length > 0) overrides.data.categories[code] = next;
+    else delete overrides.data.categories[code];
+    overrides.save();
+    applyOverrides();
+    return categories.get(code);
+  }
+
+  async function reload() {
+    try {
+      const loaded = await load();
+      logger.info(`🔄 Category registry reloaded from ${source} (${loaded.length} categories)`);
+      return loaded;
+    } catch (error) {
+      logger.error('❌ Category registry reload failed, keeping previous configuration', { error });
+      throw error;
+    }
+  }
+
+  return {
+    load,
+    reload,
+    setOverrides,
+    get: (code) => (code ? categories.get(code) || null : null),
+    list: () => [...categories.values()],
+    overrides: () => overrides.data.categories,
+    get source() {
+      return source;
+    },
+
+    // Hot reload: watch the file, or poll the backend endpoint
+    watch() {
+      if (url) {
+        timer = setInterval(() => reload().catch(() => {}), refreshMs);
+      } else if (file && fs.existsSync(file)) {
+        let debounce = null;
+        watcher = fs.watch(path.resolve(file), () => {
+          clearTimeout(debounce);
+          debounce = setTimeout(() => reload().catch(() => {}), 500);
+        });
+      }
+    },
+
+    unwatch() {
+      clearInterval(timer);
+      watcher?.close();
+    },
+  };
+}
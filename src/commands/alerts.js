@@ -0,0 +1,132 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { parseKeywords } from '../alerts.js';
+
+// /alerts - personal listing alerts delivered by DM
+export const data = new SlashCommandBuilder()
+  .setName('alerts')
+  .setDescription('Get a DM when a matching listing is posted')
+  .addSubcommand(subcommand => subcommand
+    .setName('add')
+    .setDescription('Save a search and get a DM for new matching listings')
+    .addStringOption(option => option
+      .setName('category')
+      .setDescription('Game / category')
+      .setAutocomplete(true))
+    .addNumberOption(option => option
+      .setName('min_price')
+      .setDescription('Minimum price')
+      .setMinValue(0))
+    .addNumberOption(option => option
+      .setName('max_price')
+      .setDescription('Maximum price')
+      .setMinValue(0))
+    .addStringOption(option => option
+      .setName('keywords')
+      .setDescription('Words that must appear in the title or description, e.g. "F2P, max level"')
+      .setMaxLength(200)))
+  .addSubcommand(subcommand => subcommand
+    .setName('list')
+    .setDescription('Show your saved alerts'))
+  .addSubcommand(subcommand => subcommand
+    .setName('remove')
+    .setDescription('Remove a saved alert')
+    .addStringOption(option => option
+      .setName('id')
+      .setDescription('Alert ID from /alerts list')
+      .setRequired(true)
+      .setAutocomplete(true)))
+  .addSubcommand(subcommand => subcommand
+    .setName('pause')
+    .setDescription('Stop all alert DMs (your alerts are kept)'))
+  .addSubcommand(subcommand => subcommand
+    .setName('resume')
+    .setDescription('Resume alert DMs'));
+
+function describeSearch(search, categories) {
+  const parts = [];
+  parts.push(search.category ? categories.get(search.category)?.name || search.category : 'Any category');
+  if (search.min_price != null && search.max_price != null) parts.push(`$${search.min_price} - $${search.max_price}`);
+  else if (search.min_price != null) parts.push(`from $${search.min_price}`);
+  else if (search.max_price != null) parts.push(`under $${search.max_price}`);
+  if (search.keywords?.length > 0) parts.push(`keywords: ${search.keywords.map(keyword => `"${keyword}"`).join(', ')}`);
+  return parts.join(' • ');
+}
+
+export async function autocomplete(interaction, { alerts, categories }) {
+  const focused = interaction.options.getFocused(true);
+  const query = focused.value.toLowerCase();
+
+  let choices = [];
+  if (focused.name === 'category') {
+    choices = categories.list().map(category => ({ name: category.name, value: category.code }));
+  } else if (focused.name === 'id') {
+    choices = alerts.list(interaction.user.id).map(search => ({
+      name: `${search.id} - ${describeSearch(search, categories)}`.substring(0, 100),
+      value: search.id,
+    }));
+  }
+
+  await interaction.respond(choices.filter(choice => choice.name.toLowerCase().includes(query)).slice(0, 25));
+}
+
+export async function execute(interaction, { alerts, categories }) {
+  const subcommand = interaction.options.getSubcommand();
+  const userId = interaction.user.id;
+
+  switch (subcommand) {
+    case 'add': {
+      const category = interaction.options.getString('category');
+      const minPrice = interaction.options.getNumber('min_price');
+      const maxPrice = interaction.options.getNumber('max_price');
+      const keywords = parseKeywords(interaction.options.getString('keywords'));
+
+      if (category && !categories.get(category)) {
+        return interaction.reply({ content: `⚠️ Unknown category: ${category}`, ephemeral: true });
+      }
+      if (minPrice != null && maxPrice != null && minPrice > maxPrice) {
+        return interaction.reply({ content: '⚠️ min_price must be lower than max_price.', ephemeral: true });
+      }
+      if (!category && minPrice == null && maxPrice == null && keywords.length === 0) {
+        return interaction.reply({ content: '⚠️ Add at least one filter: category, price or keywords.', ephemeral: true });
+      }
+
+      const search = alerts.add(userId, { category, min_price: minPrice, max_price: maxPrice, keywords });
+      const paused = alerts.isOptedOut(userId) ? '\n⏸️ Your alerts are paused - use `/alerts resume` to receive DMs.' : '';
+      return interaction.reply({
+        content: `🔔 Alert \`${search.id}\` saved: ${describeSearch(search, categories)}\nMake sure your DMs are open for this server.${paused}`,
+        ephemeral: true,
+      });
+    }
+
+    case 'list': {
+      const searches = alerts.list(userId);
+      if (searches.length === 0) {
+        return interaction.reply({ content: 'You have no alerts. Create one with `/alerts add`.', ephemeral: true });
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle('🔔 Your Listing Alerts')
+        .setDescription(searches.map(search => `\`${search.id}\` ${describeSearch(search, categories)}`).join('\n'))
+        .setColor(0x5865F2)
+        .setFooter({ text: `${searches.length}/${alerts.maxSearches} alerts${alerts.isOptedOut(userId) ? ' • Paused' : ''}` });
+      return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    case 'remove': {
+      const id = interaction.options.getString('id', true);
+      const removed = alerts.remove(userId, id);
+      return interaction.reply({ content: removed ? `🗑️ Alert \`${id}\` removed.` : `⚠️ No alert with ID \`${id}\`.`, ephemeral: true });
+    }
+
+    case 'pause':
+      alerts.setOptedOut(userId, true);
+      return interaction.reply({ content: '⏸️ Alert DMs paused. Your alerts are kept - use `/alerts resume` to turn them back on.', ephemeral: true });
+
+    case 'resume':
+      alerts.setOptedOut(userId, false);
+      return interaction.reply({ content: '▶️ Alert DMs resumed.', ephemeral: true });
+
+    default:
+      return interaction.reply({ content: `⚠️ Unknown subcommand: ${subcommand}`, ephemeral: true });
+  }
+}
@@ -0,0 +1,158 @@
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
+import { getDisputeStatusLabel } from '../disputeThreads.js';
+import { isStaffMember } from '../staff.js';
+
+// /dispute - staff actions on the dispute whose thread the command is used in.
+// Every action is sent to the Laravel API first; Discord is only updated once Laravel accepts it.
+export const data = new SlashCommandBuilder()
+  .setName('dispute')
+  .setDescription('Manage the dispute in this thread')
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageThreads)
+  .setDMPermission(false)
+  .addSubcommand(subcommand => subcommand
+    .setName('status')
+    .setDescription('Show the current status of this dispute'))
+  .addSubcommand(subcommand => subcommand
+    .setName('add-member')
+    .setDescription('Add a member to this dispute thread')
+    .addUserOption(option => option
+      .setName('user')
+      .setDescription('Member to add')
+      .setRequired(true)))
+  .addSubcommand(subcommand => subcommand
+    .setName('escalate')
+    .setDescription('Escalate this dispute')
+    .addStringOption(option => option
+      .setName('reason')
+      .setDescription('Why the dispute is escalated')
+      .setMaxLength(1000)))
+  .addSubcommand(subcommand => subcommand
+    .setName('transcript')
+    .setDescription('Get a fresh link to the transcript of this resolved dispute'))
+  .addSubcommand(subcommand => subcommand
+    .setName('resolve')
+    .setDescription('Resolve this dispute')
+    .addStringOption(option => option
+      .setName('outcome')
+      .setDescription('Resolution outcome')
+      .setRequired(true)
+      .addChoices(
+        { name: 'In favor of buyer', value: 'buyer' },
+        { name: 'In favor of seller', value: 'seller' },
+        { name: 'Refund', value: 'refund' },
+      ))
+    .addStringOption(option => option
+      .setName('notes')
+      .setDescription('Resolution notes')
+      .setMaxLength(1000)));
+
+export async function execute(interaction, { backend, guildRouter, disputeThreads, transcriptArchive, handleDisputeUpdated, handleDisputeResolved }) {
+  const dispute = disputeThreads.findByThread(interaction.channelId);
+  if (!isStaffMember(interaction.member, guildRouter.staffRolesFor(interaction.guildId, dispute?.category))) {
+    return interaction.reply({ content: '⛔ Only staff can manage disputes.', ephemeral: true });
+  }
+
+  if (!dispute) {
+    return interaction.reply({ content: '⚠️ This command can only be used inside a dispute thread.', ephemeral: true });
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const disputeId = dispute.disputeId;
+  const actor = { discord_id: interaction.user.id, username: interaction.user.username };
+  const subcommand = interaction.options.getSubcommand();
+
+  switch (subcommand) {
+    case 'status': {
+      let current = null;
+      try {
+        const response = await backend.get(`/disputes/${disputeId}`);
+        current = response?.dispute || response;
+      } catch (error) {
+        console.error(`❌ Could not fetch dispute #${disputeId} from backend:`, error.message);
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle(`⚖️ Dispute #${disputeId}`)
+        .addFields(
+          { name: '📊 Status', value: getDisputeStatusLabel(current?.status || dispute.status), inline: true },
+          { name: '📦 Order ID', value: dispute.orderId ? `#${dispute.orderId}` : 'N/A', inline: true },
+        )
+        .setColor(0x5865F2)
+        .setTimestamp()
+        .setFooter({ text: current ? 'NXOLand Dispute System' : 'NXOLand Dispute System • Backend unavailable, showing last known status' });
+
+      if (current?.reason) {
+        embed.addFields({ name: '📋 Reason', value: current.reason });
+      }
+
+      return interaction.editReply({ embeds: [embed] });
+    }
+
+    case 'add-member': {
+      const user = interaction.options.getUser('user', true);
+      await backend.post(`/disputes/${disputeId}/members`, { discord_id: user.id, actor, source: 'discord' });
+      await interaction.channel.members.add(user.id, `Added to dispute by ${interaction.user.tag}`);
+
+      console.log(`👤 ${user.tag} added to dispute #${disputeId} thread by ${interaction.user.tag}`);
+      return interaction.editReply(`✅ <@${user.id}> was added to this dispute.`);
+    }
+
+    case 'escalate': {
+      const reason = interaction.options.getString('reason');
+      await backend.post(`/disputes/${disputeId}/escalate`, { reason, actor, source: 'discord' });
+
+      await handleDisputeUpdated({
+        dispute_id: disputeId,
+        order_id: dispute.orderId,
+        discord_thread_id: dispute.threadId,
+        old_status: dispute.status,
+        status: 'escalated',
+        notes: reason,
+        updated_by_username: interaction.user.username,
+      });
+
+      return interaction.editReply('🚨 Dispute escalated.');
+    }
+
+    case 'resolve': {
+      const resolution = interaction.options.getString('outcome', true);
+      const notes = interaction.options.getString('notes');
+      const response = await backend.post(`/disputes/${disputeId}/resolve`, { resolution, notes, actor, source: 'discord' });
+
+      // Post the same resolution embed a dispute.resolved webhook would produce. The backend's copy
+      // of the dispute only fills in what the thread record doesn't know (buyer/seller IDs).
+      // Laravel's own dispute.resolved webhook that follows is skipped, the dispute being resolved.
+      await handleDisputeResolved({
+        ...response?.dispute,
+        dispute_id: disputeId,
+        order_id: dispute.orderId,
+        category: dispute.category || response?.dispute?.category,
+        buyer_discord_id: dispute.buyerDiscordId || response?.dispute?.buyer_discord_id,
+        seller_discord_id: dispute.sellerDiscordId || response?.dispute?.seller_discord_id,
+        discord_thread_id: dispute.threadId,
+        resolution,
+        resolution_notes: notes,
+        resolver_username: interaction.user.username,
+        resolved_at: new Date().toISOString(),
+      });
+
+      return interaction.editReply(`✅ Dispute #${disputeId} resolved (${resolution}).`);
+    }
+
+    case 'transcript': {
+      // The link in the resolution message expires after TRANSCRIPT_LINK_TTL_HOURS; this signs a new one
+      const transcript = transcriptArchive.get(disputeId);
+      if (!transcript) {
+        return interaction.editReply('⚠️ No transcript has been archived for this dispute yet.');
+      }
+      if (!transcript.url) {
+        return interaction.editReply('⚠️ The transcript is archived but cannot be linked without PUBLIC_URL and TRANSCRIPT_LINK_SECRET. Get it from GET /admin/transcripts.');
+      }
+      return interaction.editReply(`📄 Transcript of dispute #${disputeId}: ${transcript.url}`);
+    }
+
+    default:
+      return interaction.editReply(`⚠️ Unknown subcommand: ${subcommand}`);
+  }
+}
@@ -0,0 +1,40 @@
+import { SlashCommandBuilder, PermissionFlagsBits, AttachmentBuilder } from 'discord.js';
+import { fetchAllMessages, toTranscriptEntry, renderTextTranscript } from '../transcript.js';
+import { isStaffMember } from '../staff.js';
+
+// /evidence export - transcript of the dispute thread the command is used in
+export const data = new SlashCommandBuilder()
+  .setName('evidence')
+  .setDescription('Dispute evidence tools')
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageThreads)
+  .setDMPermission(false)
+  .addSubcommand(subcommand => subcommand
+    .setName('export')
+    .setDescription('Export a transcript of this dispute thread'));
+
+export async function execute(interaction, { guildRouter, disputeThreads }) {
+  const dispute = disputeThreads.findByThread(interaction.channelId);
+  if (!isStaffMember(interaction.member, guildRouter.staffRolesFor(interaction.guildId, dispute?.category))) {
+    return interaction.reply({ content: '⛔ Only staff can export evidence.', ephemeral: true });
+  }
+
+  if (!dispute) {
+    return interaction.reply({ content: '⚠️ This command can only be used inside a dispute thread.', ephemeral: true });
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const messages = await fetchAllMessages(interaction.channel);
+  const entries = messages.map(toTranscriptEntry);
+  const transcript = renderTextTranscript(`Dispute #${dispute.disputeId} - ${interaction.channel.name}`, entries);
+
+  const file = new AttachmentBuilder(Buffer.from(transcript, 'utf8'), {
+    name: `dispute-${dispute.disputeId}-transcript.txt`,
+  });
+
+  console.log(`📄 Transcript of dispute #${dispute.disputeId} exported by ${interaction.user.tag} (${entries.length} messages)`);
+  return interaction.editReply({
+    content: `📄 Transcript of dispute #${dispute.disputeId} (${entries.length} messages)`,
+    files: [file],
+  });
+}
@@ -0,0 +1,75 @@
+import * as dispute from './dispute.js';
+import * as evidence from './evidence.js';
+import * as alerts from './alerts.js';
+import * as link from './link.js';
+import * as unlink from './unlink.js';
+import * as listingActions from './listingActions.js';
+import * as search from './search.js';
+import * as stats from './stats.js';
+
+// All slash commands the bot registers
+export const commands = [dispute, evidence, alerts, link, unlink, search, stats];
+
+// Button/modal handlers, keyed by the custom ID prefix before the first ":"
+const components = [listingActions, search];
+
+const commandsByName = new Map(commands.map(command => [command.data.name, command]));
+const componentsByPrefix = new Map(components.map(component => [component.customIdPrefix, component]));
+
+// Register the slash commands in a guild (guild commands update instantly, unlike global ones)
+export async function registerGuildCommands(guild) {
+  try {
+    await guild.commands.set(commands.map(command => command.data.toJSON()));
+    console.log(`   ✅ Slash commands registered in ${guild.name}`);
+  } catch (error) {
+    console.error(`❌ Failed to register slash commands in ${guild.name}:`, error.message);
+  }
+}
+
+export async function registerCommands(client) {
+  for (const guild of client.guilds.cache.values()) {
+    await registerGuildCommands(guild);
+  }
+}
+
+// Create the interactionCreate listener. The context is passed to every command's execute()
+// and every component's handleComponent().
+export function createInteractionHandler(context) {
+  return async function handleInteraction(interaction) {
+    // Learn the user's Discord language for localized DMs
+    context.userLocales?.remember(interaction.user.id, interaction.locale);
+
+    if (interaction.isAutocomplete()) {
+      const command = commandsByName.get(interaction.commandName);
+      await command?.autocomplete?.(interaction, context).catch((error) => {
+        console.error(`❌ Autocomplete for /${interaction.commandName} failed:`, error.message);
+      });
+      return;
+    }
+
+    let run;
+    let label;
+    if (interaction.isChatInputCommand()) {
+      const command = commandsByName.get(interaction.commandName);
+      run = command && (() => command.execute(interaction, context));
+      label = `/${interaction.commandName}`;
+    } else if (interaction.isButton() || interaction.isModalSubmit()) {
+      const component = componentsByPrefix.get(interaction.customId.split(':')[0]);
+      run = component && (() => component.handleComponent(interaction, context));
+      label = `component ${interaction.customId}`;
+    }
+    if (!run) return;
+
+    try {
+      await run();
+    } catch (error) {
+      console.error(`❌ Error running ${label}:`, error);
+      const content = `❌ ${error.status ? `Backend error (${error.status}): ` : ''}${error.message}`;
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply(content).catch(() => {});
+      } else {
+        await interaction.reply({ content, ephemeral: true }).catch(() => {});
+      }
+    }
+  };
+}
@@ -0,0 +1,48 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { createRateLimiter } from '../rateLimit.js';
+
+// /link - connect the Discord account to an NXOLand account with a one-time code.
+// The code is registered with the backend (signed); the user confirms it on NXOLand and the
+// backend answers with an account.linked webhook.
+export const data = new SlashCommandBuilder()
+  .setName('link')
+  .setDescription('Link your Discord account to your NXOLand account');
+
+const limiter = createRateLimiter({ name: 'link_codes', limit: 3, windowMs: 10 * 60 * 1000 });
+
+export async function execute(interaction, { accountLinks, backend, linkCodeUrl, linkVerifyUrl }) {
+  const existing = accountLinks.getByDiscordId(interaction.user.id);
+  if (existing) {
+    return interaction.reply({
+      content: `✅ Your Discord account is already linked to NXOLand account #${existing.userId}${existing.verifiedSeller ? ' (Verified Seller)' : ''}. Use \`/unlink\` to remove the link.`,
+      ephemeral: true,
+    });
+  }
+
+  if (!limiter.take(interaction.user.id)) {
+    return interaction.reply({ content: '⏳ You requested too many codes. Please try again in a few minutes.', ephemeral: true });
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  // Registering the code lets NXOLand show who is linking before the user confirms. Without a
+  // backend URL the code is only checked when it comes back in the account.linked event.
+  const { code, expiresAt } = accountLinks.createCode(interaction.user.id);
+  if (backend.isConfigured() || /^https?:\/\//.test(linkCodeUrl || '')) {
+    await backend.post(linkCodeUrl || '/discord/link-codes', {
+      code,
+      discord_id: interaction.user.id,
+      username: interaction.user.username,
+      expires_at: expiresAt,
+    });
+  }
+
+  const url = linkVerifyUrl.replace('{code}', encodeURIComponent(code));
+  const expires = Math.floor(new Date(expiresAt).getTime() / 1000);
+  console.log(`🔗 Link code issued for ${interaction.user.username} (${interaction.user.id})`);
+  return interaction.editReply(
+    `🔗 Your link code is **\`${code}\`** (expires <t:${expires}:R>).\n`
+    + `Confirm it on NXOLand: ${url}\n`
+    + 'Never share this code - anyone with it can link their NXOLand account to your Discord account.'
+  );
+}
@@ -0,0 +1,226 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ChannelType,
+  EmbedBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} from 'discord.js';
+import { createRateLimiter } from '../rateLimit.js';
+import { t, DEFAULT_LOCALE, resolveLocale } from '../i18n.js';
+
+// Buttons on listing posts. Custom IDs carry the listing ID (listing:<action>:<listing_id>) and
+// all state lives in the persistent stores, so buttons on old posts keep working after a restart.
+export const customIdPrefix = 'listing';
+
+const ACTIONS = new Set(['watch', 'report', 'ask']);
+const LISTING_ID = /^[\w-]{1,64}$/;
+const RETIRED_STATUSES = new Set(['sold', 'removed', 'suspended']);
+
+// Button clicks per user per minute, and reports per user per hour
+const buttonLimiter = createRateLimiter({ name: 'listing_buttons', limit: 5, windowMs: 60 * 1000 });
+const reportLimiter = createRateLimiter({ name: 'listing_reports', limit: 3, windowMs: 60 * 60 * 1000 });
+
+function customId(action, listingId) {
+  return `${customIdPrefix}:${action}:${listingId}`;
+}
+
+function parseCustomId(id) {
+  const [prefix, action, listingId] = id.split(':');
+  if (prefix !== customIdPrefix || !ACTIONS.has(action) || !LISTING_ID.test(listingId || '')) return null;
+  return { action, listingId };
+}
+
+// Action row for a listing post. Retired listings get no buttons; "Ask seller" is only
+// shown when the seller's Discord account is known.
+export function buildListingActionRow(listingId, listing, locale = DEFAULT_LOCALE) {
+  if (RETIRED_STATUSES.has(listing.status)) return null;
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(customId('watch', listingId)).setLabel(t(locale, 'listing.button.watch')).setEmoji('🔔').setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(customId('report', listingId)).setLabel(t(locale, 'listing.button.report')).setEmoji('🚩').setStyle(ButtonStyle.Secondary),
+  );
+  if (listing.sellerDiscordId) {
+    row.addComponents(
+      new ButtonBuilder().setCustomId(customId('ask', listingId)).setLabel(t(locale, 'listing.button.ask')).setEmoji('💬').setStyle(ButtonStyle.Primary),
+    );
+  }
+  return row.toJSON();
+}
+
+async function handleWatch(interaction, listingId, { listingWatchers }, locale) {
+  const watching = listingWatchers.toggle(listingId, interaction.user.id);
+  return interaction.reply({ content: t(locale, watching ? 'listing.watch.on' : 'listing.watch.off'), ephemeral: true });
+}
+
+function showReportModal(interaction, listingId, locale) {
+  const modal = new ModalBuilder()
+    .setCustomId(customId('report', listingId))
+    .setTitle(t(locale, 'listing.report.title'))
+    .addComponents(new ActionRowBuilder().addComponents(
+      new TextInputBuilder()
+        .setCustomId('reason')
+        .setLabel(t(locale, 'listing.report.reason'))
+        .setStyle(TextInputStyle.Paragraph)
+        .setMinLength(10)
+        .setMaxLength(1000)
+        .setRequired(true),
+    ));
+  return interaction.showModal(modal);
+}
+
+// Report modal submitted: post it to the moderation channel and send it to the backend
+async function submitReport(interaction, listingId, listing, { backend, deliveryQueue, moderationChannelId, reportCallbackUrl }, locale) {
+  if (!reportLimiter.take(interaction.user.id)) {
+    return interaction.reply({ content: t(locale, 'listing.report.rate_limited'), ephemeral: true });
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const reason = interaction.fields.getTextInputValue('reason').trim();
+  const reporter = { discord_id: interaction.user.id, username: interaction.user.username };
+  const messageUrl = interaction.message?.url || null;
+  let reported = false;
+
+  if (backend.isConfigured()) {
+    try {
+      const url = (reportCallbackUrl || '/listings/{listing_id}/reports').replace('{listing_id}', encodeURIComponent(listingId));
+      await backend.post(url, {
+        listing_id: listingId,
+        reason,
+        reporter,
+        guild_id: interaction.guildId,
+        channel_id: interaction.channelId,
+        message_url: messageUrl,
+        source: 'discord',
+      });
+      reported = true;
+    } catch (error) {
+      console.error(`❌ Failed to send report for listing ${listingId} to backend:`, error.message);
+    }
+  }
+
+  if (moderationChannelId) {
+    const embed = new EmbedBuilder()
+      .setTitle('🚩 Listing Reported')
+      .setDescription(`**${listing.title || `Listing #${listingId}`}**`)
+      .addFields(
+        { name: '🆔 Listing', value: `#${listingId}`, inline: true },
+        { name: '👤 Reported By', value: `<@${interaction.user.id}>`, inline: true },
+        { name: '📋 Reason', value: reason },
+      )
+      .setColor(0xED4245)
+      .setTimestamp()
+      .setFooter({ text: 'NXOLand Marketplace' });
+    if (messageUrl) embed.addFields({ name: '🔗 Post', value: `[Jump to listing](${messageUrl})` });
+
+    const delivery = await deliveryQueue.enqueue({
+      channelId: moderationChannelId,
+      payload: { embeds: [embed.toJSON()], allowedMentions: { parse: [] } },
+      meta: { type: 'listing.reported', listingId },
+    });
+    reported = reported || delivery.status !== 'failed';
+  }
+
+  if (!reported) {
+    return interaction.editReply(t(locale, 'listing.report.failed'));
+  }
+
+  console.log(`🚩 Listing ${listingId} reported by ${interaction.user.username} (${interaction.user.id})`);
+  return interaction.editReply(t(locale, 'listing.report.sent'));
+}
+
+// Open (or reopen) a private thread between the user and the seller in the listing's channel
+async function handleAsk(interaction, listingId, listing, { listingMessages }, locale) {
+  const sellerId = listing.sellerDiscordId;
+  if (!sellerId) {
+    return interaction.reply({ content: t(locale, 'listing.ask.no_seller'), ephemeral: true });
+  }
+  if (sellerId === interaction.user.id) {
+    return interaction.reply({ content: t(locale, 'listing.ask.own_listing'), ephemeral: true });
+  }
+
+  const existingId = listingMessages.getAskThread(listingId, interaction.user.id);
+  if (existingId) {
+    const existing = await interaction.client.channels.fetch(existingId).catch(() => null);
+    if (existing && !existing.locked) {
+      if (existing.archived) await existing.setArchived(false, 'Buyer asked the seller again');
+      return interaction.reply({ content: t(locale, 'listing.ask.existing', { thread: `<#${existing.id}>` }), ephemeral: true });
+    }
+  }
+
+  const channel = interaction.channel;
+  if (channel?.type !== ChannelType.GuildText) {
+    return interaction.reply({ content: t(locale, 'listing.ask.no_threads'), ephemeral: true });
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const thread = await channel.threads.create({
+    name: `💬 ${listing.title || `Listing #${listingId}`} - ${interaction.user.username}`.substring(0, 100),
+    type: ChannelType.PrivateThread,
+    invitable: false,
+    autoArchiveDuration: 1440,
+    reason: `Question about listing #${listingId}`,
+  });
+
+  try {
+    await thread.members.add(interaction.user.id);
+  } catch (error) {
+    console.error(`❌ Could not add ${interaction.user.username} to ask-seller thread ${thread.id}:`, error.message);
+    await thread.delete('Buyer could not be added').catch(() => {});
+    return interaction.editReply(t(locale, 'listing.ask.failed'));
+  }
+  try {
+    await thread.members.add(sellerId);
+  } catch (error) {
+    await thread.delete('Seller is not in this server').catch(() => {});
+    return interaction.editReply(t(locale, 'listing.ask.seller_missing'));
+  }
+
+  await thread.send({
+    content: `<@${interaction.user.id}> has a question for <@${sellerId}> about **${listing.title || `listing #${listingId}`}**.\n🔒 Only you two and the moderators can see this thread. Never pay outside NXOLand.`,
+    allowedMentions: { users: [interaction.user.id, sellerId] },
+  });
+
+  listingMessages.setAskThread(listingId, interaction.user.id, thread.id);
+  console.log(`💬 Ask-seller thread ${thread.id} opened for listing ${listingId} by ${interaction.user.username}`);
+  return interaction.editReply(t(locale, 'listing.ask.opened', { thread: `<#${thread.id}>` }));
+}
+
+// Handle a button click or modal submit whose custom ID starts with "listing:"
+export async function handleComponent(interaction, context) {
+  const locale = resolveLocale(interaction.locale);
+  const parsed = parseCustomId(interaction.customId);
+  if (!parsed) {
+    return interaction.reply({ content: t(locale, 'listing.button.invalid'), ephemeral: true });
+  }
+
+  const { action, listingId } = parsed;
+  const listing = context.listingMessages.get(listingId)?.listing;
+  if (!listing) {
+    return interaction.reply({ content: t(locale, 'listing.unavailable'), ephemeral: true });
+  }
+
+  if (interaction.isModalSubmit()) {
+    return submitReport(interaction, listingId, listing, context, locale);
+  }
+
+  if (!buttonLimiter.take(interaction.user.id)) {
+    return interaction.reply({ content: t(locale, 'listing.button.rate_limited'), ephemeral: true });
+  }
+  if (RETIRED_STATUSES.has(listing.status)) {
+    return interaction.reply({ content: t(locale, 'listing.unavailable'), ephemeral: true });
+  }
+
+  switch (action) {
+    case 'watch':
+      return handleWatch(interaction, listingId, context, locale);
+    case 'report':
+      return showReportModal(interaction, listingId, locale);
+    case 'ask':
+      return handleAsk(interaction, listingId, listing, context, locale);
+  }
+}
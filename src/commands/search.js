@@ -0,0 +1,117 @@
+import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { t, formatPrice, isolate, resolveLocale } from '../i18n.js';
+import { categoryLabel } from '../categories.js';
+
+// /search - browse the listings on sale from the local listing index, 5 per page with
+// Previous/Next buttons. The filters travel in the button custom IDs
+// (search:<page>:<category>:<max_price>:<query>), so the buttons keep working after a restart.
+export const customIdPrefix = 'search';
+
+const PAGE_SIZE = 5;
+const MAX_QUERY_LENGTH = 40;
+const MAX_CUSTOM_ID_LENGTH = 100;
+const MAX_PAGE = 9999;
+
+export const data = new SlashCommandBuilder()
+  .setName('search')
+  .setDescription('Search the listings currently on sale')
+  .addStringOption(option => option
+    .setName('category')
+    .setDescription('Game / category')
+    .setAutocomplete(true))
+  .addNumberOption(option => option
+    .setName('max_price')
+    .setDescription('Maximum price')
+    .setMinValue(0))
+  .addStringOption(option => option
+    .setName('query')
+    .setDescription('Words in the title or description')
+    .setMaxLength(MAX_QUERY_LENGTH));
+
+function customId(page, { category, maxPrice, query }) {
+  return `${customIdPrefix}:${page}:${category || ''}:${maxPrice ?? ''}:${query || ''}`;
+}
+
+function parseCustomId(id) {
+  const [prefix, page, category, maxPrice, ...query] = id.split(':');
+  if (prefix !== customIdPrefix || !/^\d{1,4}$/.test(page || '')) return null;
+  const price = maxPrice ? parseFloat(maxPrice) : null;
+  if (Number.isNaN(price)) return null;
+  return {
+    page: parseInt(page, 10),
+    filters: { category: category || null, maxPrice: price, query: query.join(':') || null },
+  };
+}
+
+function describeFilters({ category, maxPrice, query }, categories, locale) {
+  const parts = [category ? categoryLabel(categories, category, locale) : t(locale, 'search.any_category')];
+  if (maxPrice != null) parts.push(t(locale, 'search.under', { price: formatPrice(locale, maxPrice) }));
+  if (query) parts.push(`"${query}"`);
+  return parts.join(' • ');
+}
+
+// One page of results with Previous/Next buttons (only when there is more than one page)
+export function buildResultsPage(filters, page, { listingIndex, categories, frontendUrl }, locale) {
+  const results = listingIndex.search(filters);
+  const pages = Math.max(1, Math.ceil(results.length / PAGE_SIZE));
+  const current = Math.min(page, pages - 1);
+
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, 'search.title'))
+    .setDescription(`${describeFilters(filters, categories, locale)}${results.length === 0 ? `\n\n${t(locale, 'search.none')}` : ''}`)
+    .setColor(0x5865F2)
+    .setFooter({ text: t(locale, 'search.footer', { count: results.length, page: current + 1, pages }) });
+
+  for (const listing of results.slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE)) {
+    embed.addFields({
+      name: (isolate(listing.title) || t(locale, 'listing.number', { id: listing.id })).substring(0, 256),
+      value: `💰 ${formatPrice(locale, listing.price, listing.currency)} • ${categoryLabel(categories, listing.category, locale)}\n[${t(locale, 'search.view')}](${frontendUrl}/product/${listing.id})`,
+    });
+  }
+
+  const components = [];
+  if (pages > 1) {
+    components.push(new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(customId(current - 1, filters)).setLabel(t(locale, 'search.previous')).setEmoji('◀️').setStyle(ButtonStyle.Secondary).setDisabled(current === 0),
+      new ButtonBuilder().setCustomId(customId(current + 1, filters)).setLabel(t(locale, 'search.next')).setEmoji('▶️').setStyle(ButtonStyle.Secondary).setDisabled(current === pages - 1),
+    ).toJSON());
+  }
+
+  return { embeds: [embed.toJSON()], components };
+}
+
+export async function autocomplete(interaction, { categories }) {
+  const query = interaction.options.getFocused().toLowerCase();
+  const choices = categories.list().map(category => ({ name: category.name, value: category.code }));
+  await interaction.respond(choices.filter(choice => choice.name.toLowerCase().includes(query)).slice(0, 25));
+}
+
+export async function execute(interaction, context) {
+  const filters = {
+    category: interaction.options.getString('category'),
+    maxPrice: interaction.options.getNumber('max_price'),
+    query: interaction.options.getString('query')?.replace(/:/g, ' ').trim() || null,
+  };
+
+  const locale = resolveLocale(interaction.locale);
+  if (filters.category && !context.categories.get(filters.category)) {
+    return interaction.reply({ content: t(locale, 'search.unknown_category', { category: filters.category }), ephemeral: true });
+  }
+  // The Previous/Next buttons carry the filters - refuse a search they can't hold instead of
+  // cutting the query short
+  if (customId(MAX_PAGE, filters).length > MAX_CUSTOM_ID_LENGTH) {
+    return interaction.reply({ content: t(locale, 'search.too_long'), ephemeral: true });
+  }
+
+  return interaction.reply({ ...buildResultsPage(filters, 0, context, locale), ephemeral: true });
+}
+
+// Previous/Next buttons: re-run the search and show the requested page
+export async function handleComponent(interaction, context) {
+  const locale = resolveLocale(interaction.locale);
+  const parsed = parseCustomId(interaction.customId);
+  if (!parsed) {
+    return interaction.reply({ content: t(locale, 'search.expired'), ephemeral: true });
+  }
+  return interaction.update(buildResultsPage(parsed.filters, parsed.page, context, locale));
+}
@@ -0,0 +1,55 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { t, formatPrice, isolate, resolveLocale } from '../i18n.js';
+import { categoryLabel } from '../categories.js';
+
+// /stats - marketplace overview from the local listing index: listings on sale, median price
+// per category and recent sales. Answered in the channel so everyone can see it.
+const SALES_DAYS = 7;
+const MAX_CATEGORY_FIELDS = 20;
+const RECENT_SALES_SHOWN = 5;
+
+export const data = new SlashCommandBuilder()
+  .setName('stats')
+  .setDescription('Listings on sale, median prices per game and recent sales');
+
+// Categories without priced listings (and sales without a price) show N/A
+function priceOrNa(locale, price, currency) {
+  return price === null || price === undefined ? t(locale, 'common.na') : formatPrice(locale, price, currency);
+}
+
+export function buildStatsEmbed({ listingIndex, categories }, locale, now = Date.now()) {
+  const stats = listingIndex.stats({ now, salesDays: SALES_DAYS });
+
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, 'stats.title'))
+    .setDescription(t(locale, 'stats.active', { count: stats.active }))
+    .setColor(0x5865F2)
+    .setFooter({ text: t(locale, 'listing.footer') })
+    .setTimestamp(now);
+
+  for (const entry of stats.categories.slice(0, MAX_CATEGORY_FIELDS)) {
+    embed.addFields({
+      name: categoryLabel(categories, entry.category, locale),
+      value: t(locale, 'stats.category', { count: entry.count, median: priceOrNa(locale, entry.median_price, entry.currency) }),
+      inline: true,
+    });
+  }
+
+  const recent = stats.sales.slice(0, RECENT_SALES_SHOWN).map(sale => {
+    const soldAt = Math.floor(new Date(sale.soldAt).getTime() / 1000);
+    return `• ${isolate(sale.title) || t(locale, 'listing.number', { id: sale.id })} - ${priceOrNa(locale, sale.price, sale.currency)} <t:${soldAt}:R>`;
+  });
+  embed.addFields({
+    name: t(locale, 'stats.sales.title', { days: SALES_DAYS }),
+    value: stats.sales.length === 0
+      ? t(locale, 'stats.sales.none')
+      : [t(locale, 'stats.sales.total', { count: stats.sales.length }), ...recent].join('\n').substring(0, 1024),
+  });
+
+  return embed;
+}
+
+export async function execute(interaction, context) {
+  const locale = resolveLocale(interaction.locale);
+  return interaction.reply({ embeds: [buildStatsEmbed(context, locale).toJSON()] });
+}
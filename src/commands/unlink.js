@@ -0,0 +1,29 @@
+import { SlashCommandBuilder } from 'discord.js';
+
+// /unlink - remove the link between the Discord account and the NXOLand account
+export const data = new SlashCommandBuilder()
+  .setName('unlink')
+  .setDescription('Unlink your Discord account from your NXOLand account');
+
+export async function execute(interaction, { accountLinks, backend, syncVerifiedSellerRole }) {
+  const existing = accountLinks.getByDiscordId(interaction.user.id);
+  if (!existing) {
+    return interaction.reply({ content: 'Your Discord account is not linked. Use `/link` to link it.', ephemeral: true });
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  // The backend is told first, so the link doesn't come back with the next account.linked event
+  if (backend.isConfigured()) {
+    await backend.post('/discord/unlink', {
+      discord_id: interaction.user.id,
+      user_id: existing.userId,
+    });
+  }
+
+  accountLinks.unlink(interaction.user.id);
+  await syncVerifiedSellerRole(interaction.user.id, false);
+
+  console.log(`🔗 ${interaction.user.username} (${interaction.user.id}) unlinked NXOLand account #${existing.userId}`);
+  return interaction.editReply('✅ Your Discord account is no longer linked to NXOLand.');
+}
@@ -0,0 +1,123 @@
+// Bot configuration from environment variables. Everything else takes this object instead of
+// reading process.env, so the bot can be built with a test configuration.
+export function loadConfig(env = process.env) {
+  const DISCORD_TOKEN = env.DISCORD_TOKEN;
+  const PORT = env.PORT || 3000;
+  const WEBHOOK_SECRET = env.WEBHOOK_SECRET;
+  const WEBHOOK_TOLERANCE_SECONDS = parseInt(env.WEBHOOK_TOLERANCE_SECONDS || '300', 10);
+  const WEBHOOK_ALLOW_LEGACY_SECRET = env.WEBHOOK_ALLOW_LEGACY_SECRET === 'true';
+  const FRONTEND_URL = env.FRONTEND_URL || 'http://localhost:5173';
+  // Retry-After (seconds) sent with the 503 answered while Discord is not ready or the bot is shutting down
+  const RETRY_AFTER_SECONDS = parseInt(env.RETRY_AFTER_SECONDS || '15', 10);
+  // How long SIGTERM/SIGINT wait for in-flight requests and deliveries before logging out (keep it under
+  // the Docker stop timeout / PM2 kill_timeout)
+  const SHUTDOWN_TIMEOUT_SECONDS = parseInt(env.SHUTDOWN_TIMEOUT_SECONDS || '8', 10);
+  const ADMIN_API_TOKEN = env.ADMIN_API_TOKEN;
+  // Bearer token for GET /metrics; without it the endpoint is open like /health
+  const METRICS_TOKEN = env.METRICS_TOKEN;
+  // Base URL of the Laravel API the bot calls back to (e.g. https://api.nxoland.com/api/discord-bot)
+  const LARAVEL_API_URL = env.LARAVEL_API_URL;
+  // Where dispute evidence is forwarded; may contain {dispute_id}. Defaults to LARAVEL_API_URL/disputes/{dispute_id}/evidence
+  const EVIDENCE_CALLBACK_URL = env.EVIDENCE_CALLBACK_URL;
+  // Where resolved dispute transcripts are uploaded; may contain {dispute_id}. Defaults to LARAVEL_API_URL/disputes/{dispute_id}/transcript
+  const TRANSCRIPT_CALLBACK_URL = env.TRANSCRIPT_CALLBACK_URL;
+  // Public base URL of this bot, used to link transcripts it serves itself
+  const PUBLIC_URL = env.PUBLIC_URL;
+  // Transcript links served by the bot are signed with this secret and expire after N hours. A secret of
+  // its own, so a leaked link signature says nothing about the admin token
+  const TRANSCRIPT_LINK_SECRET = env.TRANSCRIPT_LINK_SECRET;
+  const TRANSCRIPT_LINK_TTL_HOURS = parseFloat(env.TRANSCRIPT_LINK_TTL_HOURS || '168');
+  const DELIVERY_MAX_ATTEMPTS = parseInt(env.DELIVERY_MAX_ATTEMPTS || '8', 10);
+  const IDEMPOTENCY_TTL_HOURS = parseInt(env.IDEMPOTENCY_TTL_HOURS || '168', 10);
+  // Subscriber alerts: saved searches per user and DMs per user per hour
+  const ALERTS_MAX_SEARCHES = parseInt(env.ALERTS_MAX_SEARCHES || '10', 10);
+  const ALERTS_MAX_PER_HOUR = parseInt(env.ALERTS_MAX_PER_HOUR || '10', 10);
+  // Where "🚩 Report" submissions are posted, and where they are sent in the backend (may contain {listing_id})
+  const DISCORD_MODERATION_CHANNEL_ID = env.DISCORD_MODERATION_CHANNEL_ID;
+  const LISTING_REPORT_CALLBACK_URL = env.LISTING_REPORT_CALLBACK_URL;
+  // Staff roles added to every dispute thread in the primary guild (comma separated), and the role
+  // brought in when a dispute is escalated. Other guilds and categories set their own in GUILDS_FILE / the category registry
+  const DISCORD_STAFF_ROLE_IDS = (env.DISCORD_STAFF_ROLE_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+  const DISCORD_ESCALATION_ROLE_ID = env.DISCORD_ESCALATION_ROLE_ID;
+  // Dispute SLA: remind the seller after N hours without a reply, ping the escalation role after M hours
+  // (0 disables either), and post a daily summary of open disputes to the staff channel at DISPUTE_SUMMARY_HOUR (DISPLAY_TIMEZONE)
+  const DISPUTE_SELLER_REMINDER_HOURS = parseFloat(env.DISPUTE_SELLER_REMINDER_HOURS || '24');
+  const DISPUTE_ESCALATION_HOURS = parseFloat(env.DISPUTE_ESCALATION_HOURS || '72');
+  const DISCORD_STAFF_CHANNEL_ID = env.DISCORD_STAFF_CHANNEL_ID;
+  const DISPUTE_SUMMARY_HOUR = parseInt(env.DISPUTE_SUMMARY_HOUR || '9', 10);
+  // Order notifications: 'dm' to DM buyer and seller, or 'thread' for a private thread per order in DISCORD_ORDER_CHANNEL_ID
+  const ORDER_NOTIFICATIONS = env.ORDER_NOTIFICATIONS === 'thread' ? 'thread' : 'dm';
+  const DISCORD_ORDER_CHANNEL_ID = env.DISCORD_ORDER_CHANNEL_ID;
+  // Account linking: how long /link codes are valid, where users confirm them (may contain {code};
+  // defaults to FRONTEND_URL/account/discord?code={code}) and where new codes are registered in the backend
+  const LINK_CODE_TTL_MINUTES = parseInt(env.LINK_CODE_TTL_MINUTES || '10', 10);
+  const LINK_VERIFY_URL = env.LINK_VERIFY_URL || `${FRONTEND_URL}/account/discord?code={code}`;
+  const LINK_CALLBACK_URL = env.LINK_CALLBACK_URL;
+  // Role given to linked accounts the backend marks as verified sellers (primary guild; other guilds set it in GUILDS_FILE)
+  const DISCORD_VERIFIED_SELLER_ROLE_ID = env.DISCORD_VERIFIED_SELLER_ROLE_ID;
+  // What to do with a listing post once the listing is sold/removed/suspended: 'mark' or 'delete'
+  const LISTING_RETIRE_MODE = env.LISTING_RETIRE_MODE === 'delete' ? 'delete' : 'mark';
+  // Backend endpoint listing the active listings, used to fill the /search index (absolute or relative to LARAVEL_API_URL)
+  const LISTING_BACKFILL_URL = env.LISTING_BACKFILL_URL;
+  const DISCORD_GUILD_ID = env.DISCORD_GUILD_ID;
+  // Category registry source: a JSON/YAML file, or a Laravel endpoint (absolute or relative to LARAVEL_API_URL)
+  const CATEGORIES_FILE = env.CATEGORIES_FILE || 'categories.json';
+  const CATEGORIES_URL = env.CATEGORIES_URL;
+  const CATEGORIES_REFRESH_MINUTES = parseInt(env.CATEGORIES_REFRESH_MINUTES || '5', 10);
+  // Embed templates with per-category overrides (JSON/YAML). Without it, the built-in templates are used
+  const TEMPLATES_FILE = env.TEMPLATES_FILE || 'templates.json';
+  // Per-guild routing (JSON/YAML). Without it, everything goes to the primary guild (DISCORD_GUILD_ID)
+  const GUILDS_FILE = env.GUILDS_FILE || 'guilds.json';
+
+  // Channel configuration from environment variables
+  const DISCORD_LISTING_CHANNEL_ID = env.DISCORD_LISTING_CHANNEL_ID;
+  const DISCORD_DISPUTE_CHANNEL_ID = env.DISCORD_DISPUTE_CHANNEL_ID;
+
+  return {
+    env,
+    DISCORD_TOKEN,
+    PORT,
+    WEBHOOK_SECRET,
+    WEBHOOK_TOLERANCE_SECONDS,
+    WEBHOOK_ALLOW_LEGACY_SECRET,
+    FRONTEND_URL,
+    RETRY_AFTER_SECONDS,
+    SHUTDOWN_TIMEOUT_SECONDS,
+    ADMIN_API_TOKEN,
+    METRICS_TOKEN,
+    LARAVEL_API_URL,
+    EVIDENCE_CALLBACK_URL,
+    TRANSCRIPT_CALLBACK_URL,
+    PUBLIC_URL,
+    TRANSCRIPT_LINK_SECRET,
+    TRANSCRIPT_LINK_TTL_HOURS,
+    DELIVERY_MAX_ATTEMPTS,
+    IDEMPOTENCY_TTL_HOURS,
+    ALERTS_MAX_SEARCHES,
+    ALERTS_MAX_PER_HOUR,
+    DISCORD_MODERATION_CHANNEL_ID,
+    LISTING_REPORT_CALLBACK_URL,
+    DISCORD_STAFF_ROLE_IDS,
+    DISCORD_ESCALATION_ROLE_ID,
+    DISPUTE_SELLER_REMINDER_HOURS,
+    DISPUTE_ESCALATION_HOURS,
+    DISCORD_STAFF_CHANNEL_ID,
+    DISPUTE_SUMMARY_HOUR,
+    ORDER_NOTIFICATIONS,
+    DISCORD_ORDER_CHANNEL_ID,
+    LINK_CODE_TTL_MINUTES,
+    LINK_VERIFY_URL,
+    LINK_CALLBACK_URL,
+    DISCORD_VERIFIED_SELLER_ROLE_ID,
+    LISTING_RETIRE_MODE,
+    LISTING_BACKFILL_URL,
+    DISCORD_GUILD_ID,
+    CATEGORIES_FILE,
+    CATEGORIES_URL,
+    CATEGORIES_REFRESH_MINUTES,
+    TEMPLATES_FILE,
+    GUILDS_FILE,
+    DISCORD_LISTING_CHANNEL_ID,
+    DISCORD_DISPUTE_CHANNEL_ID,
+  };
+}
@@ -0,0 +1,233 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { createJsonStore } from './store.js';
+import { logger } from './logger.js';
+import { metrics } from './metrics.js';
+
+// Discord API error codes that will never succeed on retry
+const PERMANENT_ERROR_CODES = new Set([
+  10003, // Unknown Channel
+  10008, // Unknown Message
+  50001, // Missing Access
+  50013, // Missing Permissions
+  50007, // Cannot send messages to this user (DMs closed)
+  50035, // Invalid Form Body
+]);
+
+function isPermanentError(error) {
+  return PERMANENT_ERROR_CODES.has(error?.code);
+}
+
+// Structured log fields for a job: what it is for and where it goes
+function jobFields(job) {
+  const { type, listingId, disputeId, orderId } = job.meta || {};
+  return {
+    delivery_id: job.id,
+    op: job.op || 'send',
+    event_type: type,
+    listing_id: listingId,
+    dispute_id: disputeId,
+    order_id: orderId,
+    channel_id: job.channelId || undefined,
+    user_id: job.userId || undefined,
+  };
+}
+
+// Persistent outbound delivery queue between the webhook handlers and Discord.
+// Jobs are stored on disk until Discord accepts them, retried with exponential backoff,
+// and moved to a dead-letter list after maxAttempts (or immediately on permanent errors).
+export function createDeliveryQueue({
+  client,
+  fileName = 'deliveries.json',
+  maxAttempts = 8,
+  baseDelayMs = 5000,
+  maxDelayMs = 15 * 60 * 1000,
+  pollIntervalMs = 5000,
+}) {
+  const store = createJsonStore(fileName, { pending: [], dead: [] });
+  const events = new EventEmitter();
+  const inFlight = new Set();
+  let timer = null;
+
+  function backoffDelay(attempts) {
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+    // Add up to 20% jitter so retries after an outage don't all fire at once
+    return Math.round(delay + Math.random() * delay * 0.2);
+  }
+
+  async function deliver(job) {
+    if (job.op === 'dm') {
+      const user = await client.users.fetch(job.userId);
+      return user.send(job.payload);
+    }
+
+    const channel = await client.channels.fetch(job.channelId);
+    switch (job.op) {
+      case 'edit':
+        return channel.messages.edit(job.messageId, job.payload);
+      case 'delete':
+        await channel.messages.delete(job.messageId);
+        return null;
+      default:
+        return channel.send(job.payload);
+    }
+  }
+
+  async function attempt(job) {
+    if (inFlight.has(job.id)) {
+      return { id: job.id, status: 'queued' };
+    }
+
+    // Already delivered or dead-lettered by another attempt
+    if (!store.data.pending.includes(job)) {
+      return { id: job.id, status: 'skipped' };
+    }
+
+    // Don't burn attempts while the bot is still logging in or reconnecting
+    if (!client.isReady()) {
+      return { id: job.id, status: 'queued' };
+    }
+
+    inFlight.add(job.id);
+    const op = job.op || 'send';
+    const startedAt = performance.now();
+    try {
+      const message = await deliver(job);
+      const elapsedMs = performance.now() - startedAt;
+      const latencyMs = Math.round(elapsedMs);
+      metrics.discordLatency.observe({ op }, elapsedMs / 1000);
+      metrics.deliveries.inc({ op, outcome: 'delivered' });
+
+      store.data.pending = store.data.pending.filter((pending) => pending.id !== job.id);
+      store.save();
+
+      logger.info(`✅ Delivery ${job.id} (${op}) done in ${job.userId ? `DM to ${job.userId}` : `channel ${job.channelId}`}${job.attempts > 0 ? ` after ${job.attempts + 1} attempts` : ''}`, {
+        ...jobFields(job),
+        attempts: job.attempts + 1,
+        latency_ms: latencyMs,
+      });
+      events.emit('delivered', job, message);
+      return { id: job.id, status: 'delivered', message_id: message?.id };
+    } catch (error) {
+      const elapsedMs = performance.now() - startedAt;
+      const latencyMs = Math.round(elapsedMs);
+      metrics.discordLatency.observe({ op }, elapsedMs / 1000);
+      job.attempts++;
+      job.lastError = error.message;
+      job.lastAttemptAt = new Date().toISOString();
+
+      if (isPermanentError(error) || job.attempts >= maxAttempts) {
+        store.data.pending = store.data.pending.filter((pending) => pending.id !== job.id);
+        store.data.dead.push({ ...job, failedAt: job.lastAttemptAt });
+        store.save();
+
+        metrics.deliveries.inc({ op, outcome: 'failed' });
+        logger.error(`❌ Delivery ${job.id} to ${job.userId ? `user ${job.userId}` : `channel ${job.channelId}`} moved to dead-letter store: ${error.message}`, {
+          ...jobFields(job),
+          attempts: job.attempts,
+          latency_ms: latencyMs,
+          error_code: error.code,
+        });
+        events.emit('failed', job, error);
+        return { id: job.id, status: 'failed', error: error.message };
+      }
+
+      const delay = backoffDelay(job.attempts);
+      job.nextAttemptAt = Date.now() + delay;
+      store.save();
+
+      metrics.deliveries.inc({ op, outcome: 'retrying' });
+      logger.warn(`⚠️  Delivery ${job.id} to ${job.userId ? `user ${job.userId}` : `channel ${job.channelId}`} failed (attempt ${job.attempts}/${maxAttempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`, {
+        ...jobFields(job),
+        attempts: job.attempts,
+        latency_ms: latencyMs,
+        retry_in_ms: delay,
+        error_code: error.code,
+      });
+      return { id: job.id, status: 'retrying', error: error.message };
+    } finally {
+      inFlight.delete(job.id);
+    }
+  }
+
+  async function processDue() {
+    const now = Date.now();
+    const due = store.data.pending.filter((job) => job.nextAttemptAt <= now);
+    for (const job of due) {
+      await attempt(job);
+    }
+  }
+
+  // Queue a message operation (send, edit or delete in a channel, or a DM to userId) and make
+  // the first attempt right away. Resolves with { id, status } where status is delivered,
+  // retrying, queued or failed.
+  async function enqueue({ op = 'send', channelId = null, userId = null, messageId = null, payload = null, meta = {} }) {
+    const job = {
+      id: crypto.randomUUID(),
+      op,
+      channelId,
+      userId,
+      messageId,
+      payload,
+      meta,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: Date.now(),
+      lastError: null,
+    };
+    store.data.pending.push(job);
+    store.save();
+
+    return attempt(job);
+  }
+
+  // Move a dead-lettered job back into the queue and try it again
+  async function replay(id) {
+    const job = store.data.dead.find((dead) => dead.id === id);
+    if (!job) {
+      return null;
+    }
+
+    store.data.dead = store.data.dead.filter((dead) => dead.id !== id);
+    const { failedAt, ...retry } = job;
+    Object.assign(retry, { attempts: 0, nextAttemptAt: Date.now(), replayedAt: new Date().toISOString() });
+    store.data.pending.push(retry);
+    store.save();
+
+    logger.info(`🔁 Replaying dead-lettered delivery ${id}`, { delivery_id: id, channel_id: retry.channelId, user_id: retry.userId });
+    return attempt(retry);
+  }
+
+  return {
+    enqueue,
+    replay,
+    on: events.on.bind(events),
+    processDue,
+    listPending: () => store.data.pending,
+    listDead: () => store.data.dead,
+    start() {
+      if (!timer) {
+        timer = setInterval(() => {
+          processDue().catch((error) => logger.error('❌ Delivery queue error', { error }));
+        }, pollIntervalMs);
+      }
+      const pendingCount = store.data.pending.length;
+      if (pendingCount > 0) {
+        logger.info(`📬 Delivery queue resumed with ${pendingCount} pending message(s)`, { pending: pendingCount });
+      }
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    // Wait for the attempts in flight to finish (shutdown), at most timeoutMs. Resolves with the
+    // number still in flight, which stay pending and are retried after the restart.
+    async whenIdle(timeoutMs = 5000) {
+      const deadline = Date.now() + timeoutMs;
+      while (inFlight.size > 0 && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      return inFlight.size;
+    },
+  };
+}
@@ -0,0 +1,228 @@
+import { EmbedBuilder } from 'discord.js';
+import { createJsonStore } from './store.js';
+import { addRoleMembersToThread } from './staff.js';
+import { t, resolveLocale, localClock, DEFAULT_LOCALE, DISPLAY_TIMEZONE } from './i18n.js';
+import { logger } from './logger.js';
+
+const HOUR = 60 * 60 * 1000;
+
+function hoursSince(timestamp, now) {
+  return Math.floor((now - new Date(timestamp).getTime()) / HOUR);
+}
+
+// Follows up on open dispute threads: reminds the seller when they haven't replied within
+// sellerReminderHours, brings in the escalation role after escalationHours, unarchives threads
+// Discord auto-archived while the dispute is still open, and posts a daily summary of open
+// disputes per category to the staff channel. All timing state lives in the dispute thread store.
+export function createDisputeSlaScheduler({
+  client,
+  disputeThreads,
+  deliveryQueue,
+  guildRouter,
+  categories,
+  sellerReminderHours = 24,
+  escalationHours = 72,
+  summaryChannelId = null,
+  summaryHour = 9,
+  timeZone = DISPLAY_TIMEZONE,
+  intervalMs = 5 * 60 * 1000,
+  fileName = 'dispute-sla.json',
+}) {
+  const store = createJsonStore(fileName, { lastSummaryDate: null });
+  let timer = null;
+  let running = false;
+
+  // Start tracking a new dispute thread: the seller is expected to answer from now on
+  function track(disputeId) {
+    const now = new Date().toISOString();
+    disputeThreads.save(disputeId, {
+      openedAt: now,
+      lastActivityAt: now,
+      awaitingSellerSince: now,
+      sellerRemindedAt: null,
+      escalationPingedAt: null,
+    });
+  }
+
+  // messageCreate listener: track activity in dispute threads. A seller message stops the clock;
+  // a buyer message starts it again if the seller had answered.
+  async function handleMessage(message) {
+    if (message.author.bot || !message.channel.isThread()) return;
+
+    const dispute = disputeThreads.findByThread(message.channelId);
+    if (!dispute || !dispute.openedAt || dispute.status === 'resolved' || dispute.status === 'closed') return;
+
+    const at = message.createdAt.toISOString();
+    const fields = { lastActivityAt: at };
+    if (message.author.id === dispute.sellerDiscordId) {
+      Object.assign(fields, { awaitingSellerSince: null, sellerRemindedAt: null, escalationPingedAt: null });
+    } else if (message.author.id === dispute.buyerDiscordId && !dispute.awaitingSellerSince) {
+      fields.awaitingSellerSince = at;
+    }
+    disputeThreads.save(dispute.disputeId, fields);
+  }
+
+  async function remindSeller(dispute, now) {
+    const locale = resolveLocale(dispute.locale);
+    const hours = hoursSince(dispute.awaitingSellerSince, now);
+    const content = dispute.sellerDiscordId
+      ? t(locale, 'dispute.sla.seller_reminder', { seller: `<@${dispute.sellerDiscordId}>`, hours })
+      : t(locale, 'dispute.sla.seller_reminder_unlinked', { hours });
+
+    const delivery = await deliveryQueue.enqueue({
+      channelId: dispute.threadId,
+      payload: { content, allowedMentions: { parse: [], users: dispute.sellerDiscordId ? [dispute.sellerDiscordId] : [] } },
+      meta: { type: 'dispute.sla.reminder', disputeId: dispute.disputeId },
+    });
+    if (delivery.status !== 'failed') {
+      disputeThreads.save(dispute.disputeId, { sellerRemindedAt: new Date(now).toISOString() });
+      logger.info(`⏰ Seller reminder sent for dispute #${dispute.disputeId} (${hours}h without a reply)`, { dispute_id: dispute.disputeId, thread_id: dispute.threadId, delivery_id: delivery.id });
+    }
+  }
+
+  async function pingEscalationRole(dispute, thread, now) {
+    const { escalation_role_id: roleId } = guildRouter.staffRolesFor(thread.guild.id, dispute.category);
+    // Remember the attempt either way, so a missing role doesn't log on every tick
+    disputeThreads.save(dispute.disputeId, { escalationPingedAt: new Date(now).toISOString() });
+    if (!roleId) {
+      logger.warn(`⚠️  Dispute #${dispute.disputeId} is overdue but no escalation role is configured`, { dispute_id: dispute.disputeId, guild_id: thread.guild.id });
+      return;
+    }
+
+    await addRoleMembersToThread(thread, [roleId], `Dispute #${dispute.disputeId} overdue`).catch((error) => {
+      logger.error(`❌ Could not add the escalation role to dispute #${dispute.disputeId}`, { dispute_id: dispute.disputeId, thread_id: dispute.threadId, error });
+    });
+    const locale = resolveLocale(dispute.locale);
+    await deliveryQueue.enqueue({
+      channelId: dispute.threadId,
+      payload: {
+        content: t(locale, 'dispute.sla.escalation', { role: `<@&${roleId}>`, hours: hoursSince(dispute.awaitingSellerSince, now) }),
+        allowedMentions: { parse: [], roles: [roleId] },
+      },
+      meta: { type: 'dispute.sla.escalation', disputeId: dispute.disputeId },
+    });
+    logger.info(`🚨 Dispute #${dispute.disputeId} overdue - escalation role ${roleId} pinged`, { dispute_id: dispute.disputeId, thread_id: dispute.threadId, role_id: roleId });
+  }
+
+  async function checkDispute(dispute, now) {
+    const thread = await client.channels.fetch(dispute.threadId).catch(() => null);
+    if (!thread) return;
+
+    // Keep the thread visible while the dispute is open
+    if (thread.archived && !thread.locked) {
+      await thread.setArchived(false, `Dispute #${dispute.disputeId} is still open`);
+      logger.info(`📂 Dispute #${dispute.disputeId} thread unarchived (dispute still open)`, { dispute_id: dispute.disputeId, thread_id: dispute.threadId });
+    }
+
+    if (!dispute.openedAt || !dispute.awaitingSellerSince) return;
+    const waitingMs = now - new Date(dispute.awaitingSellerSince).getTime();
+
+    if (escalationHours > 0 && waitingMs >= escalationHours * HOUR && !dispute.escalationPingedAt && dispute.status !== 'escalated') {
+      await pingEscalationRole(dispute, thread, now);
+      return;
+    }
+
+    const lastReminder = dispute.sellerRemindedAt ? new Date(dispute.sellerRemindedAt).getTime() : new Date(dispute.awaitingSellerSince).getTime();
+    if (sellerReminderHours > 0 && now - lastReminder >= sellerReminderHours * HOUR) {
+      await remindSeller(dispute, now);
+    }
+  }
+
+  // Embed with the open disputes per category: count, oldest and how many wait for the seller
+  function buildSummaryEmbed(open, now, locale = DEFAULT_LOCALE) {
+    const byCategory = new Map();
+    for (const dispute of open) {
+      const key = dispute.category || null;
+      if (!byCategory.has(key)) byCategory.set(key, []);
+      byCategory.get(key).push(dispute);
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle(t(locale, 'dispute.summary.title'))
+      .setColor(open.length > 0 ? 0xFEE75C : 0x57F287)
+      .setTimestamp(now)
+      .setFooter({ text: t(locale, 'dispute.footer') });
+
+    if (open.length === 0) {
+      return embed.setDescription(t(locale, 'dispute.summary.none'));
+    }
+
+    embed.setDescription(t(locale, 'dispute.summary.total', { count: open.length }));
+    for (const [category, disputes] of byCategory) {
+      const entry = categories.get(category);
+      const name = entry ? `${entry.emoji ? `${entry.emoji} ` : ''}${entry.name}` : (category || t(locale, 'common.na'));
+      const oldest = disputes.reduce((first, dispute) => {
+        const opened = dispute.openedAt || dispute.updatedAt;
+        return !first || opened < first.opened ? { opened, disputeId: dispute.disputeId } : first;
+      }, null);
+      const awaitingSeller = disputes.filter(dispute => dispute.awaitingSellerSince).length;
+      const escalated = disputes.filter(dispute => dispute.status === 'escalated').length;
+
+      embed.addFields({
+        name: `${name} (${disputes.length})`,
+        value: [
+          t(locale, 'dispute.summary.oldest', { id: oldest.disputeId, hours: hoursSince(oldest.opened, now) }),
+          t(locale, 'dispute.summary.awaiting_seller', { count: awaitingSeller }),
+          t(locale, 'dispute.summary.escalated', { count: escalated }),
+        ].join('\n'),
+      });
+    }
+    return embed;
+  }
+
+  async function postSummary(now = Date.now()) {
+    if (!summaryChannelId) return null;
+    const open = disputeThreads.listOpen();
+    const delivery = await deliveryQueue.enqueue({
+      channelId: summaryChannelId,
+      payload: { embeds: [buildSummaryEmbed(open, now).toJSON()] },
+      meta: { type: 'dispute.summary' },
+    });
+    logger.info(`📊 Daily dispute summary ${delivery.status === 'failed' ? 'failed' : 'posted'} (${open.length} open)`, { channel_id: summaryChannelId, delivery_id: delivery.id });
+    return delivery;
+  }
+
+  async function tick(now = Date.now()) {
+    if (running) return;
+    running = true;
+    try {
+      for (const dispute of disputeThreads.listOpen()) {
+        try {
+          await checkDispute(dispute, now);
+        } catch (error) {
+          logger.error(`❌ SLA check failed for dispute #${dispute.disputeId}`, { dispute_id: dispute.disputeId, error });
+        }
+      }
+
+      const clock = localClock(new Date(now), timeZone);
+      if (summaryChannelId && clock.hour >= summaryHour && store.data.lastSummaryDate !== clock.date) {
+        store.data.lastSummaryDate = clock.date;
+        store.save();
+        await postSummary(now);
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    track,
+    handleMessage,
+    tick,
+    postSummary,
+    buildSummaryEmbed,
+    start() {
+      if (!timer) {
+        timer = setInterval(() => {
+          tick().catch((error) => logger.error('❌ Dispute SLA scheduler error', { error }));
+        }, intervalMs);
+      }
+      const open = disputeThreads.listOpen().length;
+      logger.info(`⏰ Dispute SLA scheduler started (${open} open dispute(s), seller reminder after ${sellerReminderHours}h, escalation after ${escalationHours}h)`);
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
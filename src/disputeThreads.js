@@ -0,0 +1,63 @@
+import { createJsonStore } from './store.js';
+import { t, DEFAULT_LOCALE } from './i18n.js';
+
+// Emojis and thread-name prefixes for dispute statuses (display labels are in the message catalogs)
+export const DISPUTE_STATUSES = {
+  open: { emoji: '🟢', prefix: 'Open' },
+  under_review: { emoji: '🔍', prefix: 'Under Review' },
+  awaiting_evidence: { emoji: '📎', prefix: 'Awaiting Evidence' },
+  escalated: { emoji: '🚨', prefix: 'Escalated' },
+  resolved: { emoji: '✅', prefix: 'Resolved' },
+  closed: { emoji: '🔒', prefix: 'Closed' },
+};
+
+export function getDisputeStatusLabel(status, locale = DEFAULT_LOCALE) {
+  const known = DISPUTE_STATUSES[status];
+  if (known) return `${known.emoji} ${t(locale, `dispute.status.${status}`)}`;
+  return status ? String(status) : t(locale, 'dispute.status.unknown');
+}
+
+// Thread name with a status prefix, e.g. "[Under Review] Dispute #12 - Order #34".
+// Discord limits thread names to 100 characters.
+export function formatDisputeThreadName(status, baseName) {
+  const prefix = DISPUTE_STATUSES[status]?.prefix || status;
+  const name = prefix ? `[${prefix}] ${baseName}` : baseName;
+  return name.length > 100 ? `${name.substring(0, 99)}…` : name;
+}
+
+// Statuses after which the bot no longer follows up on a dispute
+export const CLOSED_STATUSES = new Set(['resolved', 'closed']);
+
+// Persistent mapping dispute_id -> private thread the bot opened for it
+export function createDisputeThreadStore({ fileName = 'dispute-threads.json' } = {}) {
+  const store = createJsonStore(fileName, { disputes: {} });
+
+  return {
+    get(disputeId) {
+      return store.data.disputes[String(disputeId)] || null;
+    },
+
+    // Disputes whose thread is still open (not resolved or closed)
+    listOpen() {
+      return Object.entries(store.data.disputes)
+        .filter(([, dispute]) => dispute.threadId && !CLOSED_STATUSES.has(dispute.status))
+        .map(([disputeId, dispute]) => ({ disputeId, ...dispute }));
+    },
+
+    findByThread(threadId) {
+      const entry = Object.entries(store.data.disputes).find(([, dispute]) => dispute.threadId === threadId);
+      return entry ? { disputeId: entry[0], ...entry[1] } : null;
+    },
+
+    save(disputeId, fields) {
+      const key = String(disputeId);
+      store.data.disputes[key] = {
+        ...store.data.disputes[key],
+        ...fields,
+        updatedAt: new Date().toISOString(),
+      };
+      store.save();
+      return store.data.disputes[key];
+    },
+  };
+}
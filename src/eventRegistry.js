@@ -0,0 +1,34 @@
+import { EVENT_SCHEMAS } from './schemas.js';
+
+// Webhook event handlers by event_type. New event types plug in with register() instead of
+// another case in a switch. Every event type needs a payload schema in schemas.js, so the
+// handler always receives a validated, normalized payload.
+export function createEventRegistry() {
+  const handlers = new Map();
+
+  return {
+    register(eventType, handler) {
+      if (!EVENT_SCHEMAS[eventType]) {
+        throw new Error(`Cannot register ${eventType}: no payload schema in schemas.js`);
+      }
+      if (handlers.has(eventType)) {
+        throw new Error(`Cannot register ${eventType}: a handler is already registered`);
+      }
+      handlers.set(eventType, handler);
+      return this;
+    },
+
+    has: (eventType) => handlers.has(eventType),
+    list: () => [...handlers.keys()],
+
+    async dispatch(eventType, data) {
+      const handler = handlers.get(eventType);
+      if (!handler) {
+        const error = new Error(`Unknown event type: ${eventType}`);
+        error.statusCode = 400;
+        throw error;
+      }
+      return handler(data, eventType);
+    },
+  };
+}
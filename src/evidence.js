@@ -0,0 +1,49 @@
+import { toTranscriptEntry } from './transcript.js';
+import { logger } from './logger.js';
+
+const ACK_REACTION = '📥';
+const FAILED_REACTION = '⚠️';
+
+// Watch dispute threads and forward messages and attachments from the buyer and seller
+// to the backend as evidence. Each forwarded message gets an acknowledgement reaction.
+export function createEvidenceCollector({ backend, disputeThreads, callbackUrl }) {
+  // Callback URL may contain {dispute_id}; default is relative to LARAVEL_API_URL
+  function evidenceUrl(disputeId) {
+    return (callbackUrl || '/disputes/{dispute_id}/evidence').replace('{dispute_id}', encodeURIComponent(disputeId));
+  }
+
+  return async function handleMessage(message) {
+    if (message.author.bot || !message.channel.isThread()) return;
+
+    const dispute = disputeThreads.findByThread(message.channelId);
+    if (!dispute || dispute.status === 'resolved') return;
+
+    let party = null;
+    if (message.author.id === dispute.buyerDiscordId) party = 'buyer';
+    else if (message.author.id === dispute.sellerDiscordId) party = 'seller';
+    if (!party) return;
+
+    const entry = toTranscriptEntry(message);
+    if (!entry.content && entry.attachments.length === 0) return;
+
+    try {
+      await backend.post(evidenceUrl(dispute.disputeId), {
+        dispute_id: dispute.disputeId,
+        party,
+        thread_id: message.channelId,
+        message_id: message.id,
+        message_url: message.url,
+        author: { discord_id: entry.author.id, username: entry.author.username },
+        content: entry.content,
+        attachments: entry.attachments,
+        created_at: entry.created_at,
+      });
+
+      await message.react(ACK_REACTION);
+      logger.info(`📎 Evidence from ${party} forwarded for dispute #${dispute.disputeId} (${entry.attachments.length} attachment(s))`, { dispute_id: dispute.disputeId, thread_id: message.channelId, message_id: message.id });
+    } catch (error) {
+      logger.error(`❌ Failed to forward evidence for dispute #${dispute.disputeId}`, { dispute_id: dispute.disputeId, thread_id: message.channelId, message_id: message.id, error });
+      await message.react(FAILED_REACTION).catch(() => {});
+    }
+  };
+}
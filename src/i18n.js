@@ -0,0 +1,77 @@
+import en from './locales/en.js';
+import ar from './locales/ar.js';
+
+const catalogs = { en, ar };
+const RTL_LOCALES = new Set(['ar']);
+const LOCALE_ALIASES = { arabic: 'ar', english: 'en', 'عربي': 'ar', 'العربية': 'ar' };
+
+export const SUPPORTED_LOCALES = Object.keys(catalogs);
+
+function normalizeLocale(value) {
+  if (!value || typeof value !== 'string') return null;
+  const lower = value.trim().toLowerCase();
+  const locale = LOCALE_ALIASES[lower] || lower.split(/[-_]/)[0];
+  return catalogs[locale] ? locale : null;
+}
+
+export const DEFAULT_LOCALE = normalizeLocale(process.env.DEFAULT_LOCALE) || 'en';
+// Time zone for dates written into messages (embed timestamps are shown in each reader's own time zone)
+export const DISPLAY_TIMEZONE = process.env.DISPLAY_TIMEZONE || 'UTC';
+
+export function isSupportedLocale(value) {
+  return normalizeLocale(value) !== null;
+}
+
+// First supported locale among the candidates (payload language, channel, category, ...),
+// accepting "ar", "ar-SA", "en_US" or "arabic". Falls back to DEFAULT_LOCALE.
+export function resolveLocale(...candidates) {
+  for (const candidate of candidates) {
+    const locale = normalizeLocale(candidate);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+export function isRtl(locale) {
+  return RTL_LOCALES.has(locale);
+}
+
+// Translate a message key, filling in {placeholders}. Missing keys fall back to English.
+export function t(locale, key, params = {}) {
+  const template = catalogs[locale]?.[key] ?? catalogs[DEFAULT_LOCALE][key] ?? en[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// Wrap user-provided text (titles, usernames, notes) in Unicode directional isolates so
+// English text inside an Arabic message (and the other way round) doesn't reorder its surroundings
+export function isolate(text) {
+  if (text === undefined || text === null || text === '') return text;
+  return `\u2068${text}\u2069`;
+}
+
+export function formatPrice(locale, amount, currency = 'USD') {
+  const value = parseFloat(amount);
+  if (Number.isNaN(value)) return String(amount);
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(value);
+  } catch {
+    return `${value.toFixed(2)} ${currency}`;
+  }
+}
+
+export function formatDate(locale, date) {
+  return new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short', timeZone: DISPLAY_TIMEZONE }).format(new Date(date));
+}
+
+// Calendar date and hour in a time zone, for schedules that run once a day or once an hour
+export function localClock(date, timeZone = DISPLAY_TIMEZONE) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date).map(({ type, value }) => [type, value]));
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: parseInt(parts.hour, 10) };
+}
@@ -0,0 +1,55 @@
+import { createJsonStore } from './store.js';
+
+// Persistent record of processed webhook events keyed by event ID / Idempotency-Key.
+// A retried event returns the stored result of the first run instead of running again.
+export function createIdempotencyStore({ fileName = 'processed-events.json', ttlMs = 7 * 24 * 60 * 60 * 1000 } = {}) {
+  const store = createJsonStore(fileName, { events: {} });
+  const inFlight = new Map(); // key -> promise of the first run
+
+  function prune() {
+    const cutoff = Date.now() - ttlMs;
+    for (const [key, record] of Object.entries(store.data.events)) {
+      if (new Date(record.processedAt).getTime() < cutoff) {
+        delete store.data.events[key];
+      }
+    }
+  }
+
+  // Run fn once per key. Resolves with { result, duplicate }.
+  // Failed runs are not recorded, so Laravel's retry gets another chance.
+  async function run(key, fn) {
+    if (!key) {
+      return { result: await fn(), duplicate: false };
+    }
+
+    const record = store.data.events[key];
+    if (record) {
+      return { result: record.result, duplicate: true };
+    }
+
+    // A retry that arrives while the first request is still being handled waits for it
+    if (inFlight.has(key)) {
+      return { result: await inFlight.get(key), duplicate: true };
+    }
+
+    const promise = Promise.resolve().then(fn);
+    inFlight.set(key, promise);
+    try {
+      const result = await promise;
+      prune();
+      store.data.events[key] = {
+        result: result ?? null,
+        processedAt: new Date().toISOString(),
+      };
+      store.save();
+      return { result, duplicate: false };
+    } finally {
+      inFlight.delete(key);
+    }
+  }
+
+  return {
+    run,
+    get: (key) => store.data.events[key] || null,
+  };
+}
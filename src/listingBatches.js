@@ -0,0 +1,295 @@
+import { EmbedBuilder } from 'discord.js';
+import { createJsonStore } from './store.js';
+import { t, isolate, formatPrice, localClock, DEFAULT_LOCALE, DISPLAY_TIMEZONE } from './i18n.js';
+import { logger } from './logger.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Discord allows 10 embeds per message - bigger batches are posted as one compact list
+export const MAX_BATCH_EMBEDS = 10;
+const MAX_DESCRIPTION_LENGTH = 4000;
+const MAX_FIELD_LENGTH = 1000;
+const DEFAULT_COLOR = 0x00AE86;
+
+// The digest period a timestamp falls in: the local hour for hourly digests, or the local day
+// starting at digest_hour for daily ones. A digest is due once the period has moved on.
+function digestPeriod(timestamp, { digest_schedule: schedule, digest_hour: digestHour }, timeZone) {
+  if (schedule === 'hourly') {
+    const clock = localClock(new Date(timestamp), timeZone);
+    return `${clock.date} ${clock.hour}`;
+  }
+  return localClock(new Date(timestamp - digestHour * HOUR), timeZone).date;
+}
+
+// Add lines until the text would exceed maxLength, then summarize the rest
+function joinLines(lines, maxLength, moreLine) {
+  let text = '';
+  for (let index = 0; index < lines.length; index++) {
+    const more = moreLine(lines.length - index);
+    if (text.length + lines[index].length + 1 > maxLength - more.length - 1) {
+      return `${text}${more}`;
+    }
+    text += `${lines[index]}\n`;
+  }
+  return text.trimEnd();
+}
+
+// Collects new listings for categories with delivery_mode "batched" or "digest" and posts them
+// together: batched categories get one message every batch_minutes (up to 10 listing embeds,
+// or a compact list for bigger batches), digest categories an hourly or daily summary with the
+// cheapest and newest listing and the price range. Pending batches live in a JSON store so a
+// restart doesn't lose them; listings sold or removed before the post are left out.
+export function createListingBatcher({
+  deliveryQueue,
+  listingMessages,
+  categories,
+  buildListingEmbed,
+  getCategoryLabel,
+  isRetired,
+  frontendUrl,
+  timeZone = DISPLAY_TIMEZONE,
+  intervalMs = MINUTE,
+  fileName = 'listing-batches.json',
+}) {
+  // batches: "<channelId>:<category>" -> { mode, category, channelId, guildId, locale, pingRoleId, openedAt, listingIds }
+  const store = createJsonStore(fileName, { batches: {} });
+  let timer = null;
+  let running = null; // the run in progress, if any
+
+  // Add a listing to its channel's pending batch (opened by the first listing)
+  function add({ mode, category, channelId, guildId = null, locale = DEFAULT_LOCALE, pingRoleId = null }, listingId, now = Date.now()) {
+    const key = `${channelId}:${category}`;
+    if (!store.data.batches[key]) {
+      store.data.batches[key] = { mode, category, channelId, guildId, locale, pingRoleId, openedAt: now, listingIds: [] };
+    }
+    const batch = store.data.batches[key];
+    if (!batch.listingIds.includes(String(listingId))) {
+      batch.listingIds.push(String(listingId));
+    }
+    store.save();
+
+    const settings = categories.get(category);
+    return {
+      mode: batch.mode,
+      batch: key,
+      size: batch.listingIds.length,
+      ...(batch.mode === 'batched' && settings && { due_at: new Date(batch.openedAt + settings.batch_minutes * MINUTE).toISOString() }),
+    };
+  }
+
+  // Due with the category's current settings. A category switched back to "instant" (or
+  // removed from the registry) has its pending batch posted right away.
+  function isDue(batch, now) {
+    const settings = categories.get(batch.category);
+    if (settings?.delivery_mode === 'batched') {
+      return now >= batch.openedAt + settings.batch_minutes * MINUTE;
+    }
+    if (settings?.delivery_mode === 'digest') {
+      return digestPeriod(now, settings, timeZone) !== digestPeriod(batch.openedAt, settings, timeZone);
+    }
+    return true;
+  }
+
+  // "[Title](link) - price" for the compact list and the digest, struck through once the
+  // listing is sold or removed after the post
+  function listingLine(locale, { id, listing }) {
+    const line = `[${isolate(listing.title) || `#${id}`}](${frontendUrl}/product/${id}) - ${formatPrice(locale, listing.price, listing.currency)}`;
+    return isRetired(listing) ? `~~${line}~~` : line;
+  }
+
+  function buildListEmbed(batch, listings) {
+    const { locale, category } = batch;
+    const lines = listings.map(entry => `• ${listingLine(locale, entry)}`);
+    return new EmbedBuilder()
+      .setColor(categories.get(category)?.color ?? DEFAULT_COLOR)
+      .setTitle(t(locale, 'listing.batch.title', { count: listings.length, category: getCategoryLabel(category, locale) }))
+      .setDescription(joinLines(lines, MAX_DESCRIPTION_LENGTH, count => t(locale, 'listing.batch.more', { count })))
+      .setFooter({ text: t(locale, 'listing.footer') })
+      .setTimestamp();
+  }
+
+  function buildDigestEmbed(batch, listings) {
+    const { locale, category } = batch;
+    const schedule = categories.get(category)?.digest_schedule === 'hourly' ? 'hourly' : 'daily';
+    const priced = listings.filter(({ listing }) => !Number.isNaN(parseFloat(listing.price)));
+    const byPrice = [...priced].sort((a, b) => parseFloat(a.listing.price) - parseFloat(b.listing.price));
+    const newest = [...listings].sort((a, b) => new Date(b.listing.createdAt) - new Date(a.listing.createdAt))[0];
+
+    const embed = new EmbedBuilder()
+      .setColor(categories.get(category)?.color ?? DEFAULT_COLOR)
+      .setTitle(t(locale, `listing.digest.title.${schedule}`, { category: getCategoryLabel(category, locale) }))
+      .setDescription(t(locale, 'listing.digest.total', { count: listings.length }))
+      .setFooter({ text: t(locale, 'listing.footer') })
+      .setTimestamp();
+
+    if (byPrice.length > 0) {
+      const cheapest = byPrice[0];
+      const highest = byPrice[byPrice.length - 1];
+      embed.addFields(
+        { name: t(locale, 'listing.digest.cheapest'), value: listingLine(locale, cheapest), inline: true },
+        { name: t(locale, 'listing.digest.newest'), value: listingLine(locale, newest), inline: true },
+        {
+          name: t(locale, 'listing.digest.price_range'),
+          value: `${formatPrice(locale, cheapest.listing.price, cheapest.listing.currency)} - ${formatPrice(locale, highest.listing.price, highest.listing.currency)}`,
+          inline: true,
+        },
+      );
+    } else {
+      embed.addFields({ name: t(locale, 'listing.digest.newest'), value: listingLine(locale, newest) });
+    }
+
+    const lines = listings.map(entry => `• ${listingLine(locale, entry)}`);
+    embed.addFields({
+      name: t(locale, 'listing.digest.listings'),
+      value: joinLines(lines, MAX_FIELD_LENGTH, count => t(locale, 'listing.batch.more', { count })),
+    });
+    return embed;
+  }
+
+  // Up to 10 listing embeds in one message, a compact list beyond that, or the digest summary
+  function buildPayload(batch, listings) {
+    const { mode, locale, category, pingRoleId } = batch;
+    const ping = pingRoleId ? { content: `<@&${pingRoleId}>`, allowedMentions: { roles: [pingRoleId] } } : {};
+
+    if (mode === 'digest') {
+      return { ...ping, embeds: [buildDigestEmbed(batch, listings).toJSON()] };
+    }
+    if (listings.length <= MAX_BATCH_EMBEDS) {
+      const header = t(locale, 'listing.batch.header', { count: listings.length, category: getCategoryLabel(category, locale) });
+      return {
+        ...ping,
+        content: ping.content ? `${ping.content} ${header}` : header,
+        embeds: listings.map(({ id, listing }) => buildListingEmbed(id, listing, locale).toJSON()),
+      };
+    }
+    return { ...ping, embeds: [buildListEmbed(batch, listings).toJSON()] };
+  }
+
+  // Drop the listings that were posted (or skipped) from a pending batch. Listings added while
+  // the post was being queued stay for the next one.
+  function removePosted(key, listingIds, now) {
+    const batch = store.data.batches[key];
+    if (!batch) return;
+    const remaining = batch.listingIds.filter(id => !listingIds.includes(id));
+    if (remaining.length === 0) {
+      delete store.data.batches[key];
+    } else {
+      store.data.batches[key] = { ...batch, openedAt: now, listingIds: remaining };
+    }
+    store.save();
+  }
+
+  // Post one pending batch and drop it from the store once the post is queued. Listings
+  // retired since they were added are skipped; a batch with nothing left is dropped without a post.
+  async function post(key) {
+    const batch = store.data.batches[key];
+    if (!batch) return null;
+    const listingIds = [...batch.listingIds];
+
+    const listings = listingIds
+      .map(id => ({ id, listing: listingMessages.get(id)?.listing }))
+      .filter(({ listing }) => listing && !isRetired(listing));
+    if (listings.length === 0) {
+      removePosted(key, listingIds, Date.now());
+      logger.info(`🗂️  ${batch.mode === 'digest' ? 'Digest' : 'Batch'} for channel ${batch.channelId} dropped (no listings left to post)`, { batch: key, channel_id: batch.channelId });
+      return null;
+    }
+
+    // The meta describes the post well enough to render it again when one of its listings changes
+    const delivery = await deliveryQueue.enqueue({
+      channelId: batch.channelId,
+      payload: buildPayload(batch, listings),
+      meta: {
+        type: batch.mode === 'digest' ? 'listing.digest' : 'listing.batch',
+        mode: batch.mode,
+        category: batch.category,
+        guildId: batch.guildId,
+        locale: batch.locale,
+        pingRoleId: batch.pingRoleId,
+        listingIds: listings.map(({ id }) => id),
+      },
+    });
+    removePosted(key, listingIds, Date.now());
+    if (delivery.status === 'failed') {
+      logger.error(`❌ ${batch.mode === 'digest' ? 'Digest' : 'Batch'} of ${listings.length} listing(s) could not be delivered to channel ${batch.channelId}: ${delivery.error}`, {
+        batch: key,
+        channel_id: batch.channelId,
+        delivery_id: delivery.id,
+      });
+    } else {
+      logger.info(`🗂️  ${batch.mode === 'digest' ? 'Digest' : 'Batch'} of ${listings.length} listing(s) ${delivery.status === 'delivered' ? 'sent' : 'queued'} for channel ${batch.channelId}`, {
+        batch: key,
+        channel_id: batch.channelId,
+        delivery_id: delivery.id,
+      });
+    }
+    return delivery;
+  }
+
+  // Post every batch that is due, or all of them with { force: true } (shutdown)
+  async function tick(now = Date.now(), { force = false } = {}) {
+    // A scheduled tick skips while another run is posting; a forced flush (shutdown) waits for
+    // it, so the two can't pick up and post the same batch
+    while (running) {
+      if (!force) return [];
+      await running.catch(() => {});
+    }
+    running = postDue(now, force);
+    try {
+      return await running;
+    } finally {
+      running = null;
+    }
+  }
+
+  async function postDue(now, force) {
+    const deliveries = [];
+    for (const key of Object.keys(store.data.batches)) {
+      const batch = store.data.batches[key];
+      // Paused categories keep their batch until they are resumed, even on shutdown
+      if (categories.get(batch.category)?.paused) continue;
+      if (!force && !isDue(batch, now)) continue;
+      try {
+        const delivery = await post(key);
+        if (delivery) deliveries.push(delivery);
+      } catch (error) {
+        logger.error(`❌ Listing batch ${key} could not be posted`, { batch: key, channel_id: batch.channelId, error });
+      }
+    }
+    return deliveries;
+  }
+
+  // Payload for a batch or digest post that was already sent, from the current listing data.
+  // Used to edit the message when one of its listings is updated, sold or removed.
+  function render({ mode, category, locale, pingRoleId = null, listingIds }) {
+    const listings = listingIds
+      .map(id => ({ id, listing: listingMessages.get(id)?.listing }))
+      .filter(({ listing }) => listing);
+    return buildPayload({ mode, category, locale: locale || DEFAULT_LOCALE, pingRoleId }, listings);
+  }
+
+  return {
+    add,
+    tick,
+    render,
+    // Post everything still pending, e.g. before the bot shuts down
+    flush: () => tick(Date.now(), { force: true }),
+    listPending: () => Object.entries(store.data.batches).map(([key, batch]) => ({ key, ...batch })),
+    start() {
+      if (!timer) {
+        timer = setInterval(() => {
+          tick().catch((error) => logger.error('❌ Listing batch scheduler error', { error }));
+        }, intervalMs);
+      }
+      const pending = Object.keys(store.data.batches).length;
+      if (pending > 0) {
+        logger.info(`🗂️  Listing batch scheduler started (${pending} pending batch(es))`);
+      }
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
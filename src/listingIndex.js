@@ -0,0 +1,124 @@
+import { createJsonStore } from './store.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+// Statuses that take a listing off the market
+const INACTIVE_STATUSES = new Set(['sold', 'removed', 'suspended']);
+
+export function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function priceOf(listing) {
+  const price = parseFloat(listing.price);
+  return Number.isNaN(price) ? null : price;
+}
+
+// Most common currency among the listings, for per-category price stats
+function mainCurrency(listings) {
+  const counts = new Map();
+  for (const { currency = 'USD' } of listings) counts.set(currency, (counts.get(currency) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 'USD';
+}
+
+// Local index of the listings currently on sale, for /search and /stats. Fed by the listing
+// events (snapshots as stored by the listing message store) and optionally rebuilt from the
+// backend. Sold listings are kept as recent sales for salesRetentionDays.
+export function createListingIndex({ fileName = 'listing-index.json', salesRetentionDays = 30, maxSales = 500 } = {}) {
+  // listings: listing_id -> snapshot; sales: newest first
+  const store = createJsonStore(fileName, { listings: {}, sales: [], backfilledAt: null });
+
+  function pruneSales(now) {
+    const cutoff = now - salesRetentionDays * DAY;
+    store.data.sales = store.data.sales
+      .filter(sale => new Date(sale.soldAt).getTime() >= cutoff)
+      .slice(0, maxSales);
+  }
+
+  function recordSale(listingId, listing, now) {
+    if (store.data.sales.some(sale => sale.id === listingId)) return;
+    const { title = null, price = null, currency = 'USD', category = null } = listing;
+    store.data.sales.unshift({ id: listingId, title, price, currency, category, soldAt: new Date(now).toISOString() });
+    pruneSales(now);
+  }
+
+  return {
+    get(listingId) {
+      return store.data.listings[String(listingId)] || null;
+    },
+
+    size() {
+      return Object.keys(store.data.listings).length;
+    },
+
+    get backfilledAt() {
+      return store.data.backfilledAt;
+    },
+
+    // Add or refresh a listing. Partial snapshots are merged into what the index already has;
+    // a sold listing moves to the recent sales, a removed or suspended one leaves the index.
+    update(listingId, snapshot, now = Date.now()) {
+      const key = String(listingId);
+      const listing = { ...store.data.listings[key], ...snapshot, id: key };
+      if (INACTIVE_STATUSES.has(listing.status)) {
+        delete store.data.listings[key];
+        if (listing.status === 'sold') recordSale(key, listing, now);
+      } else {
+        store.data.listings[key] = listing;
+      }
+      store.save();
+      return store.data.listings[key] || null;
+    },
+
+    // Replace the active listings with a full backfill. Recent sales are kept.
+    replace(snapshots, now = Date.now()) {
+      store.data.listings = {};
+      for (const snapshot of snapshots) {
+        if (INACTIVE_STATUSES.has(snapshot.status)) continue;
+        store.data.listings[String(snapshot.id)] = { ...snapshot, id: String(snapshot.id) };
+      }
+      store.data.backfilledAt = new Date(now).toISOString();
+      store.save();
+      return Object.keys(store.data.listings).length;
+    },
+
+    // Active listings matching every given filter, newest first. The query must appear in the
+    // title or description (case-insensitive).
+    search({ category = null, maxPrice = null, query = null } = {}) {
+      const needle = query?.trim().toLowerCase();
+      return Object.values(store.data.listings)
+        .filter(listing => !category || listing.category === category)
+        .filter(listing => maxPrice == null || (priceOf(listing) !== null && priceOf(listing) <= maxPrice))
+        .filter(listing => !needle || `${listing.title || ''} ${listing.description || ''}`.toLowerCase().includes(needle))
+        .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+    },
+
+    // Active listing count, count and median price per category (busiest first) and the
+    // sales of the last salesDays
+    stats({ now = Date.now(), salesDays = 7 } = {}) {
+      const listings = Object.values(store.data.listings);
+      const byCategory = new Map();
+      for (const listing of listings) {
+        const category = listing.category || null;
+        if (!byCategory.has(category)) byCategory.set(category, []);
+        byCategory.get(category).push(listing);
+      }
+
+      const cutoff = now - salesDays * DAY;
+      return {
+        active: listings.length,
+        categories: [...byCategory.entries()]
+          .map(([category, entries]) => ({
+            category,
+            count: entries.length,
+            median_price: median(entries.map(priceOf).filter(price => price !== null)),
+            currency: mainCurrency(entries),
+          }))
+          .sort((a, b) => b.count - a.count),
+        sales: store.data.sales.filter(sale => new Date(sale.soldAt).getTime() >= cutoff),
+      };
+    },
+  };
+}
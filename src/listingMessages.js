@@ -0,0 +1,59 @@
+import { createJsonStore } from './store.js';
+
+// Persistent mapping listing_id -> Discord messages the bot posted for it,
+// together with the last known listing data so embeds can be rebuilt on updates.
+export function createListingMessageStore({ fileName = 'listing-messages.json' } = {}) {
+  const store = createJsonStore(fileName, { listings: {} });
+
+  function entryFor(listingId) {
+    const key = String(listingId);
+    if (!store.data.listings[key]) {
+      store.data.listings[key] = { listing: {}, messages: [] };
+    }
+    return store.data.listings[key];
+  }
+
+  return {
+    get(listingId) {
+      return store.data.listings[String(listingId)] || null;
+    },
+
+    // Merge new listing data into the stored snapshot and return the result
+    saveListing(listingId, listing) {
+      const entry = entryFor(listingId);
+      entry.listing = { ...entry.listing, ...listing };
+      entry.updatedAt = new Date().toISOString();
+      store.save();
+      return entry.listing;
+    },
+
+    // batch: for batch and digest posts, what the shared message was rendered from
+    // ({ mode, category, locale, pingRoleId, listingIds })
+    addMessage(listingId, { channelId, messageId, locale = null, batch = null }) {
+      const entry = entryFor(listingId);
+      if (!entry.messages.some((message) => message.messageId === messageId)) {
+        entry.messages.push({ channelId, messageId, locale, ...(batch && { batch }) });
+        store.save();
+      }
+    },
+
+    // Private "Ask seller" threads, one per listing and asking user
+    getAskThread(listingId, userId) {
+      return store.data.listings[String(listingId)]?.askThreads?.[userId] || null;
+    },
+
+    setAskThread(listingId, userId, threadId) {
+      const entry = entryFor(listingId);
+      entry.askThreads = { ...entry.askThreads, [userId]: threadId };
+      store.save();
+    },
+
+    removeMessage(listingId, messageId) {
+      const entry = store.data.listings[String(listingId)];
+      if (entry) {
+        entry.messages = entry.messages.filter((message) => message.messageId !== messageId);
+        store.save();
+      }
+    },
+  };
+}
@@ -0,0 +1,30 @@
+import { createJsonStore } from './store.js';
+
+// Users watching a listing (🔔 Watch button) - they get a DM on a price drop or when it sells
+export function createListingWatchStore({ fileName = 'listing-watchers.json' } = {}) {
+  const store = createJsonStore(fileName, { listings: {} });
+
+  return {
+    list(listingId) {
+      return store.data.listings[String(listingId)] || [];
+    },
+
+    // Start or stop watching. Returns true when the user is now watching the listing.
+    toggle(listingId, userId) {
+      const key = String(listingId);
+      const watchers = store.data.listings[key] || [];
+      const watching = !watchers.includes(userId);
+      store.data.listings[key] = watching ? [...watchers, userId] : watchers.filter(id => id !== userId);
+      if (store.data.listings[key].length === 0) delete store.data.listings[key];
+      store.save();
+      return watching;
+    },
+
+    clear(listingId) {
+      if (store.data.listings[String(listingId)]) {
+        delete store.data.listings[String(listingId)];
+        store.save();
+      }
+    },
+  };
+}
@@ -0,0 +1,139 @@
+// Arabic message catalog. Keys missing here fall back to English.
+export default {
+  'common.na': 'غير متوفر',
+
+  'listing.title.new': '🆕 إعلان جديد متاح!',
+  'listing.title.sold': '🔴 تم البيع',
+  'listing.title.unavailable': '⛔ الإعلان غير متاح',
+  'listing.field.price': '💰 السعر',
+  'listing.field.category': '📂 الفئة',
+  'listing.field.description': '📝 الوصف',
+  'listing.field.link': '🔗 عرض الإعلان',
+  'listing.link': 'اضغط هنا للعرض',
+  'listing.footer': 'سوق NXOLand',
+  'listing.button.watch': 'متابعة',
+  'listing.button.report': 'إبلاغ',
+  'listing.button.ask': 'اسأل البائع',
+  'listing.alert': '🔔 إعلان جديد يطابق تنبيهك `{id}`',
+  'listing.watch.sold': '🔴 تم بيع إعلان تتابعه: **{title}**',
+  'listing.watch.price_drop': '📉 انخفض سعر إعلان تتابعه: ~~{old}~~ ← **{new}**',
+  'listing.batch.header': '🆕 **{count}** إعلان جديد في {category}',
+  'listing.batch.title': '🆕 {count} إعلانات جديدة - {category}',
+  'listing.batch.more': '…و{count} أخرى',
+  'listing.digest.title.hourly': '📰 {category} - الملخص الساعي',
+  'listing.digest.title.daily': '📰 {category} - الملخص اليومي',
+  'listing.digest.total': '**{count}** إعلان جديد',
+  'listing.digest.cheapest': '💸 الأرخص',
+  'listing.digest.newest': '🆕 الأحدث',
+  'listing.digest.price_range': '📈 نطاق الأسعار',
+  'listing.digest.listings': '📋 الإعلانات',
+  'listing.number': 'الإعلان #{id}',
+  'listing.unavailable': '⚠️ هذا الإعلان لم يعد متاحًا.',
+  'listing.button.invalid': '⚠️ هذا الزر لم يعد صالحًا.',
+  'listing.button.rate_limited': '⏳ أنت تضغط بسرعة كبيرة. يرجى الانتظار دقيقة.',
+  'listing.watch.on': '🔔 أنت تتابع هذا الإعلان الآن. ستصلك رسالة خاصة إذا انخفض سعره أو تم بيعه. اضغط مرة أخرى لإيقاف المتابعة.',
+  'listing.watch.off': '🔕 لم تعد تتابع هذا الإعلان.',
+  'listing.report.title': 'الإبلاغ عن إعلان',
+  'listing.report.reason': 'ما المشكلة في هذا الإعلان؟',
+  'listing.report.rate_limited': '⏳ لقد أرسلت بلاغات كثيرة. يرجى المحاولة لاحقًا.',
+  'listing.report.failed': '⚠️ تعذر إرسال بلاغك الآن. يرجى المحاولة لاحقًا.',
+  'listing.report.sent': '✅ شكرًا - تم إرسال بلاغك إلى المشرفين.',
+  'listing.ask.no_seller': '⚠️ لم يربط البائع حساب Discord.',
+  'listing.ask.own_listing': '⚠️ هذا إعلانك.',
+  'listing.ask.existing': '💬 لديك بالفعل محادثة مع البائع: {thread}',
+  'listing.ask.no_threads': '⚠️ لا يمكن فتح محادثات خاصة في هذه القناة.',
+  'listing.ask.failed': '⚠️ تعذر فتح المحادثة. يرجى المحاولة لاحقًا.',
+  'listing.ask.seller_missing': '⚠️ البائع ليس عضوًا في هذا الخادم، لذلك لا يمكن فتح محادثة.',
+  'listing.ask.opened': '💬 تم فتح المحادثة: {thread}',
+
+  'search.title': '🔎 الإعلانات المعروضة للبيع',
+  'search.any_category': 'كل الفئات',
+  'search.under': 'أقل من {price}',
+  'search.none': 'لا توجد إعلانات تطابق بحثك.',
+  'search.footer': '{count} نتيجة • الصفحة {page}/{pages}',
+  'search.view': 'عرض الإعلان',
+  'search.previous': 'السابق',
+  'search.next': 'التالي',
+  'search.unknown_category': '⚠️ فئة غير معروفة: {category}',
+  'search.too_long': '⚠️ هذا البحث أطول من أن تحمله أزرار التنقل. يرجى استخدام نص أو سعر أقصر.',
+  'search.expired': '⚠️ هذا الزر لم يعد صالحًا.',
+  'stats.title': '📊 إحصائيات السوق',
+  'stats.active': '**{count}** إعلان معروض للبيع',
+  'stats.category': '{count} معروض للبيع\nالوسيط: {median}',
+  'stats.sales.title': '🔴 المبيعات (آخر {days} أيام)',
+  'stats.sales.total': 'تم بيع **{count}**',
+  'stats.sales.none': 'لا توجد مبيعات بعد.',
+
+  'dispute.footer': 'نظام النزاعات NXOLand',
+  'dispute.number': '**النزاع #{id}**',
+  'dispute.created.title': '⚠️ تم فتح نزاع جديد',
+  'dispute.created.notice': '💬 **هذه محادثة خاصة للتواصل بين المشتري والبائع. لا يراها إلا أنت والطرف الآخر والإدارة.**\n\n🔒 **الخصوصية:** هذه المحادثة خاصة ولن تظهر لبقية أعضاء السيرفر.',
+  'dispute.updated.title': '🔄 تم تحديث حالة النزاع',
+  'dispute.resolved.title': '✅ تم حل النزاع',
+  'dispute.resolved.description': 'تم حل **النزاع #{id}**',
+  'dispute.field.order': '📦 رقم الطلب',
+  'dispute.field.initiated_by': '👤 فتحه',
+  'dispute.field.category': '📂 الفئة',
+  'dispute.field.reason': '📋 السبب',
+  'dispute.field.description': '📝 الوصف',
+  'dispute.field.buyer_discord': '🆔 ديسكورد المشتري',
+  'dispute.field.seller_discord': '🆔 ديسكورد البائع',
+  'dispute.field.opened': '📅 تاريخ الفتح',
+  'dispute.field.previous_status': '⏮️ الحالة السابقة',
+  'dispute.field.new_status': '⏭️ الحالة الجديدة',
+  'dispute.field.notes': '📝 ملاحظات',
+  'dispute.field.updated_by': '👤 حدّثه',
+  'dispute.field.resolution': '⚖️ القرار',
+  'dispute.field.resolved_by': '👤 حلّه',
+  'dispute.field.resolution_notes': '📝 ملاحظات القرار',
+  'dispute.field.transcript': '📄 سجل المحادثة',
+  'dispute.party.buyer': 'المشتري',
+  'dispute.party.seller': 'البائع',
+  'dispute.no_description': 'لم يتم تقديم وصف',
+  'dispute.no_notes': 'لا توجد ملاحظات',
+  'dispute.not_connected': 'غير مربوط',
+  'dispute.resolver_default': 'الإدارة',
+  'dispute.transcript_link': 'عرض السجل',
+  'dispute.resolution.buyer': '✅ **تم الحل لصالح المشتري**',
+  'dispute.resolution.seller': '✅ **تم الحل لصالح البائع**',
+  'dispute.resolution.refund': '✅ **تم الحل: استرداد المبلغ**',
+  'dispute.resolution.default': '✅ **تم حل النزاع**',
+  'dispute.sla.seller_reminder': '⏰ {seller}، المشتري ينتظر ردك منذ {hours} ساعة. يرجى الرد في هذا الموضوع.',
+  'dispute.sla.seller_reminder_unlinked': '⏰ لم يرد البائع منذ {hours} ساعة.',
+  'dispute.sla.escalation': '🚨 {role} لا يوجد رد من البائع منذ {hours} ساعة - هذا النزاع يحتاج إلى تدخل الإدارة.',
+  'dispute.summary.title': '📊 النزاعات المفتوحة - الملخص اليومي',
+  'dispute.summary.none': '✅ لا توجد نزاعات مفتوحة.',
+  'dispute.summary.total': '**{count}** نزاع مفتوح',
+  'dispute.summary.oldest': 'الأقدم: #{id} ({hours} ساعة)',
+  'dispute.summary.awaiting_seller': 'بانتظار البائع: {count}',
+  'dispute.summary.escalated': 'مُصعّد: {count}',
+  'dispute.status.open': 'مفتوح',
+  'dispute.status.under_review': 'قيد المراجعة',
+  'dispute.status.awaiting_evidence': 'بانتظار الأدلة',
+  'dispute.status.escalated': 'مُصعّد',
+  'dispute.status.resolved': 'تم الحل',
+  'dispute.status.closed': 'مغلق',
+  'dispute.status.unknown': 'غير معروف',
+  'order.footer': 'طلبات NXOLand',
+  'order.link': 'عرض الطلب في NXOLand',
+  'order.field.listing': '🏷️ الإعلان',
+  'order.field.amount': '💰 المبلغ',
+  'order.field.category': '🎮 الفئة',
+  'order.field.confirm_by': '⏳ التأكيد قبل',
+  'order.field.fee': '🧾 الرسوم',
+  'order.field.net_amount': '💸 المبلغ المستحق لك',
+  'order.field.link': '🔗 الطلب',
+  'order.created.title': '🛒 طلب جديد',
+  'order.created.description': 'تم إنشاء **الطلب #{id}**. يحتفظ NXOLand بالمبلغ حتى يؤكد المشتري الاستلام.',
+  'order.delivered.title': '📦 تم تسليم الطلب',
+  'order.delivered.description': '**الطلب #{id}**: سلّم البائع بيانات الحساب. تحقق منها في NXOLand ثم أكّد الاستلام أو افتح نزاعًا. لا تشارك بيانات الحساب في ديسكورد أبدًا.',
+  'order.confirmed.title': '✅ أكّد المشتري الاستلام',
+  'order.confirmed.description': '**الطلب #{id}**: أكّد المشتري الاستلام. سيتم تحويل مستحقاتك قريبًا.',
+  'order.auto_completed.title': '⏱️ اكتمل الطلب تلقائيًا',
+  'order.auto_completed.description': 'اكتمل **الطلب #{id}** تلقائيًا لانتهاء مهلة التأكيد دون فتح نزاع.',
+  'payout.released.title': '💸 تم تحويل المستحقات',
+  'payout.released.description': '**الطلب #{id}**: تم تحويل مستحقاتك إلى رصيدك في NXOLand.',
+  'account.linked': '🔗 تم ربط حسابك في ديسكورد بحسابك في NXOLand **{account}**.',
+  'account.linked.verified_seller': '✅ حصلت على رتبة البائع الموثّق.',
+  'account.unlinked': '🔗 تم إلغاء ربط حسابك في ديسكورد بـ NXOLand.',
+};
@@ -0,0 +1,139 @@
+// English message catalog. Placeholders like {id} are filled in by t().
+export default {
+  'common.na': 'N/A',
+
+  'listing.title.new': '🆕 New Listing Available!',
+  'listing.title.sold': '🔴 SOLD',
+  'listing.title.unavailable': '⛔ Listing Unavailable',
+  'listing.field.price': '💰 Price',
+  'listing.field.category': '📂 Category',
+  'listing.field.description': '📝 Description',
+  'listing.field.link': '🔗 View Listing',
+  'listing.link': 'Click here to view',
+  'listing.footer': 'NXOLand Marketplace',
+  'listing.button.watch': 'Watch',
+  'listing.button.report': 'Report',
+  'listing.button.ask': 'Ask seller',
+  'listing.alert': '🔔 New listing matching your alert `{id}`',
+  'listing.watch.sold': '🔴 A listing you are watching was sold: **{title}**',
+  'listing.watch.price_drop': '📉 Price drop on a listing you are watching: ~~{old}~~ → **{new}**',
+  'listing.batch.header': '🆕 **{count}** new listing(s) in {category}',
+  'listing.batch.title': '🆕 {count} New Listings - {category}',
+  'listing.batch.more': '…and {count} more',
+  'listing.digest.title.hourly': '📰 {category} - Hourly Digest',
+  'listing.digest.title.daily': '📰 {category} - Daily Digest',
+  'listing.digest.total': '**{count}** new listing(s)',
+  'listing.digest.cheapest': '💸 Cheapest',
+  'listing.digest.newest': '🆕 Newest',
+  'listing.digest.price_range': '📈 Price Range',
+  'listing.digest.listings': '📋 Listings',
+  'listing.number': 'Listing #{id}',
+  'listing.unavailable': '⚠️ This listing is no longer available.',
+  'listing.button.invalid': '⚠️ This button is not valid anymore.',
+  'listing.button.rate_limited': '⏳ You are clicking too fast. Please wait a minute.',
+  'listing.watch.on': '🔔 You are now watching this listing. You will get a DM if the price drops or it sells. Click again to stop.',
+  'listing.watch.off': '🔕 You are no longer watching this listing.',
+  'listing.report.title': 'Report listing',
+  'listing.report.reason': 'What is wrong with this listing?',
+  'listing.report.rate_limited': '⏳ You have sent too many reports. Please try again later.',
+  'listing.report.failed': '⚠️ Your report could not be sent right now. Please try again later.',
+  'listing.report.sent': '✅ Thanks - your report was sent to the moderators.',
+  'listing.ask.no_seller': '⚠️ The seller has not linked a Discord account.',
+  'listing.ask.own_listing': '⚠️ This is your own listing.',
+  'listing.ask.existing': '💬 You already have a thread with the seller: {thread}',
+  'listing.ask.no_threads': '⚠️ Private threads cannot be opened in this channel.',
+  'listing.ask.failed': '⚠️ The thread could not be opened. Please try again later.',
+  'listing.ask.seller_missing': '⚠️ The seller is not a member of this server, so a thread cannot be opened.',
+  'listing.ask.opened': '💬 Thread opened: {thread}',
+
+  'search.title': '🔎 Listings on Sale',
+  'search.any_category': 'Any category',
+  'search.under': 'under {price}',
+  'search.none': 'No listings match your search.',
+  'search.footer': '{count} result(s) • Page {page}/{pages}',
+  'search.view': 'View listing',
+  'search.previous': 'Previous',
+  'search.next': 'Next',
+  'search.unknown_category': '⚠️ Unknown category: {category}',
+  'search.too_long': '⚠️ This search is too long for the page buttons. Please use a shorter query or price.',
+  'search.expired': '⚠️ This button is not valid anymore.',
+  'stats.title': '📊 Marketplace Stats',
+  'stats.active': '**{count}** listing(s) on sale',
+  'stats.category': '{count} on sale\nMedian: {median}',
+  'stats.sales.title': '🔴 Sales (last {days} days)',
+  'stats.sales.total': '**{count}** sold',
+  'stats.sales.none': 'No sales yet.',
+
+  'dispute.footer': 'NXOLand Dispute System',
+  'dispute.number': '**Dispute #{id}**',
+  'dispute.created.title': '⚠️ New Dispute Created',
+  'dispute.created.notice': '💬 **This is a PRIVATE thread for buyer and seller communication. Only you, the other party, and admins can see this thread.**\n\n🔒 **Privacy:** This thread is private and will not be visible to other server members.',
+  'dispute.updated.title': '🔄 Dispute Status Updated',
+  'dispute.resolved.title': '✅ Dispute Resolved',
+  'dispute.resolved.description': '**Dispute #{id}** has been resolved',
+  'dispute.field.order': '📦 Order ID',
+  'dispute.field.initiated_by': '👤 Initiated By',
+  'dispute.field.category': '📂 Category',
+  'dispute.field.reason': '📋 Reason',
+  'dispute.field.description': '📝 Description',
+  'dispute.field.buyer_discord': '🆔 Buyer Discord',
+  'dispute.field.seller_discord': '🆔 Seller Discord',
+  'dispute.field.opened': '📅 Opened',
+  'dispute.field.previous_status': '⏮️ Previous Status',
+  'dispute.field.new_status': '⏭️ New Status',
+  'dispute.field.notes': '📝 Notes',
+  'dispute.field.updated_by': '👤 Updated By',
+  'dispute.field.resolution': '⚖️ Resolution',
+  'dispute.field.resolved_by': '👤 Resolved By',
+  'dispute.field.resolution_notes': '📝 Resolution Notes',
+  'dispute.field.transcript': '📄 Transcript',
+  'dispute.party.buyer': 'Buyer',
+  'dispute.party.seller': 'Seller',
+  'dispute.no_description': 'No description provided',
+  'dispute.no_notes': 'No notes provided',
+  'dispute.not_connected': 'Not connected',
+  'dispute.resolver_default': 'Admin',
+  'dispute.transcript_link': 'View transcript',
+  'dispute.resolution.buyer': '✅ **Resolved in favor of BUYER**',
+  'dispute.resolution.seller': '✅ **Resolved in favor of SELLER**',
+  'dispute.resolution.refund': '✅ **Resolved: REFUND**',
+  'dispute.resolution.default': '✅ **Dispute Resolved**',
+  'dispute.sla.seller_reminder': '⏰ {seller}, the buyer has been waiting {hours} hours for your reply. Please respond in this thread.',
+  'dispute.sla.seller_reminder_unlinked': '⏰ The seller has not replied for {hours} hours.',
+  'dispute.sla.escalation': '🚨 {role} No reply from the seller for {hours} hours - this dispute needs staff attention.',
+  'dispute.summary.title': '📊 Open Disputes - Daily Summary',
+  'dispute.summary.none': '✅ No open disputes.',
+  'dispute.summary.total': '**{count}** open dispute(s)',
+  'dispute.summary.oldest': 'Oldest: #{id} ({hours}h)',
+  'dispute.summary.awaiting_seller': 'Waiting for seller: {count}',
+  'dispute.summary.escalated': 'Escalated: {count}',
+  'dispute.status.open': 'Open',
+  'dispute.status.under_review': 'Under Review',
+  'dispute.status.awaiting_evidence': 'Awaiting Evidence',
+  'dispute.status.escalated': 'Escalated',
+  'dispute.status.resolved': 'Resolved',
+  'dispute.status.closed': 'Closed',
+  'dispute.status.unknown': 'Unknown',
+  'order.footer': 'NXOLand Orders',
+  'order.link': 'View order on NXOLand',
+  'order.field.listing': '🏷️ Listing',
+  'order.field.amount': '💰 Amount',
+  'order.field.category': '🎮 Category',
+  'order.field.confirm_by': '⏳ Confirm By',
+  'order.field.fee': '🧾 Fee',
+  'order.field.net_amount': '💸 You Receive',
+  'order.field.link': '🔗 Order',
+  'order.created.title': '🛒 New Order',
+  'order.created.description': '**Order #{id}** was placed. The payment is held by NXOLand until the buyer confirms the delivery.',
+  'order.delivered.title': '📦 Order Delivered',
+  'order.delivered.description': '**Order #{id}**: the seller delivered the account details. Check them on NXOLand, then confirm receipt or open a dispute. Never share account details in Discord.',
+  'order.confirmed.title': '✅ Buyer Confirmed Receipt',
+  'order.confirmed.description': '**Order #{id}**: the buyer confirmed the delivery. Your payout will be released shortly.',
+  'order.auto_completed.title': '⏱️ Order Completed Automatically',
+  'order.auto_completed.description': '**Order #{id}** was completed automatically because the confirmation period ended without a dispute.',
+  'payout.released.title': '💸 Payout Released',
+  'payout.released.description': '**Order #{id}**: your payout was released to your NXOLand balance.',
+  'account.linked': '🔗 Your Discord account is now linked to your NXOLand account **{account}**.',
+  'account.linked.verified_seller': '✅ You have the Verified Seller role.',
+  'account.unlinked': '🔗 Your Discord account is no longer linked to NXOLand.',
+};
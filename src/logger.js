@@ -0,0 +1,76 @@
+import util from 'util';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Emojis at the start of the human-readable log lines, left out of JSON messages
+const DECORATION = /^[\p{Extended_Pictographic}\p{Emoji_Modifier}\uFE0F\u200D\s]+/u;
+
+// 'pretty' (default) prints the emoji lines as before; 'json' prints one JSON object per line
+// with time, level, msg and fields such as event_type, listing_id, channel_id and latency_ms.
+export const LOG_FORMAT = process.env.LOG_FORMAT === 'json' ? 'json' : 'pretty';
+export const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+
+function serializeError(error) {
+  return { message: error.message, ...(error.code !== undefined && { code: error.code }), ...(error.status && { status: error.status }), stack: error.stack };
+}
+
+function formatFields(fields) {
+  const entries = Object.entries(fields).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) return '';
+  return ` (${entries.map(([key, value]) => `${key}=${value instanceof Error ? value.message : typeof value === 'object' ? JSON.stringify(value) : value}`).join(', ')})`;
+}
+
+export function createLogger({ format = LOG_FORMAT, level = LOG_LEVEL, base = {}, write = null } = {}) {
+  const minLevel = LEVELS[level] ?? LEVELS.info;
+  const original = { log: console.log, warn: console.warn, error: console.error };
+
+  function emit(levelName, msg, fields = {}) {
+    if (LEVELS[levelName] < minLevel) return;
+    const merged = { ...base, ...fields };
+
+    if (format === 'json') {
+      const entry = { time: new Date().toISOString(), level: levelName, msg: String(msg).replace(DECORATION, '').trim() };
+      for (const [key, value] of Object.entries(merged)) {
+        if (value !== undefined) entry[key] = value instanceof Error ? serializeError(value) : value;
+      }
+      const line = JSON.stringify(entry);
+      if (write) write(line);
+      else if (levelName === 'error' || levelName === 'warn') process.stderr.write(`${line}\n`);
+      else process.stdout.write(`${line}\n`);
+      return;
+    }
+
+    const line = `${msg}${formatFields(merged)}`;
+    if (write) write(line);
+    else if (levelName === 'error') original.error(line);
+    else if (levelName === 'warn') original.warn(line);
+    else original.log(line);
+  }
+
+  return {
+    format,
+    debug: (msg, fields) => emit('debug', msg, fields),
+    info: (msg, fields) => emit('info', msg, fields),
+    warn: (msg, fields) => emit('warn', msg, fields),
+    error: (msg, fields) => emit('error', msg, fields),
+    child: (fields) => createLogger({ format, level, base: { ...base, ...fields }, write }),
+  };
+}
+
+export const logger = createLogger();
+
+// In JSON mode, route console.log/warn/error through the logger too, so every line the bot
+// (or a library) prints is a JSON object. An Error argument becomes the "error" field.
+export function captureConsole(target = logger) {
+  if (target.format !== 'json') return;
+
+  const forward = (levelName) => (...args) => {
+    const error = args.find(arg => arg instanceof Error);
+    const rest = args.filter(arg => arg !== error);
+    target[levelName](util.format(...rest).replace(/:\s*$/, ''), error ? { error } : {});
+  };
+  console.log = forward('info');
+  console.info = forward('info');
+  console.warn = forward('warn');
+  console.error = forward('error');
+}
@@ -0,0 +1,144 @@
+// Minimal Prometheus metrics registry (counters, gauges, histograms) rendered in the text
+// exposition format for GET /metrics.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelString(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function keyOf(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+export function createMetricsRegistry({ prefix = 'nxobot_' } = {}) {
+  const metrics = [];
+
+  function counter({ name, help, labelNames = [] }) {
+    const values = new Map();
+    metrics.push({
+      name: prefix + name,
+      help,
+      type: 'counter',
+      lines: () => [...values.values()].map(({ labels, value }) => `${prefix}${name}${labelString(labels)} ${value}`),
+    });
+    return {
+      inc(labels = {}, amount = 1) {
+        const key = keyOf(labelNames, labels);
+        const entry = values.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+        entry.value += amount;
+        values.set(key, entry);
+      },
+    };
+  }
+
+  // collect() is called on every scrape and returns a number or a list of { labels, value }.
+  // Registering a gauge again replaces it (a new bot instance reads its own queue and client).
+  function gauge({ name, help, collect }) {
+    const existing = metrics.findIndex(metric => metric.name === prefix + name);
+    if (existing !== -1) metrics.splice(existing, 1);
+    metrics.push({
+      name: prefix + name,
+      help,
+      type: 'gauge',
+      lines: () => {
+        const collected = collect();
+        const samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+        return samples
+          .filter(({ value }) => value !== undefined && value !== null && !Number.isNaN(value))
+          .map(({ labels = {}, value }) => `${prefix}${name}${labelString(labels)} ${Number(value)}`);
+      },
+    });
+  }
+
+  function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const values = new Map();
+    metrics.push({
+      name: prefix + name,
+      help,
+      type: 'histogram',
+      lines: () => [...values.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bucket, index) => `${prefix}${name}_bucket${labelString({ ...labels, le: bucket })} ${counts[index]}`),
+        `${prefix}${name}_bucket${labelString({ ...labels, le: '+Inf' })} ${count}`,
+        `${prefix}${name}_sum${labelString(labels)} ${sum}`,
+        `${prefix}${name}_count${labelString(labels)} ${count}`,
+      ]),
+    });
+    return {
+      observe(labels = {}, seconds) {
+        const key = keyOf(labelNames, labels);
+        const entry = values.get(key) || { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((bucket, index) => {
+          if (seconds <= bucket) entry.counts[index]++;
+        });
+        entry.sum += seconds;
+        entry.count++;
+        values.set(key, entry);
+      },
+    };
+  }
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    contentType: 'text/plain; version=0.0.4; charset=utf-8',
+    render() {
+      return metrics.flatMap(({ name, help, type, lines }) => [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} ${type}`,
+        ...lines(),
+      ]).join('\n') + '\n';
+    },
+  };
+}
+
+// The bot's metrics. Gauges that read live state (queue depth, gateway) are registered in index.js.
+export const registry = createMetricsRegistry();
+
+export const metrics = {
+  eventsReceived: registry.counter({
+    name: 'events_received_total',
+    help: 'Webhook events received, by event type and outcome (handled, duplicate, invalid, unknown, unavailable, error)',
+    labelNames: ['event_type', 'outcome'],
+  }),
+  eventDuration: registry.histogram({
+    name: 'event_duration_seconds',
+    help: 'Time to handle a webhook event',
+    labelNames: ['event_type'],
+  }),
+  deliveries: registry.counter({
+    name: 'deliveries_total',
+    help: 'Discord message deliveries, by operation and outcome (delivered, retrying, failed)',
+    labelNames: ['op', 'outcome'],
+  }),
+  discordLatency: registry.histogram({
+    name: 'discord_api_duration_seconds',
+    help: 'Latency of Discord API calls made by the delivery queue',
+    labelNames: ['op'],
+  }),
+  discordRateLimits: registry.counter({
+    name: 'discord_rate_limits_total',
+    help: 'Discord API rate limits hit, by route and scope',
+    labelNames: ['route', 'scope'],
+  }),
+  gatewayDisconnects: registry.counter({
+    name: 'gateway_disconnects_total',
+    help: 'Discord gateway connection drops',
+  }),
+  userRateLimits: registry.counter({
+    name: 'user_rate_limited_total',
+    help: 'Interactions rejected by the per-user rate limiters',
+    labelNames: ['limiter'],
+  }),
+};
@@ -0,0 +1,183 @@
+import { ChannelType } from 'discord.js';
+import { createJsonStore } from './store.js';
+import { renderEmbed, mergeTemplate } from './templates.js';
+import { t, isolate, resolveLocale, formatPrice, formatDate } from './i18n.js';
+import { logger } from './logger.js';
+
+// Escrow order events, who is notified of each, and whether the order is finished afterwards
+export const ORDER_EVENTS = {
+  'order.created': { notify: ['buyer', 'seller'] },
+  'order.delivered': { notify: ['buyer'] },
+  'order.confirmed': { notify: ['seller'] },
+  'order.auto_completed': { notify: ['buyer', 'seller'] },
+  'payout.released': { notify: ['seller'], final: true },
+};
+
+const PARTY_FIELDS = ['listing_id', 'listing_title', 'amount', 'currency', 'category', 'buyer_discord_id', 'seller_discord_id', 'language'];
+
+// Persistent order state: the parties and listing (so later events don't have to repeat them)
+// and the private order thread, if one was opened
+export function createOrderStore({ fileName = 'orders.json' } = {}) {
+  const store = createJsonStore(fileName, { orders: {} });
+
+  return {
+    get(orderId) {
+      return store.data.orders[String(orderId)] || null;
+    },
+
+    save(orderId, fields) {
+      const key = String(orderId);
+      store.data.orders[key] = {
+        ...store.data.orders[key],
+        ...fields,
+        updatedAt: new Date().toISOString(),
+      };
+      store.save();
+      return store.data.orders[key];
+    },
+  };
+}
+
+// Notifies buyers and sellers about order events, either by DM (mode 'dm') or in a private
+// thread per order in the order channel (mode 'thread', falls back to DMs without a channel).
+export function createOrderNotifier({
+  client,
+  deliveryQueue,
+  orders,
+  templates,
+  userLocales,
+  getCategoryLabel,
+  mode = 'dm',
+  channelId = null,
+  frontendUrl,
+}) {
+  const useThreads = mode === 'thread' && Boolean(channelId);
+  if (mode === 'thread' && !channelId) {
+    logger.warn('⚠️  ORDER_NOTIFICATIONS=thread needs DISCORD_ORDER_CHANNEL_ID - order notifications are sent by DM');
+  }
+
+  function buildEmbed(eventType, order, locale, override = null) {
+    const template = mergeTemplate(templates.get(eventType, order.category), override);
+    const currency = order.currency || template.currency;
+    const money = (value) => (value === undefined || value === null ? null : formatPrice(locale, value, currency));
+
+    return renderEmbed(template, {
+      id: order.order_id,
+      order_id: order.order_id,
+      listing: isolate(order.listing_title) || (order.listing_id ? `#${order.listing_id}` : t(locale, 'common.na')),
+      amount: money(order.amount),
+      fee: money(order.fee),
+      net_amount: money(order.net_amount),
+      category: order.category ? getCategoryLabel(order.category, locale) : null,
+      category_code: order.category,
+      confirm_by: order.confirm_by ? formatDate(locale, order.confirm_by) : null,
+      url: `${frontendUrl}/orders/${order.order_id}`,
+      created_at: order.created_at,
+      delivered_at: order.delivered_at,
+      confirmed_at: order.confirmed_at,
+      completed_at: order.completed_at,
+      released_at: order.released_at,
+    }, locale);
+  }
+
+  // Open the private order thread and add both parties
+  async function openThread(order) {
+    const channel = await client.channels.fetch(channelId);
+    if (channel?.type !== ChannelType.GuildText) {
+      throw new Error(`Order channel ${channelId} must be a text channel`);
+    }
+
+    const thread = await channel.threads.create({
+      name: `🛒 Order #${order.order_id}${order.listing_title ? ` - ${order.listing_title}` : ''}`.substring(0, 100),
+      type: ChannelType.PrivateThread,
+      invitable: false,
+      autoArchiveDuration: 10080,
+      reason: `Order #${order.order_id}`,
+    });
+
+    for (const party of ['buyer', 'seller']) {
+      const discordId = order[`${party}_discord_id`];
+      if (!discordId) continue;
+      try {
+        await thread.members.add(discordId, `${party === 'buyer' ? 'Buyer' : 'Seller'} added to order thread`);
+      } catch (error) {
+        logger.error(`❌ Could not add ${party} ${discordId} to order #${order.order_id} thread`, { order_id: order.order_id, thread_id: thread.id, user_id: discordId, error });
+      }
+    }
+
+    orders.save(order.order_id, { threadId: thread.id, guildId: thread.guild.id });
+    logger.info(`🛒 Order #${order.order_id} thread created`, { order_id: order.order_id, thread_id: thread.id });
+    return thread.id;
+  }
+
+  async function notifyInThread(eventType, order, recipients, stored, final) {
+    const threadId = stored?.threadId || await openThread(order);
+    const locale = resolveLocale(order.language);
+    const mentions = recipients.map(({ discordId }) => `<@${discordId}>`).join(' ');
+
+    const delivery = await deliveryQueue.enqueue({
+      channelId: threadId,
+      payload: {
+        ...(mentions && { content: mentions }),
+        embeds: [buildEmbed(eventType, order, locale).toJSON()],
+        allowedMentions: { parse: [], users: recipients.map(({ discordId }) => discordId) },
+      },
+      meta: { type: eventType, orderId: order.order_id, archiveThread: Boolean(final) },
+    });
+    return [{ thread_id: threadId, delivery }];
+  }
+
+  // One DM per party, each in the party's own Discord language
+  async function notifyByDm(eventType, order, recipients) {
+    const results = [];
+    for (const { party, discordId } of recipients) {
+      const locale = resolveLocale(order.language, userLocales.get(discordId));
+      const delivery = await deliveryQueue.enqueue({
+        op: 'dm',
+        userId: discordId,
+        payload: { embeds: [buildEmbed(eventType, order, locale).toJSON()] },
+        meta: { type: eventType, orderId: order.order_id, party },
+      });
+      results.push({ party, user_id: discordId, delivery });
+    }
+    return results;
+  }
+
+  // Handle an order event: merge it with what is known about the order and notify the parties
+  async function handle(eventType, event) {
+    const stored = orders.get(event.order_id);
+    const order = { ...pickKnown(stored), ...withoutEmpty(event) };
+    const { notify, final } = ORDER_EVENTS[eventType];
+
+    orders.save(event.order_id, {
+      ...Object.fromEntries(PARTY_FIELDS.filter(field => order[field] !== undefined).map(field => [field, order[field]])),
+      status: eventType,
+    });
+
+    const recipients = notify
+      .map(party => ({ party, discordId: order[`${party}_discord_id`] }))
+      .filter(({ discordId }) => discordId);
+    if (recipients.length === 0) {
+      logger.warn(`⚠️  ${eventType} for order #${event.order_id}: no linked Discord account to notify`, { event_type: eventType, order_id: event.order_id });
+      return { notified: [] };
+    }
+
+    const notified = useThreads
+      ? await notifyInThread(eventType, order, recipients, stored, final)
+      : await notifyByDm(eventType, order, recipients);
+
+    logger.info(`🛒 ${eventType} for order #${event.order_id} sent to ${recipients.map(({ party }) => party).join(' and ')}${useThreads ? ' (thread)' : ' (DM)'}`, { event_type: eventType, order_id: event.order_id });
+    return { notified };
+  }
+
+  return { handle, buildEmbed };
+}
+
+function pickKnown(stored) {
+  if (!stored) return {};
+  return Object.fromEntries(PARTY_FIELDS.filter(field => stored[field] !== undefined).map(field => [field, stored[field]]));
+}
+
+function withoutEmpty(event) {
+  return Object.fromEntries(Object.entries(event).filter(([, value]) => value !== undefined && value !== null));
+}
@@ -0,0 +1,23 @@
+import { metrics } from './metrics.js';
+
+// In-memory sliding window rate limiter, keyed by e.g. user ID. Rejections are counted in the
+// user_rate_limited_total metric under the limiter's name.
+export function createRateLimiter({ name = 'default', limit, windowMs }) {
+  const hits = new Map();
+
+  return {
+    // Record a hit for the key. Returns false when the key is over its limit.
+    take(key) {
+      const now = Date.now();
+      const recent = (hits.get(key) || []).filter(timestamp => timestamp > now - windowMs);
+      if (recent.length >= limit) {
+        hits.set(key, recent);
+        metrics.userRateLimits.inc({ limiter: name });
+        return false;
+      }
+      recent.push(now);
+      hits.set(key, recent);
+      return true;
+    },
+  };
+}
@@ -0,0 +1,384 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { isSupportedLocale, SUPPORTED_LOCALES } from './i18n.js';
+import { createJsonStore } from './store.js';
+import { logger } from './logger.js';
+
+const SNOWFLAKE = /^\d{17,20}$/;
+
+function isSnowflake(value) {
+  return SNOWFLAKE.test(String(value));
+}
+
+function isRoleList(value) {
+  return Array.isArray(value) && value.every(isSnowflake);
+}
+
+// Guild fields the admin API may change at runtime
+export const GUILD_OVERRIDABLE_FIELDS = [
+  'listing_channel_id',
+  'dispute_channel_id',
+  'listing_channels',
+  'dispute_channels',
+  'ping_roles',
+  'locale',
+  'channel_locales',
+  'verified_seller_role_id',
+  'staff_role_ids',
+  'staff_roles',
+  'escalation_role_id',
+  'escalation_roles',
+  'enabled_categories',
+];
+
+// Validate raw guild routing definitions. Returns a list of error messages (empty when valid).
+export function validateGuilds(guilds) {
+  const errors = [];
+  const seen = new Set();
+
+  guilds.forEach((guild, index) => {
+    const label = guild?.guild_id ? `"${guild.guild_id}"` : `#${index}`;
+    if (!guild || typeof guild !== 'object') {
+      errors.push(`Guild ${label}: must be an object`);
+      return;
+    }
+    if (!guild.guild_id || !isSnowflake(guild.guild_id)) {
+      errors.push(`Guild ${label}: guild_id must be a Discord ID`);
+    } else if (seen.has(String(guild.guild_id))) {
+      errors.push(`Guild ${label}: duplicate guild_id`);
+    }
+    seen.add(String(guild.guild_id));
+
+    for (const field of ['listing_channel_id', 'dispute_channel_id', 'verified_seller_role_id', 'escalation_role_id']) {
+      if (guild[field] && !isSnowflake(guild[field])) {
+        errors.push(`Guild ${label}: ${field} must be a Discord ID`);
+      }
+    }
+    for (const field of ['listing_channels', 'dispute_channels', 'ping_roles', 'escalation_roles']) {
+      for (const [category, id] of Object.entries(guild[field] || {})) {
+        if (id && !isSnowflake(id)) {
+          errors.push(`Guild ${label}: ${field}.${category} must be a Discord ID`);
+        }
+      }
+    }
+    if (guild.staff_role_ids !== undefined && !isRoleList(guild.staff_role_ids)) {
+      errors.push(`Guild ${label}: staff_role_ids must be a list of Discord role IDs`);
+    }
+    for (const [category, ids] of Object.entries(guild.staff_roles || {})) {
+      if (!isRoleList(ids)) {
+        errors.push(`Guild ${label}: staff_roles.${category} must be a list of Discord role IDs`);
+      }
+    }
+    if (guild.locale !== undefined && !isSupportedLocale(guild.locale)) {
+      errors.push(`Guild ${label}: locale must be one of ${SUPPORTED_LOCALES.join(', ')}`);
+    }
+    for (const [channelId, locale] of Object.entries(guild.channel_locales || {})) {
+      if (!isSnowflake(channelId)) {
+        errors.push(`Guild ${label}: channel_locales key ${channelId} must be a Discord ID`);
+      } else if (!isSupportedLocale(locale)) {
+        errors.push(`Guild ${label}: channel_locales.${channelId} must be one of ${SUPPORTED_LOCALES.join(', ')}`);
+      }
+    }
+    const enabled = guild.enabled_categories;
+    if (enabled !== undefined && enabled !== '*' && !(Array.isArray(enabled) && enabled.every(code => typeof code === 'string'))) {
+      errors.push(`Guild ${label}: enabled_categories must be "*" or a list of category codes`);
+    }
+  });
+
+  return errors;
+}
+
+// Per-guild routing: each guild has its own listing/dispute channel mapping, ping roles, staff
+// roles and enabled categories. Loaded from GUILDS_FILE (JSON or YAML). Without a file, a single primary
+// guild (DISCORD_GUILD_ID) uses the category registry channels and the general channels.
+// The primary guild always falls back to the category registry for channels it doesn't map.
+// Runtime changes from the admin API are stored per guild in overridesFile and applied on top
+// of every load.
+export function createGuildRouter({
+  file,
+  overridesFile = 'guild-overrides.json',
+  categories,
+  primaryGuildId = null,
+  generalListingChannelId = null,
+  generalDisputeChannelId = null,
+  verifiedSellerRoleId = null,
+  staffRoleIds = [],
+  escalationRoleId = null,
+}) {
+  let definitions = [];
+  let guilds = [];
+  let source = 'defaults';
+  let watcher = null;
+  const overrides = createJsonStore(overridesFile, { guilds: {} });
+
+  function defaultGuilds() {
+    return [{
+      guild_id: primaryGuildId || 'default',
+      name: 'Primary',
+      primary: true,
+      enabled_categories: '*',
+    }];
+  }
+
+  function normalize(guild, index, list) {
+    const primary = guild.primary === true
+      || (primaryGuildId ? String(guild.guild_id) === String(primaryGuildId) : !list.some(other => other.primary) && index === 0);
+    return {
+      guild_id: String(guild.guild_id),
+      name: guild.name || String(guild.guild_id),
+      primary,
+      enabled_categories: guild.enabled_categories ?? '*',
+      listing_channel_id: guild.listing_channel_id || (primary ? generalListingChannelId : null) || null,
+      dispute_channel_id: guild.dispute_channel_id || (primary ? generalDisputeChannelId : null) || null,
+      listing_channels: guild.listing_channels || {},
+      dispute_channels: guild.dispute_channels || {},
+      ping_roles: guild.ping_roles || {},
+      locale: guild.locale || null,
+      channel_locales: guild.channel_locales || {},
+      verified_seller_role_id: guild.verified_seller_role_id || (primary ? verifiedSellerRoleId : null) || null,
+      staff_role_ids: (guild.staff_role_ids || (primary ? staffRoleIds : [])).map(String),
+      staff_roles: guild.staff_roles || {},
+      escalation_role_id: guild.escalation_role_id || (primary ? escalationRoleId : null) || null,
+      escalation_roles: guild.escalation_roles || {},
+    };
+  }
+
+  function load() {
+    let list = defaultGuilds();
+    let from = 'defaults';
+
+    if (file && fs.existsSync(file)) {
+      const text = fs.readFileSync(file, 'utf8');
+      const document = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+      list = document?.guilds ?? document;
+      from = file;
+
+      if (!Array.isArray(list)) {
+        throw new Error(`Invalid guild routing (${from}): expected a list of guilds`);
+      }
+      const errors = validateGuilds(list);
+      if (errors.length > 0) {
+        const error = new Error(`Invalid guild routing (${from}):\n  - ${errors.join('\n  - ')}`);
+        error.errors = errors;
+        throw error;
+      }
+    }
+
+    definitions = list;
+    source = from;
+    return applyOverrides();
+  }
+
+  function applyOverrides() {
+    guilds = definitions
+      .map(guild => ({ ...guild, ...overrides.data.guilds[String(guild.guild_id)] }))
+      .map(normalize);
+
+    // Point out enabled categories the registry doesn't know about
+    for (const guild of guilds) {
+      if (Array.isArray(guild.enabled_categories)) {
+        const unknown = guild.enabled_categories.filter(code => !categories.get(code));
+        if (unknown.length > 0) {
+          logger.warn(`⚠️  Guild ${guild.name} enables unknown categories: ${unknown.join(', ')}`, { guild_id: guild.guild_id });
+        }
+      }
+    }
+    return guilds;
+  }
+
+  function setOverrides(guildId, changes) {
+    const definition = definitions.find(guild => String(guild.guild_id) === String(guildId));
+    if (!definition) {
+      const error = new Error(`Unknown guild: ${guildId}`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const id = String(definition.guild_id);
+    const unknownFields = Object.keys(changes).filter(field => !GUILD_OVERRIDABLE_FIELDS.includes(field));
+    const next = { ...overrides.data.guilds[id] };
+    for (const [field, value] of Object.entries(changes)) {
+      if (unknownFields.includes(field)) continue;
+      if (value === null) delete next[field];
+      else next[field] = value;
+    }
+    // Without DISCORD_GUILD_ID the built-in primary guild is "default", which is no Discord ID
+    const idError = `Guild "${id}": guild_id must be a Discord ID`;
+    const errors = [
+      ...unknownFields.map(field => `Guild "${id}": ${field} cannot be changed at runtime`),
+      ...validateGuilds([{ ...definition, ...next }]).filter(error => id !== 'default' || error !== idError),
+    ];
+    if (errors.length > 0) {
+      const error = new Error(`Invalid changes for guild "${id}":\n  - ${errors.join('\n  - ')}`);
+      error.statusCode = 422;
+      error.errors = errors;
+      throw error;
+    }
+
+    if (Object.keys(next).length > 0) overrides.data.guilds[id] = next;
+    else delete overrides.data.guilds[id];
+    overrides.save();
+    applyOverrides();
+    return guilds.find(guild => guild.guild_id === id);
+  }
+
+  function isEnabled(guild, category) {
+    if (!category || guild.enabled_categories === '*') return true;
+    return guild.enabled_categories.includes(category);
+  }
+
+  function listingChannelFor(guild, category) {
+    if (!category) return guild.listing_channel_id;
+    return guild.listing_channels[category] || (guild.primary ? categories.get(category)?.listing_channel_id : null) || null;
+  }
+
+  function disputeChannelFor(guild, category) {
+    if (!category) return guild.dispute_channel_id;
+    return guild.dispute_channels[category] || (guild.primary ? categories.get(category)?.dispute_channel_id : null) || null;
+  }
+
+  // Locale set for a channel in the guild, or the guild-wide locale
+  function localeFor(guild, channelId) {
+    return guild.channel_locales[channelId] || guild.locale || null;
+  }
+
+  function guildIdOf(guild) {
+    return guild.guild_id === 'default' ? null : guild.guild_id;
+  }
+
+  // The routing entry for a Discord guild; without DISCORD_GUILD_ID the primary guild is 'default'
+  function findGuild(guildId) {
+    return guilds.find(guild => guild.guild_id === String(guildId))
+      || guilds.find(guild => guild.primary && guild.guild_id === 'default')
+      || null;
+  }
+
+  return {
+    load,
+    setOverrides,
+    list: () => guilds,
+    overrides: () => overrides.data.guilds,
+    get source() {
+      return source;
+    },
+
+    // Every guild subscribed to the category with a listing channel for it
+    listingDestinations(category = null) {
+      return guilds
+        .filter(guild => isEnabled(guild, category))
+        .map(guild => {
+          const channelId = listingChannelFor(guild, category);
+          return {
+            guild_id: guildIdOf(guild),
+            guild_name: guild.name,
+            channel_id: channelId,
+            ping_role_id: category ? (guild.ping_roles[category] || (guild.primary ? categories.get(category)?.ping_role_id : null) || null) : null,
+            locale: localeFor(guild, channelId),
+          };
+        })
+        .filter(destination => destination.channel_id);
+    },
+
+    // Dispute threads are opened in exactly one guild: the primary guild if it handles the category
+    disputeDestination(category = null) {
+      const ordered = [...guilds].sort((a, b) => Number(b.primary) - Number(a.primary));
+      for (const guild of ordered) {
+        const channelId = isEnabled(guild, category) ? disputeChannelFor(guild, category) : null;
+        if (channelId) {
+          return { guild_id: guildIdOf(guild), guild_name: guild.name, channel_id: channelId, locale: localeFor(guild, channelId) };
+        }
+      }
+      return null;
+    },
+
+    primaryGuild: () => guilds.find(guild => guild.primary) || guilds[0] || null,
+
+    // Staff roles for dispute threads in a guild: the guild's staff roles plus those for the
+    // category, and the escalation role for the category (or the guild's). The primary guild
+    // also uses the roles set in the category registry.
+    staffRolesFor(guildId, category = null) {
+      const guild = findGuild(guildId);
+      if (!guild) return { staff_role_ids: [], escalation_role_id: null };
+
+      const registry = guild.primary ? categories.get(category) : null;
+      const staffRoleIds = new Set([
+        ...guild.staff_role_ids,
+        ...(category ? guild.staff_roles[category] || [] : []).map(String),
+        ...(registry?.staff_role_ids || []),
+      ]);
+      const escalationRoleId = (category && guild.escalation_roles[category])
+        || registry?.escalation_role_id
+        || guild.escalation_role_id
+        || null;
+      return { staff_role_ids: [...staffRoleIds], escalation_role_id: escalationRoleId ? String(escalationRoleId) : null };
+    },
+
+    // Every role ID a guild's configuration refers to, with where it is configured, so startup
+    // can check that the roles exist
+    configuredRoles(guild) {
+      const roles = [];
+      const add = (id, setting) => id && roles.push({ id: String(id), setting });
+      guild.staff_role_ids.forEach(id => add(id, 'staff_role_ids'));
+      for (const [category, ids] of Object.entries(guild.staff_roles)) ids.forEach(id => add(id, `staff_roles.${category}`));
+      add(guild.escalation_role_id, 'escalation_role_id');
+      for (const [category, id] of Object.entries(guild.escalation_roles)) add(id, `escalation_roles.${category}`);
+      for (const [category, id] of Object.entries(guild.ping_roles)) add(id, `ping_roles.${category}`);
+      add(guild.verified_seller_role_id, 'verified_seller_role_id');
+      if (guild.primary) {
+        for (const category of categories.list()) {
+          add(category.ping_role_id, `ping_role_id of category "${category.code}"`);
+          category.staff_role_ids.forEach(id => add(id, `staff_role_ids of category "${category.code}"`));
+          add(category.escalation_role_id, `escalation_role_id of category "${category.code}"`);
+        }
+      }
+      return roles;
+    },
+
+    // Every channel ID a guild's configuration refers to, with where it is configured, so /health
+    // can check that the bot can reach them
+    configuredChannels(guild) {
+      const channels = [];
+      // threads: the bot opens private dispute threads in the channel; askThreads: the "Ask seller"
+      // button on listing posts opens private threads there
+      const add = (id, setting, threads = false, askThreads = false) => id && channels.push({ id: String(id), setting, threads, askThreads });
+      add(guild.listing_channel_id, 'listing_channel_id', false, true);
+      add(guild.dispute_channel_id, 'dispute_channel_id', true);
+      for (const [category, id] of Object.entries(guild.listing_channels)) add(id, `listing_channels.${category}`, false, true);
+      for (const [category, id] of Object.entries(guild.dispute_channels)) add(id, `dispute_channels.${category}`, true);
+      if (guild.primary) {
+        for (const category of categories.list()) {
+          add(category.listing_channel_id, `listing_channel_id of category "${category.code}"`, false, true);
+          add(category.dispute_channel_id, `dispute_channel_id of category "${category.code}"`, true);
+        }
+      }
+      return channels;
+    },
+
+    primaryListingChannelId(category = null) {
+      const primary = guilds.find(guild => guild.primary) || guilds[0];
+      return primary && isEnabled(primary, category) ? listingChannelFor(primary, category) : null;
+    },
+
+    watch(onReload) {
+      if (!file || !fs.existsSync(file)) return;
+      let debounce = null;
+      watcher = fs.watch(path.resolve(file), () => {
+        clearTimeout(debounce);
+        debounce = setTimeout(() => {
+          try {
+            load();
+            logger.info(`🔄 Guild routing reloaded from ${source} (${guilds.length} guilds)`);
+            onReload?.(guilds);
+          } catch (error) {
+            logger.error('❌ Guild routing reload failed, keeping previous configuration', { error });
+          }
+        }, 500);
+      });
+    },
+
+    unwatch() {
+      watcher?.close();
+    },
+  };
+}
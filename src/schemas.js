@@ -0,0 +1,245 @@
+// Declared payload schemas per event_type. validateEvent() checks a webhook payload against
+// its schema and returns the normalized internal model: aliases resolved (id -> listing_id,
+// new_status -> status, ...), types coerced and only declared fields kept.
+
+const SNOWFLAKE = /^\d{17,20}$/;
+const ENTITY_ID = /^[\w-]{1,64}$/;
+
+const listingFields = {
+  listing_id: { type: 'id', required: true, from: ['listing_id', 'id'] },
+  title: { type: 'string', maxLength: 256 },
+  price: { type: 'number', min: 0 },
+  currency: { type: 'currency' },
+  category: { type: 'string', maxLength: 64 },
+  description: { type: 'string', maxLength: 4000 },
+  images: { type: 'array', items: { type: 'url' }, maxItems: 10 },
+  status: { type: 'string', lowercase: true, maxLength: 32, from: ['status', 'new_status'] },
+  seller_id: { type: 'id' },
+  seller_discord_id: { type: 'snowflake' },
+  created_at: { type: 'date' },
+  language: { type: 'string', maxLength: 16 },
+};
+
+const disputeFields = {
+  dispute_id: { type: 'id', required: true },
+  order_id: { type: 'id' },
+  category: { type: 'string', maxLength: 64 },
+  buyer_id: { type: 'id' },
+  seller_id: { type: 'id' },
+  buyer_discord_id: { type: 'snowflake' },
+  seller_discord_id: { type: 'snowflake' },
+  discord_thread_id: { type: 'snowflake' },
+  language: { type: 'string', maxLength: 16 },
+};
+
+const orderFields = {
+  order_id: { type: 'id', required: true },
+  listing_id: { type: 'id' },
+  listing_title: { type: 'string', maxLength: 256, from: ['listing_title', 'title'] },
+  amount: { type: 'number', min: 0, from: ['amount', 'price', 'total'] },
+  currency: { type: 'currency' },
+  category: { type: 'string', maxLength: 64 },
+  buyer_id: { type: 'id' },
+  seller_id: { type: 'id' },
+  buyer_discord_id: { type: 'snowflake' },
+  seller_discord_id: { type: 'snowflake' },
+  language: { type: 'string', maxLength: 16 },
+};
+
+export const EVENT_SCHEMAS = {
+  'listing.created': {
+    ...listingFields,
+    title: { ...listingFields.title, required: true },
+    price: { ...listingFields.price, required: true },
+  },
+  'listing.updated': listingFields,
+  'listing.status_changed': {
+    ...listingFields,
+    status: { ...listingFields.status, required: true },
+  },
+  'dispute.created': {
+    ...disputeFields,
+    order_id: { type: 'id', required: true },
+    party: { type: 'enum', values: ['buyer', 'seller'] },
+    reason: { type: 'string', maxLength: 1000 },
+    description: { type: 'string', maxLength: 4000 },
+    created_at: { type: 'date' },
+  },
+  'dispute.updated': {
+    ...disputeFields,
+    status: { type: 'string', required: true, lowercase: true, maxLength: 32 },
+    old_status: { type: 'string', lowercase: true, maxLength: 32, from: ['old_status', 'previous_status'] },
+    notes: { type: 'string', maxLength: 1000, from: ['notes', 'message'] },
+    updated_by_username: { type: 'string', maxLength: 100 },
+    updated_at: { type: 'date' },
+  },
+  'dispute.resolved': {
+    ...disputeFields,
+    resolution: { type: 'string', lowercase: true, maxLength: 32 },
+    resolution_notes: { type: 'string', maxLength: 1000 },
+    resolver_username: { type: 'string', maxLength: 100 },
+    resolved_at: { type: 'date' },
+  },
+  // Escrow order flow: placed -> credentials delivered -> buyer confirmed (or auto-completed) -> payout released
+  'order.created': {
+    ...orderFields,
+    created_at: { type: 'date' },
+  },
+  'order.delivered': {
+    ...orderFields,
+    delivered_at: { type: 'date' },
+    confirm_by: { type: 'date', from: ['confirm_by', 'auto_complete_at'] },
+  },
+  'order.confirmed': {
+    ...orderFields,
+    confirmed_at: { type: 'date' },
+  },
+  'order.auto_completed': {
+    ...orderFields,
+    completed_at: { type: 'date' },
+  },
+  'payout.released': {
+    ...orderFields,
+    payout_id: { type: 'id' },
+    fee: { type: 'number', min: 0 },
+    net_amount: { type: 'number', min: 0 },
+    released_at: { type: 'date' },
+  },
+  // Sent by the backend once the user confirmed a /link code (or finished the verification URL) on NXOLand
+  'account.linked': {
+    user_id: { type: 'id', required: true },
+    code: { type: 'string', maxLength: 16 },
+    discord_id: { type: 'snowflake' },
+    username: { type: 'string', maxLength: 100 },
+    verified_seller: { type: 'boolean' },
+  },
+  'account.unlinked': {
+    user_id: { type: 'id' },
+    discord_id: { type: 'snowflake' },
+  },
+};
+
+function isMissing(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// Check one value against a field spec. Returns { value } or { error }.
+function checkValue(spec, raw) {
+  switch (spec.type) {
+    case 'id':
+      if ((typeof raw === 'number' && Number.isInteger(raw)) || (typeof raw === 'string' && ENTITY_ID.test(raw.trim()))) {
+        return { value: String(raw).trim() };
+      }
+      return { error: 'must be an integer or an ID string' };
+
+    case 'string': {
+      if (typeof raw !== 'string') return { error: 'must be a string' };
+      const value = spec.lowercase ? raw.trim().toLowerCase() : raw.trim();
+      if (spec.maxLength && value.length > spec.maxLength) return { error: `must be at most ${spec.maxLength} characters` };
+      return { value };
+    }
+
+    case 'number': {
+      const value = typeof raw === 'string' ? Number(raw.trim()) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'must be a number' };
+      if (spec.min !== undefined && value < spec.min) return { error: `must be at least ${spec.min}` };
+      return { value };
+    }
+
+    case 'boolean':
+      if (typeof raw === 'boolean') return { value: raw };
+      if (raw === 1 || raw === 0 || raw === '1' || raw === '0' || raw === 'true' || raw === 'false') {
+        return { value: raw === 1 || raw === '1' || raw === 'true' };
+      }
+      return { error: 'must be true or false' };
+
+    case 'currency':
+      if (typeof raw === 'string' && /^[a-z]{3}$/i.test(raw.trim())) return { value: raw.trim().toUpperCase() };
+      return { error: 'must be a 3-letter currency code like "USD"' };
+
+    case 'snowflake':
+      // Discord IDs don't fit in a JSON number without losing precision, so they must be strings
+      if (typeof raw === 'string' && SNOWFLAKE.test(raw.trim())) return { value: raw.trim() };
+      return { error: typeof raw === 'number' ? 'must be a string (Discord IDs lose precision as JSON numbers)' : 'must be a Discord ID' };
+
+    case 'url':
+      try {
+        const url = new URL(raw);
+        if (url.protocol === 'http:' || url.protocol === 'https:') return { value: url.toString() };
+      } catch {
+        // fall through
+      }
+      return { error: 'must be an http(s) URL' };
+
+    case 'date': {
+      const date = new Date(raw);
+      if ((typeof raw !== 'string' && typeof raw !== 'number') || Number.isNaN(date.getTime())) return { error: 'must be a date' };
+      return { value: date.toISOString() };
+    }
+
+    case 'enum': {
+      const value = typeof raw === 'string' ? raw.trim().toLowerCase() : raw;
+      if (!spec.values.includes(value)) return { error: `must be one of ${spec.values.join(', ')}` };
+      return { value };
+    }
+
+    default:
+      return { error: `has unknown type ${spec.type}` };
+  }
+}
+
+// Validate and normalize an event payload. Returns { value, errors } where errors is a list of
+// { field, message } (empty when valid). Unknown event types have no schema and return null.
+export function validateEvent(eventType, data) {
+  const schema = EVENT_SCHEMAS[eventType];
+  if (!schema) return null;
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value: null, errors: [{ field: 'data', message: 'must be an object' }] };
+  }
+
+  const value = {};
+  const errors = [];
+
+  for (const [field, spec] of Object.entries(schema)) {
+    const source = (spec.from || [field]).find(name => !isMissing(data[name]));
+    const raw = source ? data[source] : undefined;
+    const path = source || field;
+
+    if (isMissing(raw)) {
+      if (spec.required) errors.push({ field, message: 'is required' });
+      continue;
+    }
+
+    if (spec.type === 'array') {
+      const items = Array.isArray(raw) ? raw : [raw];
+      if (spec.maxItems && items.length > spec.maxItems) {
+        errors.push({ field: path, message: `must have at most ${spec.maxItems} items` });
+        continue;
+      }
+      const checked = items.map(item => checkValue(spec.items, item));
+      checked.forEach((result, index) => {
+        if (result.error) errors.push({ field: `${path}[${index}]`, message: result.error });
+      });
+      value[field] = checked.map(result => result.value);
+      continue;
+    }
+
+    const result = checkValue(spec, raw);
+    if (result.error) {
+      errors.push({ field: path, message: result.error });
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  return { value: errors.length > 0 ? null : value, errors };
+}
+
+// Error for an invalid payload, answered with 422 and the field-level errors
+export function createValidationError(eventType, errors) {
+  const error = new Error(`Invalid ${eventType} payload: ${errors.map(({ field, message }) => `${field} ${message}`).join(', ')}`);
+  error.statusCode = 422;
+  error.errors = errors;
+  return error;
+}
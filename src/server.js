@@ -0,0 +1,586 @@
+import express from 'express';
+import { Status } from 'discord.js';
+import { createWebhookAuth, createAdminAuth, createSignedLinkAuth, captureRawBody } from './webhookAuth.js';
+import { TRANSCRIPTS_DIR } from './transcriptArchive.js';
+import { resolveLocale } from './i18n.js';
+import { validateEvent, createValidationError } from './schemas.js';
+import { validateTemplates, TEMPLATE_NAMES, PREVIEW_SAMPLES } from './templates.js';
+import { logger, LOG_FORMAT } from './logger.js';
+import { registry as metricsRegistry, metrics } from './metrics.js';
+
+// The webhook, admin, preview, metrics and health endpoints for a bot built with createBot().
+// Returns the Express app without listening; startWebhookServer() below listens.
+export function createWebhookServer(bot) {
+  const {
+    client,
+    deliveryQueue,
+    processedEvents,
+    transcriptArchive,
+    categories,
+    guildRouter,
+    templates,
+    eventHandlers,
+    handleLegacyListing,
+    renderPreview,
+    checkChannels,
+    isDiscordReady,
+    gatewayStatus,
+    listingIndex,
+    backfillListingIndex,
+    auditLog,
+    repostListing,
+    sendTestMessage,
+  } = bot;
+  const {
+    WEBHOOK_SECRET,
+    WEBHOOK_TOLERANCE_SECONDS,
+    WEBHOOK_ALLOW_LEGACY_SECRET,
+    RETRY_AFTER_SECONDS,
+    ADMIN_API_TOKEN,
+    TRANSCRIPT_LINK_SECRET,
+    METRICS_TOKEN,
+    DISCORD_LISTING_CHANNEL_ID,
+    DISCORD_DISPUTE_CHANNEL_ID,
+    ORDER_NOTIFICATIONS,
+    DISCORD_ORDER_CHANNEL_ID,
+    LISTING_BACKFILL_URL,
+  } = bot.config;
+
+  const app = express();
+
+  // Requests being handled, and whether the server is shutting down (see startWebhookServer)
+  const lifecycle = { inFlight: 0, draining: false };
+  app.locals.lifecycle = lifecycle;
+  app.use((req, res, next) => {
+    lifecycle.inFlight++;
+    let done = false;
+    const finish = () => {
+      if (!done) {
+        done = true;
+        lifecycle.inFlight--;
+      }
+    };
+    res.once('finish', finish);
+    res.once('close', finish);
+    next();
+  });
+
+  // Keep the raw body around for HMAC signature verification
+  app.use(express.json({ verify: captureRawBody }));
+
+  // Verify HMAC signature, timestamp and nonce (or the legacy shared secret if enabled)
+  const verifyWebhook = createWebhookAuth({
+    secret: WEBHOOK_SECRET,
+    toleranceSeconds: WEBHOOK_TOLERANCE_SECONDS,
+    allowLegacy: WEBHOOK_ALLOW_LEGACY_SECRET,
+  });
+
+  // Routes that post to Discord answer 503 with Retry-After while the gateway is not ready
+  // (still logging in, reconnecting) or the bot is shutting down, instead of failing with a 500.
+  // Laravel retries them later; the event ID makes the retry safe. Runs before verifyWebhook so
+  // the retry's nonce is not already used - webhooks that fail the signature check go on to
+  // verifyWebhook's 401 instead, so only Laravel sees the 503 and is counted in the metrics.
+  function requireDiscord(req, res, next) {
+    if (!lifecycle.draining && isDiscordReady()) return next();
+
+    if (req.path.startsWith('/webhook')) {
+      if (!verifyWebhook.isAuthentic(req)) return next();
+      const eventType = req.path === '/webhook/listing' ? 'listing.created' : req.body?.event_type;
+      metrics.eventsReceived.inc({ event_type: eventHandlers.has(eventType) ? eventType : 'unknown', outcome: 'unavailable' });
+    }
+    const error = lifecycle.draining ? 'Bot is shutting down' : 'Discord connection is not ready';
+    logger.warn(`⏸️  ${req.method} ${req.path} answered 503: ${error}`, { gateway_status: Status[client.ws.status] });
+    if (lifecycle.draining) res.set('Connection', 'close');
+    res.set('Retry-After', String(RETRY_AFTER_SECONDS));
+    res.status(503).json({ success: false, error, retry_after: RETRY_AFTER_SECONDS });
+  }
+
+  if (!WEBHOOK_SECRET) {
+    logger.warn('⚠️  WEBHOOK_SECRET is not set - webhook requests are NOT authenticated');
+  } else if (WEBHOOK_ALLOW_LEGACY_SECRET) {
+    logger.warn('⚠️  Legacy X-Webhook-Secret authentication is enabled - switch Laravel to signed webhooks');
+  }
+
+  // Unified webhook endpoint for all events
+  app.post('/webhook', requireDiscord, verifyWebhook, async (req, res) => {
+    const startedAt = performance.now();
+    const { event_type, data } = req.body || {};
+    const eventId = req.headers['idempotency-key'] || req.body?.event_id || null;
+    // Log fields identifying the event and what it is about
+    const eventFields = () => ({
+      event_type,
+      event_id: eventId || undefined,
+      listing_id: data?.listing_id ?? data?.id,
+      dispute_id: data?.dispute_id,
+      order_id: data?.order_id,
+      latency_ms: Math.round(performance.now() - startedAt),
+    });
+    const record = (outcome) => {
+      metrics.eventsReceived.inc({ event_type: eventHandlers.has(event_type) ? event_type : 'unknown', outcome });
+      if (outcome === 'handled' || outcome === 'error') {
+        metrics.eventDuration.observe({ event_type }, (performance.now() - startedAt) / 1000);
+      }
+    };
+
+    try {
+      if (!event_type || !data) {
+        record('invalid');
+        return res.status(400).json({ error: 'Invalid event format. Expected event_type and data' });
+      }
+
+      if (!eventHandlers.has(event_type)) {
+        record('unknown');
+        logger.warn(`⚠️  Unknown event type: ${event_type}`, eventFields());
+        return res.status(400).json({ error: `Unknown event type: ${event_type}` });
+      }
+
+      // Check the payload against the event's schema and normalize it (aliases, types)
+      const validation = validateEvent(event_type, data);
+      if (validation.errors.length > 0) {
+        record('invalid');
+        logger.warn(`⚠️  Rejected ${event_type} event: ${createValidationError(event_type, validation.errors).message}`, eventFields());
+        return res.status(422).json({ success: false, error: 'Invalid event payload', event_type, errors: validation.errors });
+      }
+
+      // Laravel retries on timeouts - an event ID (or Idempotency-Key header) makes the retry a no-op
+      const idempotencyKey = eventId ? `${event_type}:${eventId}` : null;
+
+      try {
+        const { result, duplicate } = await processedEvents.run(idempotencyKey, () => eventHandlers.dispatch(event_type, validation.value));
+
+        if (duplicate) {
+          record('duplicate');
+          logger.info(`🔁 Duplicate ${event_type} event ${eventId} - returning original result`, eventFields());
+        } else {
+          record('handled');
+          logger.info(`📨 Handled ${event_type} event`, eventFields());
+        }
+
+        res.json({ 
+          success: true, 
+          event_type,
+          ...(eventId && { event_id: eventId }),
+          ...(duplicate && { duplicate: true }),
+          ...(result && { result }) // Include thread info for disputes and delivery status for sends
+        });
+      } catch (error) {
+        if (error.statusCode === 400) {
+          record('invalid');
+          return res.status(400).json({ error: error.message });
+        }
+        if (error.statusCode === 422) {
+          record('invalid');
+          logger.warn(`⚠️  Rejected ${event_type} event: ${error.message}`, eventFields());
+          return res.status(422).json({ success: false, error: error.message, event_type, errors: error.errors || [] });
+        }
+        record('error');
+        logger.error(`❌ Error handling ${event_type}`, { ...eventFields(), error });
+        res.status(500).json({ 
+          success: false,
+          error: error.message,
+          event_type 
+        });
+      }
+    } catch (error) {
+      record('error');
+      logger.error('❌ Webhook error', { ...eventFields(), error });
+      res.status(500).json({ error: 'Internal server error', message: error.message });
+    }
+  });
+
+  // Legacy endpoint for backward compatibility
+  app.post('/webhook/listing', requireDiscord, verifyWebhook, async (req, res) => {
+    try {
+      // The legacy body is a listing.created payload with "id" instead of "listing_id"
+      const validation = validateEvent('listing.created', req.body);
+      if (validation.errors.length > 0) {
+        metrics.eventsReceived.inc({ event_type: 'listing.created', outcome: 'invalid' });
+        return res.status(422).json({ error: 'Invalid listing data', errors: validation.errors });
+      }
+
+      try {
+        const { channelId, delivery } = await handleLegacyListing(validation.value);
+        metrics.eventsReceived.inc({ event_type: 'listing.created', outcome: delivery.status === 'failed' ? 'error' : 'handled' });
+        if (delivery.status === 'failed') {
+          return res.status(502).json({ error: 'Failed to send to channel', message: delivery.error, delivery });
+        }
+        res.json({ success: true, sentTo: channelId, delivery });
+      } catch (error) {
+        // No listing channel configured for the category
+        if (error.statusCode) {
+          return res.status(error.statusCode).json({ error: error.message });
+        }
+        logger.error(`❌ Error queueing listing ${validation.value.listing_id}`, { event_type: 'listing.created', listing_id: validation.value.listing_id, error });
+        res.status(500).json({ error: 'Failed to send to channel', message: error.message });
+      }
+    } catch (error) {
+      logger.error('❌ Webhook error', { event_type: 'listing.created', error });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Admin endpoints for the delivery queue
+  const requireAdmin = createAdminAuth(ADMIN_API_TOKEN);
+
+  // Audit-log a change made through the admin API. Everyone shares ADMIN_API_TOKEN, so callers
+  // can name themselves with an X-Admin-User header.
+  function audit(req, action, target = null, details = {}) {
+    auditLog.record({ action, target, actor: req.get('X-Admin-User') || 'admin', ip: req.ip, details });
+  }
+
+  // Errors thrown with a statusCode (unknown category, invalid changes) are the caller's fault
+  function sendAdminError(res, error, label) {
+    if (!error.statusCode || error.statusCode >= 500) {
+      logger.error(`❌ ${label}`, { error });
+    }
+    res.status(error.statusCode || 500).json({ success: false, error: error.message, ...(error.errors && { errors: error.errors }) });
+  }
+
+  app.get('/admin/deliveries', requireAdmin, (req, res) => {
+    res.json({
+      pending: deliveryQueue.listPending(),
+      failed: deliveryQueue.listDead(),
+    });
+  });
+
+  app.get('/admin/deliveries/failed', requireAdmin, (req, res) => {
+    res.json({ failed: deliveryQueue.listDead() });
+  });
+
+  app.post('/admin/deliveries/failed/:id/replay', requireAdmin, requireDiscord, async (req, res) => {
+    try {
+      const delivery = await deliveryQueue.replay(req.params.id);
+      if (!delivery) {
+        return res.status(404).json({ error: `No failed delivery with id ${req.params.id}` });
+      }
+      audit(req, 'delivery.replay', req.params.id, { status: delivery.status });
+      res.json({ success: delivery.status !== 'failed', delivery });
+    } catch (error) {
+      logger.error(`❌ Error replaying delivery ${req.params.id}`, { delivery_id: req.params.id, error });
+      res.status(500).json({ error: 'Internal server error', message: error.message });
+    }
+  });
+
+  app.post('/admin/deliveries/failed/replay', requireAdmin, requireDiscord, async (req, res) => {
+    const results = [];
+    for (const job of [...deliveryQueue.listDead()]) {
+      results.push(await deliveryQueue.replay(job.id));
+    }
+    audit(req, 'delivery.replay_all', null, { replayed: results.length });
+    res.json({ success: true, replayed: results.length, results });
+  });
+
+  // Archived dispute transcripts: through the signed, expiring link posted in the resolution
+  // embed, or with the admin token
+  app.use('/transcripts', createSignedLinkAuth(TRANSCRIPT_LINK_SECRET, requireAdmin), express.static(TRANSCRIPTS_DIR, { index: false, dotfiles: 'deny' }));
+
+  app.get('/admin/transcripts', requireAdmin, (req, res) => {
+    res.json({ transcripts: transcriptArchive.list() });
+  });
+
+  // Category registry
+  app.get('/admin/categories', requireAdmin, (req, res) => {
+    res.json({ source: categories.source, categories: categories.list() });
+  });
+
+  app.post('/admin/categories/reload', requireAdmin, async (req, res) => {
+    try {
+      const loaded = await categories.reload();
+      audit(req, 'categories.reload', null, { source: categories.source, categories: loaded.length });
+      res.json({ success: true, source: categories.source, categories: loaded });
+    } catch (error) {
+      res.status(422).json({ success: false, error: error.message, errors: error.errors || [] });
+    }
+  });
+
+  // Runtime routing: the effective channels of every category (registry plus admin overrides)
+  // and the per-guild routing from GUILDS_FILE (plus admin overrides)
+  app.get('/admin/routing', requireAdmin, (req, res) => {
+    res.json({
+      general: { listing_channel_id: DISCORD_LISTING_CHANNEL_ID || null, dispute_channel_id: DISCORD_DISPUTE_CHANNEL_ID || null },
+      categories: categories.list(),
+      overrides: categories.overrides(),
+      guilds: { source: guildRouter.source, guilds: guildRouter.list(), overrides: guildRouter.overrides() },
+    });
+  });
+
+  // Change a category's channels, roles, delivery mode or paused flag. Body: the fields to
+  // change; null drops an override. Persisted in DATA_DIR and applied on top of every reload.
+  app.patch('/admin/categories/:code', requireAdmin, (req, res) => {
+    const changes = req.body;
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+      return res.status(400).json({ success: false, error: 'Expected a JSON object with the fields to change' });
+    }
+    try {
+      const previous = categories.get(req.params.code);
+      const category = categories.setOverrides(req.params.code, changes);
+      audit(req, 'category.update', req.params.code, {
+        changes,
+        previous: Object.fromEntries(Object.keys(changes).map(field => [field, previous?.[field] ?? null])),
+      });
+      logger.info(`🔧 Category ${req.params.code} updated: ${Object.keys(changes).join(', ')}`, { category: req.params.code });
+      res.json({ success: true, category });
+    } catch (error) {
+      sendAdminError(res, error, `Updating category ${req.params.code} failed`);
+    }
+  });
+
+  // Pause or resume new-listing notifications for a category
+  for (const [action, paused] of [['pause', true], ['resume', false]]) {
+    app.post(`/admin/categories/:code/${action}`, requireAdmin, (req, res) => {
+      try {
+        const category = categories.setOverrides(req.params.code, { paused });
+        audit(req, `category.${action}`, req.params.code);
+        logger.info(`${paused ? '⏸️' : '▶️'}  Notifications for ${category.name} ${paused ? 'paused' : 'resumed'}`, { category: req.params.code });
+        res.json({ success: true, category });
+      } catch (error) {
+        sendAdminError(res, error, `${action} of category ${req.params.code} failed`);
+      }
+    });
+  }
+
+  // Post a sample embed to a category's listing or dispute channel. Body: { channel: "listing" | "dispute" }
+  app.post('/admin/categories/:code/test', requireAdmin, requireDiscord, async (req, res) => {
+    const kind = req.body?.channel || 'listing';
+    if (!['listing', 'dispute'].includes(kind)) {
+      return res.status(400).json({ success: false, error: 'channel must be "listing" or "dispute"' });
+    }
+    try {
+      const result = await sendTestMessage(req.params.code, kind);
+      audit(req, 'category.test', req.params.code, { channel: kind, channel_id: result.channel_id, status: result.delivery.status });
+      res.status(result.delivery.status === 'failed' ? 502 : 200).json({ success: result.delivery.status !== 'failed', ...result });
+    } catch (error) {
+      sendAdminError(res, error, `Test message for category ${req.params.code} failed`);
+    }
+  });
+
+  app.get('/admin/guilds', requireAdmin, (req, res) => {
+    res.json({ source: guildRouter.source, guilds: guildRouter.list(), overrides: guildRouter.overrides() });
+  });
+
+  // Change a guild's channels, roles, locales or enabled categories. Body: the fields to change;
+  // null drops an override. Persisted in DATA_DIR and applied on top of every GUILDS_FILE reload.
+  app.patch('/admin/guilds/:guildId', requireAdmin, (req, res) => {
+    const changes = req.body;
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+      return res.status(400).json({ success: false, error: 'Expected a JSON object with the fields to change' });
+    }
+    try {
+      const previous = guildRouter.list().find(guild => guild.guild_id === req.params.guildId);
+      const guild = guildRouter.setOverrides(req.params.guildId, changes);
+      audit(req, 'guild.update', req.params.guildId, {
+        changes,
+        previous: Object.fromEntries(Object.keys(changes).map(field => [field, previous?.[field] ?? null])),
+      });
+      logger.info(`🔧 Guild ${guild.name} updated: ${Object.keys(changes).join(', ')}`, { guild_id: guild.guild_id });
+      res.json({ success: true, guild });
+    } catch (error) {
+      sendAdminError(res, error, `Updating guild ${req.params.guildId} failed`);
+    }
+  });
+
+  // Post a stored listing again. Body (optional): { channel_id } to post to one channel only
+  app.post('/admin/listings/:id/repost', requireAdmin, requireDiscord, async (req, res) => {
+    const channelId = req.body?.channel_id ? String(req.body.channel_id) : null;
+    if (channelId && !/^\d{17,20}$/.test(channelId)) {
+      return res.status(400).json({ success: false, error: 'channel_id must be a Discord ID' });
+    }
+    try {
+      const result = await repostListing(req.params.id, { channelId });
+      audit(req, 'listing.repost', req.params.id, { channel_ids: result.destinations.map(destination => destination.channel_id) });
+      res.json({ success: result.destinations.some(({ delivery }) => delivery.status !== 'failed'), ...result });
+    } catch (error) {
+      sendAdminError(res, error, `Reposting listing ${req.params.id} failed`);
+    }
+  });
+
+  // Handle an event again (e.g. a listing or dispute event whose post was lost), bypassing the
+  // idempotency store. Body: { event_type, data } as on /webhook.
+  app.post('/admin/events/resend', requireAdmin, requireDiscord, async (req, res) => {
+    const { event_type, data } = req.body || {};
+    if (!eventHandlers.has(event_type)) {
+      return res.status(400).json({ success: false, error: `Unknown event type: ${event_type}` });
+    }
+    const validation = validateEvent(event_type, data);
+    if (validation.errors.length > 0) {
+      return res.status(422).json({ success: false, error: 'Invalid event payload', event_type, errors: validation.errors });
+    }
+    try {
+      const result = await eventHandlers.dispatch(event_type, validation.value);
+      audit(req, 'event.resend', event_type, { data: validation.value, outcome: 'handled' });
+      res.json({ success: true, event_type, ...(result && { result }) });
+    } catch (error) {
+      audit(req, 'event.resend', event_type, { data: validation.value, outcome: 'error', error: error.message });
+      sendAdminError(res, error, `Resending ${event_type} failed`);
+    }
+  });
+
+  app.get('/admin/audit', requireAdmin, (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    res.json({ entries: auditLog.list({ limit, action: req.query.action || null }) });
+  });
+
+  // Listing index behind /search and /stats
+  app.get('/admin/listings/stats', requireAdmin, (req, res) => {
+    res.json({ backfilled_at: listingIndex.backfilledAt, ...listingIndex.stats() });
+  });
+
+  app.post('/admin/listings/backfill', requireAdmin, async (req, res) => {
+    if (!LISTING_BACKFILL_URL) {
+      return res.status(400).json({ success: false, error: 'LISTING_BACKFILL_URL is not set' });
+    }
+    try {
+      const result = await backfillListingIndex();
+      audit(req, 'listings.backfill', null, result);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      logger.error('❌ Listing index backfill failed', { error });
+      res.status(502).json({ success: false, error: error.message });
+    }
+  });
+
+  app.get('/admin/templates', requireAdmin, (req, res) => {
+    res.json({ source: templates.source, ...templates.list() });
+  });
+
+  app.post('/admin/templates/reload', requireAdmin, (req, res) => {
+    try {
+      templates.load();
+      logger.info(`🔄 Embed templates reloaded from ${templates.source}`);
+      audit(req, 'templates.reload', null, { source: templates.source });
+      res.json({ success: true, source: templates.source, ...templates.list() });
+    } catch (error) {
+      logger.error(`❌ Embed template reload failed, keeping previous templates: ${error.message}`, { errors: error.errors });
+      res.status(422).json({ success: false, error: error.message, errors: error.errors || [] });
+    }
+  });
+
+  // Render an embed template without posting it. Body: { template, category, locale, data, override }.
+  // data is merged over a sample payload; override is an unsaved template to try out.
+  function preview(req, res, { template: name = 'listing', category, locale: requestedLocale, data = {}, override = null }) {
+    if (!TEMPLATE_NAMES.includes(name)) {
+      return res.status(400).json({ error: `Unknown template "${name}"`, templates: TEMPLATE_NAMES });
+    }
+    if (override) {
+      const errors = validateTemplates({ templates: { [name]: override } });
+      if (errors.length > 0) {
+        return res.status(422).json({ error: 'Invalid template override', errors });
+      }
+    }
+
+    const payload = { ...PREVIEW_SAMPLES[name], ...(category && { category }), ...data };
+    const validation = validateEvent(name.startsWith('listing') ? 'listing.updated' : name, payload);
+    if (validation.errors.length > 0) {
+      return res.status(422).json({ error: 'Invalid preview data', errors: validation.errors });
+    }
+
+    const locale = resolveLocale(requestedLocale, categories.get(payload.category)?.locale);
+    try {
+      const embed = renderPreview(name, validation.value, locale, override, payload.transcript_url || null);
+      res.json({ template: name, category: payload.category || null, locale, embeds: [embed.toJSON()] });
+    } catch (error) {
+      res.status(422).json({ error: 'Template could not be rendered', message: error.message });
+    }
+  }
+
+  app.post('/preview', requireAdmin, (req, res) => preview(req, res, req.body || {}));
+  app.get('/preview/:template', requireAdmin, (req, res) => preview(req, res, { ...req.query, template: req.params.template }));
+
+  // Prometheus metrics
+  const requireMetricsToken = METRICS_TOKEN ? createAdminAuth(METRICS_TOKEN) : (req, res, next) => next();
+
+  app.get('/metrics', requireMetricsToken, (req, res) => {
+    res.type(metricsRegistry.contentType).send(metricsRegistry.render());
+  });
+
+  // Readiness probe: 503 while the gateway is down, "degraded" when a configured channel
+  // can't be reached or is missing permissions
+  app.get('/health', async (req, res) => {
+    const configuration = {
+      listing: {
+        general: DISCORD_LISTING_CHANNEL_ID || 'Not configured',
+        categories: Object.fromEntries(
+          categories.list().map(({ code, listing_channel_id }) => [code, listing_channel_id || 'Not configured'])
+        ),
+      },
+      dispute: {
+        general: DISCORD_DISPUTE_CHANNEL_ID || 'Not configured',
+        categories: Object.fromEntries(
+          categories.list().map(({ code, dispute_channel_id }) => [code, dispute_channel_id || 'Not configured'])
+        ),
+      },
+      guilds: guildRouter.list().map(({ guild_id, name, primary, enabled_categories, listing_channels, dispute_channels }) => ({
+        guild_id,
+        name,
+        primary,
+        enabled_categories,
+        listing_channels,
+        dispute_channels,
+      })),
+      orders: {
+        notifications: ORDER_NOTIFICATIONS,
+        channel: DISCORD_ORDER_CHANNEL_ID || 'Not configured',
+      },
+      events: eventHandlers.list(),
+    };
+    
+    const gateway = gatewayStatus();
+    const connected = gateway.connected;
+    const channels = connected ? await checkChannels() : [];
+    const unreachable = channels.filter(channel => !channel.reachable).length;
+    const status = !connected ? 'unavailable' : unreachable > 0 ? 'degraded' : 'ok';
+
+    res.status(connected ? 200 : 503).json({ 
+      status, 
+      gateway,
+      guilds: client.guilds.cache.size,
+      channels: {
+        checked: channels.length,
+        unreachable,
+        list: channels,
+      },
+      deliveries: {
+        pending: deliveryQueue.listPending().length,
+        failed: deliveryQueue.listDead().length,
+      },
+      configuration,
+    });
+  });
+
+  return app;
+}
+
+// Listen on PORT right away - before the Discord login, which the Discord routes wait for with
+// 503s. close() stops accepting connections, answers requests on open connections with 503 and
+// waits (at most timeoutMs) for the requests in flight. Resolves with how many were cut off.
+export function startWebhookServer(bot, { port = bot.config.PORT, host } = {}) {
+  const app = createWebhookServer(bot);
+  const { lifecycle } = app.locals;
+  const server = app.listen(port, host, () => {
+    const { port: listening } = server.address();
+    console.log(`🚀 Webhook server running on port ${listening}${LOG_FORMAT === 'json' ? ' (JSON logs)' : ''}`);
+    console.log(`📡 Webhook endpoint: http://localhost:${listening}/webhook`);
+    console.log(`📡 Legacy endpoint: http://localhost:${listening}/webhook/listing`);
+    console.log(`📈 Metrics: http://localhost:${listening}/metrics${bot.config.METRICS_TOKEN ? ' (token required)' : ''}`);
+  });
+
+  async function close({ timeoutMs = 5000 } = {}) {
+    lifecycle.draining = true;
+    const closed = new Promise(resolve => server.close(resolve));
+    server.closeIdleConnections();
+
+    const deadline = Date.now() + timeoutMs;
+    while (lifecycle.inFlight > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    const abandoned = lifecycle.inFlight;
+    if (abandoned > 0) {
+      logger.warn(`⚠️  ${abandoned} request(s) still running after ${timeoutMs}ms - closing their connections`, { in_flight: abandoned });
+    }
+    server.closeAllConnections();
+    await closed;
+    return abandoned;
+  }
+
+  return { app, server, close };
+}
@@ -0,0 +1,54 @@
+import { PermissionFlagsBits } from 'discord.js';
+import { logger } from './logger.js';
+
+// Most staff members added to one dispute thread, so a misconfigured role can't flood it
+const MAX_THREAD_STAFF = 50;
+
+// Check whether a guild member may run staff-only commands: administrators, and members with one
+// of the configured staff roles or the escalation role (see guildRouter.staffRolesFor)
+export function isStaffMember(member, { staff_role_ids: staffRoleIds = [], escalation_role_id: escalationRoleId = null } = {}) {
+  if (!member) return false;
+  if (member.permissions?.has(PermissionFlagsBits.Administrator)) return true;
+
+  return [...staffRoleIds, escalationRoleId].some(roleId => roleId && member.roles.cache.has(roleId));
+}
+
+// Members holding any of the roles (bots excluded). Fetching the member list needs the
+// Server Members intent.
+export async function fetchRoleMembers(guild, roleIds) {
+  if (roleIds.length === 0) return [];
+  await guild.members.fetch();
+
+  const members = new Map();
+  for (const roleId of roleIds) {
+    const role = guild.roles.cache.get(roleId);
+    if (!role) {
+      logger.warn(`⚠️  Staff role ${roleId} does not exist in ${guild.name}`, { guild_id: guild.id, role_id: roleId });
+      continue;
+    }
+    for (const member of role.members.values()) {
+      if (!member.user.bot) members.set(member.id, member);
+    }
+  }
+  return [...members.values()];
+}
+
+// Add the members of the given roles to a private thread one by one, instead of relying on a
+// role or @everyone mention. Best effort: returns the IDs of the members that were added.
+export async function addRoleMembersToThread(thread, roleIds, reason) {
+  const members = await fetchRoleMembers(thread.guild, roleIds);
+  if (members.length > MAX_THREAD_STAFF) {
+    logger.warn(`⚠️  ${members.length} staff members found for thread ${thread.id}, only adding the first ${MAX_THREAD_STAFF}`, { thread_id: thread.id });
+  }
+
+  const added = [];
+  for (const member of members.slice(0, MAX_THREAD_STAFF)) {
+    try {
+      await thread.members.add(member.id, reason);
+      added.push(member.id);
+    } catch (error) {
+      logger.error(`❌ Could not add ${member.user.tag} to thread ${thread.id}`, { thread_id: thread.id, user_id: member.id, error });
+    }
+  }
+  return added;
+}
@@ -0,0 +1,36 @@
+import fs from 'fs';
+import path from 'path';
+
+// Directory for all persisted bot state (queues, caches, mappings)
+export const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+
+// Small JSON-file-backed store. The whole document is kept in memory and written
+// atomically (temp file + rename) on save(), so a crash never leaves a half-written file.
+export function createJsonStore(fileName, defaults = {}) {
+  const filePath = path.isAbsolute(fileName) ? fileName : path.join(DATA_DIR, fileName);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  let data = structuredClone(defaults);
+  if (fs.existsSync(filePath)) {
+    try {
+      data = { ...data, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+    } catch (error) {
+      // Keep the unreadable file around for inspection and start fresh
+      const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+      fs.renameSync(filePath, corruptPath);
+      console.error(`❌ Could not read ${filePath}, moved to ${corruptPath}:`, error.message);
+    }
+  }
+
+  return {
+    path: filePath,
+    get data() {
+      return data;
+    },
+    save() {
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tmpPath, filePath);
+    },
+  };
+}
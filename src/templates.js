@@ -0,0 +1,456 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { EmbedBuilder } from 'discord.js';
+import { t } from './i18n.js';
+
+// Order embeds share their fields; each event adds its own title, description and extra fields
+function orderTemplate({ title, description, color, extraFields = [], timestamp }) {
+  return {
+    title,
+    description,
+    url: '{{url}}',
+    color,
+    fields: [
+      { name: '{{t:order.field.listing}}', value: '{{listing}}' },
+      { name: '{{t:order.field.amount}}', value: '{{amount}}', inline: true, if: 'amount' },
+      { name: '{{t:order.field.category}}', value: '{{category}}', inline: true, if: 'category_code' },
+      ...extraFields,
+      { name: '{{t:order.field.link}}', value: '[{{t:order.link}}]({{url}})' },
+    ],
+    footer: '{{t:order.footer}}',
+    timestamp,
+    currency: 'USD',
+  };
+}
+
+// Built-in embed templates, matching the bot's original look. Strings may contain
+// {{placeholders}} filled from the event, and {{t:key}} for a message catalog translation.
+// title and color may also be { by: '<placeholder>', <value>: ..., default: ... } to pick a
+// value by e.g. status. Fields whose value renders empty are left out.
+export const DEFAULT_TEMPLATES = {
+  'listing': {
+    title: '{{t:listing.title.new}}',
+    description: '**{{title}}**',
+    url: '{{url}}',
+    color: '{{category_color}}',
+    fields: [
+      { name: '{{t:listing.field.price}}', value: '{{price}}', inline: true },
+      { name: '{{t:listing.field.category}}', value: '{{category}}', inline: true },
+      { name: '{{t:listing.field.description}}', value: '{{description}}' },
+      { name: '{{t:listing.field.link}}', value: '[{{t:listing.link}}]({{url}})' },
+    ],
+    image: '{{image}}',
+    footer: '{{t:listing.footer}}',
+    timestamp: '{{created_at}}',
+    currency: 'USD',
+  },
+  'listing.retired': {
+    title: { by: 'status', sold: '{{t:listing.title.sold}}', default: '{{t:listing.title.unavailable}}' },
+    description: '~~**{{title}}**~~',
+    url: '{{url}}',
+    color: { by: 'status', sold: '#ED4245', default: '#747F8D' },
+    fields: [
+      { name: '{{t:listing.field.price}}', value: '~~{{price}}~~', inline: true },
+      { name: '{{t:listing.field.category}}', value: '{{category}}', inline: true },
+      { name: '{{t:listing.field.description}}', value: '{{description}}' },
+      { name: '{{t:listing.field.link}}', value: '[{{t:listing.link}}]({{url}})' },
+    ],
+    image: '{{image}}',
+    footer: '{{t:listing.footer}}',
+    timestamp: '{{created_at}}',
+    currency: 'USD',
+  },
+  'dispute.created': {
+    title: '{{t:dispute.created.title}}',
+    description: '{{t:dispute.number}}',
+    color: '#FF6B6B',
+    fields: [
+      { name: '{{t:dispute.field.order}}', value: '#{{order_id}}', inline: true },
+      { name: '{{t:dispute.field.initiated_by}}', value: '{{party}}', inline: true },
+      { name: '{{t:dispute.field.category}}', value: '{{category}}', inline: true },
+      { name: '{{t:dispute.field.reason}}', value: '{{reason}}' },
+      { name: '{{t:dispute.field.description}}', value: '{{description}}' },
+      { name: '{{t:dispute.field.buyer_discord}}', value: '{{buyer}}', inline: true },
+      { name: '{{t:dispute.field.seller_discord}}', value: '{{seller}}', inline: true },
+      { name: '{{t:dispute.field.opened}}', value: '{{opened}}', inline: true },
+    ],
+    footer: '{{t:dispute.footer}}',
+    timestamp: '{{created_at}}',
+  },
+  'dispute.updated': {
+    title: '{{t:dispute.updated.title}}',
+    description: '{{t:dispute.number}}',
+    color: { by: 'status', escalated: '#E67E22', default: '#5865F2' },
+    fields: [
+      { name: '{{t:dispute.field.previous_status}}', value: '{{previous_status}}', inline: true },
+      { name: '{{t:dispute.field.new_status}}', value: '{{new_status}}', inline: true },
+      { name: '{{t:dispute.field.order}}', value: '#{{order_id}}', inline: true, if: 'order_id' },
+      { name: '{{t:dispute.field.notes}}', value: '{{notes}}' },
+      { name: '{{t:dispute.field.updated_by}}', value: '{{updated_by}}', inline: true },
+    ],
+    footer: '{{t:dispute.footer}}',
+    timestamp: '{{updated_at}}',
+  },
+  'dispute.resolved': {
+    title: '{{t:dispute.resolved.title}}',
+    description: '{{t:dispute.resolved.description}}',
+    color: { by: 'resolution', buyer: '#4A90E2', seller: '#FFA500', refund: '#51CF66', default: '#51CF66' },
+    fields: [
+      { name: '{{t:dispute.field.order}}', value: '#{{order_id}}', inline: true, if: 'order_id' },
+      { name: '{{t:dispute.field.resolution}}', value: '{{resolution_text}}' },
+      { name: '{{t:dispute.field.resolved_by}}', value: '{{resolved_by}}', inline: true },
+      { name: '{{t:dispute.field.resolution_notes}}', value: '{{notes}}' },
+      { name: '{{t:dispute.field.transcript}}', value: '[{{t:dispute.transcript_link}}]({{transcript_url}})', if: 'transcript_url' },
+    ],
+    footer: '{{t:dispute.footer}}',
+    timestamp: '{{resolved_at}}',
+  },
+  'order.created': orderTemplate({
+    title: '{{t:order.created.title}}',
+    description: '{{t:order.created.description}}',
+    color: '#5865F2',
+    timestamp: '{{created_at}}',
+  }),
+  'order.delivered': orderTemplate({
+    title: '{{t:order.delivered.title}}',
+    description: '{{t:order.delivered.description}}',
+    color: '#FEE75C',
+    extraFields: [{ name: '{{t:order.field.confirm_by}}', value: '{{confirm_by}}', inline: true, if: 'confirm_by' }],
+    timestamp: '{{delivered_at}}',
+  }),
+  'order.confirmed': orderTemplate({
+    title: '{{t:order.confirmed.title}}',
+    description: '{{t:order.confirmed.description}}',
+    color: '#57F287',
+    timestamp: '{{confirmed_at}}',
+  }),
+  'order.auto_completed': orderTemplate({
+    title: '{{t:order.auto_completed.title}}',
+    description: '{{t:order.auto_completed.description}}',
+    color: '#57F287',
+    timestamp: '{{completed_at}}',
+  }),
+  'payout.released': orderTemplate({
+    title: '{{t:payout.released.title}}',
+    description: '{{t:payout.released.description}}',
+    color: '#51CF66',
+    extraFields: [
+      { name: '{{t:order.field.fee}}', value: '{{fee}}', inline: true, if: 'fee' },
+      { name: '{{t:order.field.net_amount}}', value: '{{net_amount}}', inline: true, if: 'net_amount' },
+    ],
+    timestamp: '{{released_at}}',
+  }),
+};
+
+export const TEMPLATE_NAMES = Object.keys(DEFAULT_TEMPLATES);
+
+// Sample webhook payloads for /preview
+export const PREVIEW_SAMPLES = {
+  'listing': {
+    listing_id: 1001,
+    title: 'Level 30 account - F2P, 5 heroes maxed',
+    price: 149.99,
+    category: 'wos_accounts',
+    description: 'Furnace 30, all heroes gen 3, 2 years old account.',
+    images: ['https://placehold.co/600x400.png'],
+    created_at: '2025-01-15T12:00:00Z',
+  },
+  'listing.retired': {
+    listing_id: 1001,
+    title: 'Level 30 account - F2P, 5 heroes maxed',
+    price: 149.99,
+    category: 'wos_accounts',
+    status: 'sold',
+    images: ['https://placehold.co/600x400.png'],
+    created_at: '2025-01-15T12:00:00Z',
+  },
+  'dispute.created': {
+    dispute_id: 77,
+    order_id: 5123,
+    category: 'wos_accounts',
+    party: 'buyer',
+    reason: 'Account details do not match the listing',
+    description: 'The account is furnace 25, not 30.',
+    buyer_discord_id: '123456789012345678',
+    seller_discord_id: '123456789012345679',
+    created_at: '2025-01-16T09:30:00Z',
+  },
+  'dispute.updated': {
+    dispute_id: 77,
+    order_id: 5123,
+    category: 'wos_accounts',
+    old_status: 'open',
+    status: 'escalated',
+    notes: 'Seller did not respond within 48 hours.',
+    updated_by_username: 'moderator',
+    updated_at: '2025-01-18T10:00:00Z',
+  },
+  'dispute.resolved': {
+    dispute_id: 77,
+    order_id: 5123,
+    category: 'wos_accounts',
+    resolution: 'buyer',
+    resolution_notes: 'Full refund issued to the buyer.',
+    resolver_username: 'moderator',
+    resolved_at: '2025-01-19T15:00:00Z',
+  },
+  'order.created': {
+    order_id: 5123,
+    listing_id: 1001,
+    listing_title: 'Level 30 account - F2P, 5 heroes maxed',
+    amount: 149.99,
+    category: 'wos_accounts',
+    created_at: '2025-01-16T08:00:00Z',
+  },
+  'order.delivered': {
+    order_id: 5123,
+    listing_id: 1001,
+    listing_title: 'Level 30 account - F2P, 5 heroes maxed',
+    amount: 149.99,
+    category: 'wos_accounts',
+    delivered_at: '2025-01-16T09:00:00Z',
+    confirm_by: '2025-01-19T09:00:00Z',
+  },
+  'order.confirmed': {
+    order_id: 5123,
+    listing_id: 1001,
+    listing_title: 'Level 30 account - F2P, 5 heroes maxed',
+    amount: 149.99,
+    category: 'wos_accounts',
+    confirmed_at: '2025-01-16T12:00:00Z',
+  },
+  'order.auto_completed': {
+    order_id: 5123,
+    listing_id: 1001,
+    listing_title: 'Level 30 account - F2P, 5 heroes maxed',
+    amount: 149.99,
+    category: 'wos_accounts',
+    completed_at: '2025-01-19T09:00:00Z',
+  },
+  'payout.released': {
+    order_id: 5123,
+    listing_id: 1001,
+    listing_title: 'Level 30 account - F2P, 5 heroes maxed',
+    amount: 149.99,
+    fee: 7.5,
+    net_amount: 142.49,
+    category: 'wos_accounts',
+    released_at: '2025-01-19T10:00:00Z',
+  },
+};
+
+// Discord embed limits
+const LIMITS = { title: 256, description: 4096, fieldName: 256, fieldValue: 1024, footer: 2048 };
+
+function parseColor(color) {
+  if (typeof color === 'number') return color;
+  if (typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color.trim())) return parseInt(color.trim().slice(1), 16);
+  return undefined;
+}
+
+function truncate(text, limit) {
+  return text.length > limit ? `${text.substring(0, limit - 1)}…` : text;
+}
+
+function lookup(context, key) {
+  return key.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), context);
+}
+
+// Pick a variant by a context value: { by: 'status', sold: ..., default: ... }
+function pick(value, context) {
+  if (value && typeof value === 'object' && !Array.isArray(value) && value.by) {
+    const selected = lookup(context, value.by);
+    return value[selected] ?? value.default;
+  }
+  return value;
+}
+
+// Fill {{placeholders}} and {{t:keys}} in a template string
+export function renderString(template, context, locale) {
+  if (template === undefined || template === null) return '';
+  return String(template).replace(/\{\{\s*([^}]+?)\s*\}\}/g, (match, name) => {
+    if (name.startsWith('t:')) return t(locale, name.slice(2), context);
+    const value = lookup(context, name);
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+// Render a template into an embed
+export function renderEmbed(template, context, locale) {
+  const embed = new EmbedBuilder();
+  const text = (value) => renderString(pick(value, context), context, locale).trim();
+
+  const title = text(template.title);
+  if (title) embed.setTitle(truncate(title, LIMITS.title));
+  const description = text(template.description);
+  if (description) embed.setDescription(truncate(description, LIMITS.description));
+  const url = text(template.url);
+  if (url) embed.setURL(url);
+
+  const color = pick(template.color, context);
+  const resolvedColor = parseColor(typeof color === 'string' ? renderString(color, context, locale) : color);
+  if (resolvedColor !== undefined) embed.setColor(resolvedColor);
+
+  for (const field of template.fields || []) {
+    if (field.if && !lookup(context, field.if)) continue;
+    const name = text(field.name);
+    const value = text(field.value);
+    if (!name || !value) continue;
+    embed.addFields({ name: truncate(name, LIMITS.fieldName), value: truncate(value, LIMITS.fieldValue), inline: Boolean(field.inline) });
+  }
+
+  const image = text(template.image);
+  if (image) embed.setImage(image);
+  const thumbnail = text(template.thumbnail);
+  if (thumbnail) embed.setThumbnail(thumbnail);
+
+  const footer = text(template.footer);
+  if (footer) embed.setFooter({ text: truncate(footer, LIMITS.footer) });
+
+  const timestamp = text(template.timestamp);
+  if (timestamp && !Number.isNaN(new Date(timestamp).getTime())) embed.setTimestamp(new Date(timestamp));
+
+  return embed;
+}
+
+function validateTemplate(template, label) {
+  const errors = [];
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    return [`${label}: must be an object`];
+  }
+  for (const key of ['title', 'description', 'url', 'image', 'thumbnail', 'footer', 'timestamp']) {
+    const value = template[key];
+    const ok = value === undefined || value === null || typeof value === 'string'
+      || (key === 'title' && typeof value === 'object' && typeof value.by === 'string');
+    if (!ok) errors.push(`${label}: ${key} must be a string`);
+  }
+  const color = template.color;
+  if (color !== undefined && color !== null) {
+    const variants = typeof color === 'object' ? Object.entries(color).filter(([key]) => key !== 'by').map(([, value]) => value) : [color];
+    if (typeof color === 'object' && typeof color.by !== 'string') {
+      errors.push(`${label}: color variants need a "by" placeholder`);
+    }
+    for (const variant of variants) {
+      if (parseColor(variant) === undefined && !(typeof variant === 'string' && variant.includes('{{'))) {
+        errors.push(`${label}: color must be a number, a hex string like "#00AE86" or a placeholder`);
+      }
+    }
+  }
+  if (template.fields !== undefined) {
+    if (!Array.isArray(template.fields)) {
+      errors.push(`${label}: fields must be a list`);
+    } else {
+      template.fields.forEach((field, index) => {
+        if (!field || typeof field.name !== 'string' || typeof field.value !== 'string') {
+          errors.push(`${label}: fields[${index}] needs a name and a value`);
+        }
+      });
+    }
+  }
+  if (template.currency !== undefined && !/^[A-Z]{3}$/.test(template.currency)) {
+    errors.push(`${label}: currency must be a 3-letter currency code like "USD"`);
+  }
+  return errors;
+}
+
+// Validate a template document: { templates: { <name>: {...} }, categories: { <code>: { <name>: {...} } } }
+export function validateTemplates(document) {
+  const errors = [];
+  for (const [name, template] of Object.entries(document.templates || {})) {
+    if (!TEMPLATE_NAMES.includes(name)) {
+      errors.push(`Unknown template "${name}" (expected one of ${TEMPLATE_NAMES.join(', ')})`);
+    } else {
+      errors.push(...validateTemplate(template, `Template "${name}"`));
+    }
+  }
+  for (const [code, overrides] of Object.entries(document.categories || {})) {
+    for (const [name, template] of Object.entries(overrides || {})) {
+      if (!TEMPLATE_NAMES.includes(name)) {
+        errors.push(`Category "${code}": unknown template "${name}"`);
+      } else {
+        errors.push(...validateTemplate(template, `Category "${code}" template "${name}"`));
+      }
+    }
+  }
+  return errors;
+}
+
+// Merge an override into a template. Keys set to null are removed (e.g. image: null to use
+// only a thumbnail); fields are replaced as a whole.
+export function mergeTemplate(base, override) {
+  if (!override) return base;
+  const merged = { ...base, ...override };
+  for (const [key, value] of Object.entries(override)) {
+    if (value === null) delete merged[key];
+  }
+  return merged;
+}
+
+// Embed templates per event type with per-category overrides, loaded from TEMPLATES_FILE
+// (JSON or YAML) over the built-in templates and reloaded when the file changes.
+export function createTemplateRegistry({ file }) {
+  let templates = DEFAULT_TEMPLATES;
+  let categoryOverrides = {};
+  let source = 'defaults';
+  let watcher = null;
+
+  // Load (or reload) the templates. Throws on invalid templates and keeps the previous ones.
+  function load() {
+    let document = {};
+    let from = 'defaults';
+    if (file && fs.existsSync(file)) {
+      const text = fs.readFileSync(file, 'utf8');
+      document = (/\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text)) || {};
+      from = file;
+    }
+
+    const errors = validateTemplates(document);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid embed templates (${from}):\n  - ${errors.join('\n  - ')}`);
+      error.errors = errors;
+      throw error;
+    }
+
+    templates = Object.fromEntries(TEMPLATE_NAMES.map(name => [name, mergeTemplate(DEFAULT_TEMPLATES[name], document.templates?.[name])]));
+    categoryOverrides = document.categories || {};
+    source = from;
+    return templates;
+  }
+
+  return {
+    load,
+    get source() {
+      return source;
+    },
+
+    // The template for an event type, with the category's override applied
+    get(name, category = null) {
+      return mergeTemplate(templates[name], category ? categoryOverrides[category]?.[name] : null);
+    },
+
+    list() {
+      return { templates, categories: categoryOverrides };
+    },
+
+    watch() {
+      if (!file || !fs.existsSync(file)) return;
+      let debounce = null;
+      watcher = fs.watch(path.resolve(file), () => {
+        clearTimeout(debounce);
+        debounce = setTimeout(() => {
+          try {
+            load();
+            console.log(`🔄 Embed templates reloaded from ${source}`);
+          } catch (error) {
+            console.error(`❌ Embed template reload failed, keeping previous templates: ${error.message}`);
+          }
+        }, 500);
+      });
+    },
+
+    unwatch() {
+      watcher?.close();
+    },
+  };
+}
@@ -0,0 +1,108 @@
+// Fetch the complete message history of a channel/thread, oldest first
+export async function fetchAllMessages(channel) {
+  const messages = [];
+  let before;
+
+  while (true) {
+    const batch = await channel.messages.fetch({ limit: 100, ...(before && { before }) });
+    if (batch.size === 0) break;
+    messages.push(...batch.values());
+    before = batch.lastKey();
+    if (batch.size < 100) break;
+  }
+
+  return messages.sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+}
+
+// Plain data for one message: author, timestamp, content, attachments and embed titles
+export function toTranscriptEntry(message) {
+  return {
+    id: message.id,
+    author: {
+      id: message.author.id,
+      username: message.author.username,
+      bot: message.author.bot,
+    },
+    created_at: new Date(message.createdTimestamp).toISOString(),
+    content: message.content || '',
+    attachments: [...message.attachments.values()].map(attachment => ({
+      id: attachment.id,
+      filename: attachment.name,
+      url: attachment.url,
+      content_type: attachment.contentType || null,
+      size: attachment.size,
+    })),
+    embeds: message.embeds.map(embed => embed.title || embed.description || '').filter(Boolean),
+  };
+}
+
+// Render transcript entries as plain text
+export function renderTextTranscript(title, entries) {
+  const lines = [title, '='.repeat(title.length), ''];
+  for (const entry of entries) {
+    lines.push(`[${entry.created_at}] ${entry.author.username}${entry.author.bot ? ' (bot)' : ''}:`);
+    if (entry.content) lines.push(entry.content);
+    for (const embed of entry.embeds) lines.push(`  [embed] ${embed}`);
+    for (const attachment of entry.attachments) lines.push(`  [attachment] ${attachment.filename}: ${attachment.url}`);
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Render transcript entries as a standalone HTML page (dir="auto" keeps Arabic messages readable)
+export function renderHtmlTranscript(title, entries, details = {}) {
+  const detailRows = Object.entries(details)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('\n');
+
+  const messages = entries.map(entry => {
+    const attachments = entry.attachments.map(attachment =>
+      `<li><a href="${escapeHtml(attachment.url)}" rel="noopener noreferrer">${escapeHtml(attachment.filename)}</a>${attachment.content_type ? ` <span class="meta">(${escapeHtml(attachment.content_type)})</span>` : ''}</li>`
+    ).join('');
+    const embeds = entry.embeds.map(embed => `<div class="embed" dir="auto">${escapeHtml(embed)}</div>`).join('');
+
+    return `<div class="message${entry.author.bot ? ' bot' : ''}">
+  <div class="header"><span class="author">${escapeHtml(entry.author.username)}</span> <span class="meta">${escapeHtml(entry.author.id)} · <time datetime="${entry.created_at}">${entry.created_at}</time></span></div>
+  ${entry.content ? `<div class="content" dir="auto">${escapeHtml(entry.content)}</div>` : ''}
+  ${embeds}
+  ${attachments ? `<ul class="attachments">${attachments}</ul>` : ''}
+</div>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 900px; margin: 2rem auto; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 1.5rem; }
+  th, td { text-align: left; padding: 0.2rem 0.8rem 0.2rem 0; }
+  .message { border-bottom: 1px solid #eee; padding: 0.6rem 0; }
+  .message.bot { background: #f7f8fa; }
+  .author { font-weight: bold; }
+  .meta { color: #888; font-size: 0.85em; }
+  .content { white-space: pre-wrap; margin-top: 0.3rem; unicode-bidi: plaintext; }
+  .embed { border-left: 4px solid #5865f2; padding-left: 0.5rem; margin-top: 0.3rem; color: #555; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<table>
+${detailRows}
+</table>
+${messages}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR, createJsonStore } from './store.js';
+import { fetchAllMessages, toTranscriptEntry, renderHtmlTranscript } from './transcript.js';
+import { signLink } from './webhookAuth.js';
+import { logger } from './logger.js';
+
+export const TRANSCRIPTS_DIR = path.join(DATA_DIR, 'transcripts');
+
+// Archive dispute thread transcripts: render HTML + JSON, store them under DATA_DIR/transcripts,
+// POST them to the backend and keep an index so auditors can find them later.
+// Transcripts the bot serves itself are linked with a signed link that expires after linkTtlHours;
+// get() and list() sign a fresh one.
+export function createTranscriptArchive({ backend, callbackUrl, publicUrl, linkSecret = null, linkTtlHours = 168 }) {
+  const index = createJsonStore('transcripts.json', { disputes: {} });
+  fs.mkdirSync(TRANSCRIPTS_DIR, { recursive: true });
+  const baseUrl = publicUrl ? publicUrl.replace(/\/$/, '') : null;
+  if (baseUrl && !linkSecret) {
+    logger.warn('⚠️  PUBLIC_URL is set without TRANSCRIPT_LINK_SECRET - transcripts served by the bot are not linked');
+  }
+
+  // Fresh signed link to a transcript served by the bot (null without PUBLIC_URL or a signing secret)
+  function link(file) {
+    if (!baseUrl || !linkSecret) return null;
+    return baseUrl + signLink(linkSecret, `/transcripts/${file}.html`, Date.now() + linkTtlHours * 3600 * 1000);
+  }
+
+  async function archive(dispute, thread) {
+    const disputeId = dispute.dispute_id;
+    const messages = await fetchAllMessages(thread);
+    const entries = messages.map(toTranscriptEntry);
+    const generatedAt = new Date().toISOString();
+    const title = `Dispute #${disputeId} - Transcript`;
+
+    const html = renderHtmlTranscript(title, entries, {
+      'Dispute ID': disputeId,
+      'Order ID': dispute.order_id,
+      'Thread': `${thread.name} (${thread.id})`,
+      'Resolution': dispute.resolution,
+      'Resolved By': dispute.resolver_username,
+      'Generated At': generatedAt,
+    });
+    const json = {
+      dispute_id: disputeId,
+      order_id: dispute.order_id ?? null,
+      thread_id: thread.id,
+      thread_name: thread.name,
+      guild_id: thread.guildId,
+      generated_at: generatedAt,
+      message_count: entries.length,
+      messages: entries,
+    };
+
+    // Random token in the file name, on top of the signed links
+    const baseName = `dispute-${String(disputeId).replace(/[^\w-]/g, '')}-${crypto.randomBytes(16).toString('hex')}`;
+    fs.writeFileSync(path.join(TRANSCRIPTS_DIR, `${baseName}.html`), html);
+    fs.writeFileSync(path.join(TRANSCRIPTS_DIR, `${baseName}.json`), JSON.stringify(json, null, 2));
+
+    let url = link(baseName);
+    let hostedByBackend = false;
+
+    if (backend.isConfigured() || /^https?:\/\//.test(callbackUrl || '')) {
+      try {
+        const target = (callbackUrl || '/disputes/{dispute_id}/transcript').replace('{dispute_id}', encodeURIComponent(disputeId));
+        const response = await backend.post(target, { ...json, html });
+        // Prefer a link hosted by the backend if it returns one
+        if (response?.url) {
+          url = response.url;
+          hostedByBackend = true;
+        }
+      } catch (error) {
+        logger.error(`❌ Failed to upload transcript for dispute #${disputeId}`, { dispute_id: disputeId, error });
+      }
+    }
+
+    index.data.disputes[String(disputeId)] = {
+      file: baseName,
+      url: hostedByBackend ? url : null,
+      thread_id: thread.id,
+      message_count: entries.length,
+      generated_at: generatedAt,
+    };
+    index.save();
+
+    logger.info(`📄 Transcript for dispute #${disputeId} archived (${entries.length} messages)`, { dispute_id: disputeId, thread_id: thread.id });
+    return { url, file: baseName, message_count: entries.length };
+  }
+
+  // Index entry with the backend's link, or a freshly signed link to the copy served by the bot
+  function withLink(entry) {
+    return { ...entry, url: entry.url && !(baseUrl && entry.url.startsWith(`${baseUrl}/transcripts/`)) ? entry.url : link(entry.file) };
+  }
+
+  return {
+    archive,
+    get: (disputeId) => {
+      const entry = index.data.disputes[String(disputeId)];
+      return entry ? withLink(entry) : null;
+    },
+    // Transcripts by dispute ID
+    list: () => Object.fromEntries(Object.entries(index.data.disputes).map(([disputeId, entry]) => [disputeId, withLink(entry)])),
+  };
+}
@@ -0,0 +1,24 @@
+import { createJsonStore } from './store.js';
+import { isSupportedLocale, resolveLocale } from './i18n.js';
+
+// Preferred message locale per Discord user, learned from the Discord client language of
+// their interactions. Used for DMs.
+export function createUserLocaleStore({ fileName = 'user-locales.json' } = {}) {
+  const store = createJsonStore(fileName, { users: {} });
+
+  return {
+    get(userId) {
+      return store.data.users[userId] || null;
+    },
+
+    // Remember a user's locale (e.g. "ar" or "en-US"); unsupported locales are ignored
+    remember(userId, locale) {
+      if (!isSupportedLocale(locale)) return;
+      const resolved = resolveLocale(locale);
+      if (store.data.users[userId] !== resolved) {
+        store.data.users[userId] = resolved;
+        store.save();
+      }
+    },
+  };
+}
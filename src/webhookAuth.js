@@ -0,0 +1,169 @@
+import crypto from 'crypto';
+
+// Header names used by the Laravel side when signing webhook requests
+export const SIGNATURE_HEADER = 'x-webhook-signature';
+export const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+export const NONCE_HEADER = 'x-webhook-nonce';
+export const LEGACY_SECRET_HEADER = 'x-webhook-secret';
+
+// Compute the HMAC-SHA256 signature for a request: hex digest of "<timestamp>.<raw body>"
+export function signPayload(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(rawBody)
+    .digest('hex');
+}
+
+// Build the headers for an outgoing signed request (used for callbacks to Laravel)
+export function createSignatureHeaders(secret, rawBody, nonce = crypto.randomUUID()) {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  return {
+    'X-Webhook-Timestamp': timestamp,
+    'X-Webhook-Signature': `sha256=${signPayload(secret, timestamp, rawBody)}`,
+    'X-Webhook-Nonce': nonce,
+  };
+}
+
+// Constant-time string comparison (hashing first so lengths always match)
+export function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// Capture the raw request body so the signature can be checked against the exact bytes sent
+export function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+// Create the webhook authentication middleware.
+// - HMAC mode (default): requires X-Webhook-Timestamp and X-Webhook-Signature, rejects requests
+//   outside the tolerance window and replays of a nonce (or signature) already seen in the window.
+// - Legacy mode (opt-in): also accepts the static X-Webhook-Secret header while Laravel migrates.
+export function createWebhookAuth({ secret, toleranceSeconds = 300, allowLegacy = false }) {
+  const seenNonces = new Map(); // nonce -> expiry (ms)
+
+  function pruneNonces(now) {
+    for (const [nonce, expiresAt] of seenNonces) {
+      if (expiresAt <= now) {
+        seenNonces.delete(nonce);
+      }
+    }
+  }
+
+  // Check the signature (or the legacy secret) and the timestamp without using up the nonce.
+  // Returns { error } for a request to reject, otherwise the nonce to record (if any).
+  function authenticate(req) {
+    // Authentication is optional when no secret is configured
+    if (!secret) {
+      return {};
+    }
+
+    const signatureHeader = req.headers[SIGNATURE_HEADER];
+    const timestampHeader = req.headers[TIMESTAMP_HEADER];
+
+    if (!signatureHeader) {
+      const legacySecret = req.headers[LEGACY_SECRET_HEADER];
+      if (allowLegacy && legacySecret && safeEqual(legacySecret, secret)) {
+        return {};
+      }
+      return { error: 'Missing webhook signature' };
+    }
+
+    const timestamp = Number(timestampHeader);
+    if (!timestampHeader || !Number.isInteger(timestamp)) {
+      return { error: 'Missing or invalid webhook timestamp' };
+    }
+
+    if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+      return { error: 'Webhook timestamp outside tolerance window' };
+    }
+
+    const signature = String(signatureHeader).replace(/^sha256=/, '');
+    const expected = signPayload(secret, timestampHeader, req.rawBody || Buffer.alloc(0));
+    if (!safeEqual(signature, expected)) {
+      return { error: 'Invalid webhook signature' };
+    }
+
+    // Each nonce (or the signature itself if no nonce is sent) is accepted once
+    return { nonce: req.headers[NONCE_HEADER] || signature, timestamp };
+  }
+
+  function verifyWebhook(req, res, next) {
+    const { error, nonce, timestamp } = authenticate(req);
+    if (error) {
+      return res.status(401).json({ error: 'Unauthorized', message: error });
+    }
+    if (!nonce) {
+      return next();
+    }
+
+    // Reject replays
+    const now = Date.now();
+    pruneNonces(now);
+    if (seenNonces.has(nonce)) {
+      console.warn(`⚠️  Rejected replayed webhook (nonce: ${nonce})`);
+      return res.status(401).json({ error: 'Unauthorized', message: 'Webhook replay detected' });
+    }
+    // Keep the nonce until the timestamp itself falls outside the window
+    seenNonces.set(nonce, timestamp * 1000 + toleranceSeconds * 1000);
+
+    next();
+  }
+
+  // For checks that run before verifyWebhook and must leave the nonce unused (e.g. 503 answers
+  // while Discord is not ready, which Laravel retries with the same nonce)
+  verifyWebhook.isAuthentic = (req) => !authenticate(req).error;
+
+  return verifyWebhook;
+}
+
+// Signed, expiring links for pages opened from Discord (transcripts): "<path>?expires=<unix>&signature=<hex>",
+// where the signature is the HMAC-SHA256 of "<expires>.<path>"
+function signLinkPath(secret, urlPath, expires) {
+  return crypto.createHmac('sha256', secret).update(`${expires}.${urlPath}`).digest('hex');
+}
+
+export function signLink(secret, urlPath, expiresAt) {
+  const expires = Math.floor(expiresAt / 1000);
+  return `${urlPath}?expires=${expires}&signature=${signLinkPath(secret, urlPath, expires)}`;
+}
+
+// Middleware accepting a valid, unexpired signed link, or else the admin token
+export function createSignedLinkAuth(secret, requireAdmin) {
+  return function requireSignedLink(req, res, next) {
+    const { expires, signature } = req.query;
+    if (!secret || !expires || !signature) {
+      return requireAdmin(req, res, next);
+    }
+
+    const urlPath = req.baseUrl + req.path;
+    if (!safeEqual(String(signature), signLinkPath(secret, urlPath, String(expires)))) {
+      return res.status(403).json({ error: 'Invalid link signature' });
+    }
+    if (!(Number(expires) * 1000 > Date.now())) {
+      return res.status(403).json({ error: 'This link has expired. Get a new one with /dispute transcript or from GET /admin/transcripts' });
+    }
+
+    next();
+  };
+}
+
+// Create the middleware protecting admin endpoints (Authorization: Bearer <ADMIN_API_TOKEN>).
+// Admin endpoints are disabled entirely when no token is configured.
+export function createAdminAuth(token) {
+  return function requireAdmin(req, res, next) {
+    if (!token) {
+      return res.status(403).json({ error: 'Admin API is disabled. Set ADMIN_API_TOKEN in .env' });
+    }
+
+    const authHeader = req.headers.authorization || '';
+    const provided = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
+    if (!provided || !safeEqual(provided, token)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+  };
+}
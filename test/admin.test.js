@@ -0,0 +1,210 @@
+import './support/env.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestBot, IDS, ADMIN_TOKEN } from './support/harness.js';
+import { SAMPLE_EVENTS, listing } from './fixtures/events.js';
+
+// Admin API: runtime category and guild routing, pause/resume, test messages, reposts, event resends
+// and the audit log.
+
+let harness;
+
+before(async () => {
+  harness = await createTestBot();
+});
+
+after(async () => {
+  await harness.close();
+});
+
+async function createListing(id, overrides = {}) {
+  harness.discord.reset();
+  const response = await harness.sendEvent('listing.created', listing(id, overrides));
+  await harness.settle();
+  return { response, sends: harness.discord.ofType('send') };
+}
+
+describe('category routing', () => {
+  it('moves a category to another channel at runtime and keeps it across reloads', async () => {
+    const response = await harness.admin('PATCH', '/admin/categories/wos_accounts', { listing_channel_id: IDS.listingChannel });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.category.listing_channel_id, IDS.listingChannel);
+
+    let { sends } = await createListing(3001);
+    assert.deepEqual(sends.map(send => send.channelId), [IDS.listingChannel]);
+
+    const reload = await harness.admin('POST', '/admin/categories/reload');
+    assert.equal(reload.status, 200);
+    const routing = await harness.admin('GET', '/admin/routing');
+    assert.deepEqual(routing.body.overrides, { wos_accounts: { listing_channel_id: IDS.listingChannel } });
+    assert.equal(routing.body.categories.find(category => category.code === 'wos_accounts').listing_channel_id, IDS.listingChannel);
+
+    // null drops the override again
+    await harness.admin('PATCH', '/admin/categories/wos_accounts', { listing_channel_id: null });
+    ({ sends } = await createListing(3002));
+    assert.deepEqual(sends.map(send => send.channelId), [IDS.wosListingChannel]);
+    assert.deepEqual(harness.bot.categories.overrides(), {});
+  });
+
+  it('rejects invalid changes without applying any of them', async () => {
+    const response = await harness.admin('PATCH', '/admin/categories/wos_accounts', {
+      ping_role_id: IDS.staffRole,
+      listing_channel_id: 'general',
+      code: 'renamed',
+    });
+    assert.equal(response.status, 422);
+    assert.deepEqual(response.body.errors, [
+      'Category "wos_accounts": code cannot be changed at runtime',
+      'Category "wos_accounts": listing_channel_id must be a Discord ID',
+    ]);
+    assert.equal(harness.bot.categories.get('wos_accounts').ping_role_id, IDS.wosPingRole);
+
+    const unknown = await harness.admin('PATCH', '/admin/categories/nope', { paused: true });
+    assert.equal(unknown.status, 404);
+  });
+
+  it('requires the admin token', async () => {
+    const response = await harness.request('PATCH', '/admin/categories/wos_accounts', { body: { paused: true } });
+    assert.equal(response.status, 401);
+    assert.equal(harness.bot.categories.get('wos_accounts').paused, false);
+  });
+});
+
+describe('guild routing', () => {
+  it('changes a guild\'s channels at runtime and keeps them across reloads', async () => {
+    const response = await harness.admin('PATCH', `/admin/guilds/${IDS.guild}`, {
+      listing_channels: { wos_accounts: IDS.kingshotListingChannel },
+    });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.guild.listing_channels, { wos_accounts: IDS.kingshotListingChannel });
+
+    let { sends } = await createListing(3051);
+    assert.deepEqual(sends.map(send => send.channelId), [IDS.kingshotListingChannel]);
+
+    harness.bot.guildRouter.load();
+    const routing = await harness.admin('GET', '/admin/routing');
+    assert.deepEqual(routing.body.guilds.overrides, { [IDS.guild]: { listing_channels: { wos_accounts: IDS.kingshotListingChannel } } });
+
+    // null drops the override again
+    await harness.admin('PATCH', `/admin/guilds/${IDS.guild}`, { listing_channels: null });
+    ({ sends } = await createListing(3052));
+    assert.deepEqual(sends.map(send => send.channelId), [IDS.wosListingChannel]);
+    assert.deepEqual((await harness.admin('GET', '/admin/guilds')).body.overrides, {});
+  });
+
+  it('rejects invalid guild changes without applying any of them', async () => {
+    const response = await harness.admin('PATCH', `/admin/guilds/${IDS.guild}`, {
+      locale: 'fr',
+      listing_channel_id: IDS.kingshotListingChannel,
+      name: 'Renamed',
+    });
+    assert.equal(response.status, 422);
+    assert.deepEqual(response.body.errors, [
+      `Guild "${IDS.guild}": name cannot be changed at runtime`,
+      `Guild "${IDS.guild}": locale must be one of en, ar`,
+    ]);
+    assert.equal(harness.bot.guildRouter.primaryGuild().listing_channel_id, IDS.listingChannel);
+
+    const unknown = await harness.admin('PATCH', '/admin/guilds/123456789012345678', { locale: 'ar' });
+    assert.equal(unknown.status, 404);
+  });
+});
+
+describe('pause and resume', () => {
+  it('skips new listing posts while a category is paused', async () => {
+    assert.equal((await harness.admin('POST', '/admin/categories/wos_accounts/pause')).status, 200);
+
+    let { response, sends } = await createListing(3101);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.result.paused, true);
+    assert.equal(sends.length, 0);
+    // Still searchable while paused
+    assert.ok(harness.bot.listingIndex.get(3101));
+
+    await harness.admin('POST', '/admin/categories/wos_accounts/resume');
+    ({ sends } = await createListing(3102));
+    assert.deepEqual(sends.map(send => send.channelId), [IDS.wosListingChannel]);
+  });
+});
+
+describe('manual posting', () => {
+  it('sends a sample embed to a category channel', async () => {
+    harness.discord.reset();
+    const response = await harness.admin('POST', '/admin/categories/kingshot_accounts/test', { channel: 'dispute' });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.channel_id, IDS.kingshotDisputeChannel);
+    const [send] = harness.discord.ofType('send');
+    assert.equal(send.channelId, IDS.kingshotDisputeChannel);
+    assert.equal(send.payload.content, '🧪 Test message from the admin API (sample data, no action needed)');
+    assert.match(send.payload.embeds[0].title, /Dispute/);
+  });
+
+  it('reposts a stored listing without pinging and records the new post', async () => {
+    await createListing(3201);
+    harness.discord.reset();
+    const response = await harness.admin('POST', '/admin/listings/3201/repost');
+
+    assert.equal(response.status, 200);
+    const [send] = harness.discord.ofType('send');
+    assert.equal(send.channelId, IDS.wosListingChannel);
+    assert.equal(send.payload.content, undefined);
+    await harness.settle();
+    assert.equal(harness.bot.listingMessages.get(3201).messages.length, 2);
+
+    const toChannel = await harness.admin('POST', '/admin/listings/3201/repost', { channel_id: IDS.listingChannel });
+    assert.deepEqual(toChannel.body.destinations.map(destination => destination.channel_id), [IDS.listingChannel]);
+
+    assert.equal((await harness.admin('POST', '/admin/listings/999999/repost')).status, 404);
+  });
+
+  it('resends an event past the idempotency store', async () => {
+    const event = { ...SAMPLE_EVENTS['dispute.created'], dispute_id: 3301 };
+    const first = await harness.postSigned('/webhook', { event_type: 'dispute.created', event_id: 'dispute-3301', data: event });
+    harness.discord.reset();
+
+    // The dispute's thread still exists, so it is reused rather than opened a second time
+    const response = await harness.admin('POST', '/admin/events/resend', { event_type: 'dispute.created', data: event });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.result.thread_id, first.body.result.thread_id);
+    assert.equal(harness.discord.ofType('thread.create').length, 0);
+
+    const invalid = await harness.admin('POST', '/admin/events/resend', { event_type: 'dispute.created', data: {} });
+    assert.equal(invalid.status, 422);
+  });
+});
+
+describe('audit log', () => {
+  it('records every change with the admin who made it', async () => {
+    await harness.request('POST', '/admin/categories/kingshot_accounts/pause', {
+      headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, 'X-Admin-User': 'sara' },
+    });
+
+    const response = await harness.admin('GET', '/admin/audit');
+    assert.equal(response.status, 200);
+    const [latest] = response.body.entries;
+    assert.equal(latest.action, 'category.pause');
+    assert.equal(latest.target, 'kingshot_accounts');
+    assert.equal(latest.actor, 'sara');
+    assert.deepEqual(
+      response.body.entries.map(entry => entry.action).reverse(),
+      [
+        'category.update',
+        'categories.reload',
+        'category.update',
+        'guild.update',
+        'guild.update',
+        'category.pause',
+        'category.resume',
+        'category.test',
+        'listing.repost',
+        'listing.repost',
+        'event.resend',
+        'category.pause',
+      ],
+    );
+
+    const filtered = await harness.admin('GET', '/admin/audit?action=listing.repost');
+    assert.equal(filtered.body.entries.length, 2);
+  });
+});
@@ -0,0 +1,63 @@
+import './support/env.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCategoryRegistry } from '../src/categories.js';
+
+// Loading the category registry from the backend (CATEGORIES_URL) while the backend is down.
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const REGISTRY = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'categories.json'), 'utf8'));
+
+function createBackend() {
+  const backend = {
+    down: false,
+    get: async () => {
+      if (backend.down) throw new Error('Request failed with status 503');
+      return REGISTRY;
+    },
+  };
+  return backend;
+}
+
+const registry = (backend, name) => createCategoryRegistry({
+  url: '/categories',
+  backend,
+  env: {},
+  overridesFile: `${name}-overrides.json`,
+  cacheFile: `${name}-cache.json`,
+});
+
+describe('category registry from CATEGORIES_URL', () => {
+  it('starts with the last fetched registry when the backend is down', async () => {
+    const backend = createBackend();
+    await registry(backend, 'cached').load();
+
+    backend.down = true;
+    const restarted = registry(backend, 'cached');
+    const loaded = await restarted.load();
+    assert.deepEqual(loaded.map(category => category.code), ['wos_accounts', 'kingshot_accounts']);
+    assert.match(restarted.source, /^\/categories \(cached .+\)$/);
+
+    // Once running, a failed refresh keeps the current registry
+    await assert.rejects(restarted.reload(), /status 503/);
+    assert.equal(restarted.list().length, 2);
+  });
+
+  it('falls back to the built-in categories without a cached copy', async () => {
+    const backend = createBackend();
+    backend.down = true;
+    const categories = registry(backend, 'uncached');
+
+    await categories.load();
+    assert.equal(categories.source, 'defaults');
+    assert.ok(categories.get('pubg_accounts'));
+
+    backend.down = false;
+    await categories.reload();
+    assert.equal(categories.source, '/categories');
+    assert.equal(categories.get('pubg_accounts'), null);
+  });
+});
@@ -0,0 +1,112 @@
+// Sample webhook payloads as the Laravel backend sends them, one per event type
+export const BUYER = '200000000000000001';
+export const SELLER = '200000000000000002';
+
+export const SAMPLE_EVENTS = {
+  'listing.created': {
+    id: 42,
+    title: 'Level 30 account',
+    price: 150,
+    currency: 'USD',
+    category: 'wos_accounts',
+    description: 'Furnace 30, 4 heroes at gold',
+    images: ['https://cdn.nxoland.test/listings/42.png'],
+    seller_discord_id: SELLER,
+    created_at: '2026-01-05T09:30:00Z',
+  },
+  'listing.updated': {
+    listing_id: 42,
+    price: '120.50',
+  },
+  'listing.status_changed': {
+    listing_id: 42,
+    new_status: 'SOLD',
+  },
+  'dispute.created': {
+    dispute_id: 7,
+    order_id: 1001,
+    category: 'wos_accounts',
+    party: 'buyer',
+    reason: 'Account details do not match',
+    description: 'The furnace level is 28, not 30',
+    buyer_discord_id: BUYER,
+    seller_discord_id: SELLER,
+    created_at: '2026-01-06T12:00:00Z',
+  },
+  'dispute.updated': {
+    dispute_id: 7,
+    order_id: 1001,
+    category: 'wos_accounts',
+    status: 'escalated',
+    previous_status: 'open',
+    message: 'Escalated to senior staff',
+    updated_by_username: 'moderator',
+    updated_at: '2026-01-07T08:00:00Z',
+  },
+  'dispute.resolved': {
+    dispute_id: 7,
+    order_id: 1001,
+    category: 'wos_accounts',
+    resolution: 'refund',
+    resolution_notes: 'Seller could not prove the furnace level',
+    resolver_username: 'moderator',
+    buyer_discord_id: BUYER,
+    seller_discord_id: SELLER,
+    resolved_at: '2026-01-08T10:00:00Z',
+  },
+  'order.created': {
+    order_id: 1001,
+    listing_id: 42,
+    title: 'Level 30 account',
+    price: 150,
+    currency: 'USD',
+    category: 'wos_accounts',
+    buyer_discord_id: BUYER,
+    seller_discord_id: SELLER,
+    created_at: '2026-01-05T10:00:00Z',
+  },
+  'order.delivered': {
+    order_id: 1001,
+    delivered_at: '2026-01-05T11:00:00Z',
+    auto_complete_at: '2026-01-08T11:00:00Z',
+  },
+  'order.confirmed': {
+    order_id: 1001,
+    confirmed_at: '2026-01-05T12:00:00Z',
+  },
+  'order.auto_completed': {
+    order_id: 1001,
+    completed_at: '2026-01-08T11:00:00Z',
+  },
+  'payout.released': {
+    order_id: 1001,
+    payout_id: 'po_55',
+    amount: 150,
+    fee: 7.5,
+    net_amount: 142.5,
+    released_at: '2026-01-05T13:00:00Z',
+  },
+  'account.linked': {
+    user_id: 501,
+    username: 'seller_one',
+    verified_seller: true,
+  },
+  'account.unlinked': {
+    user_id: 501,
+  },
+};
+
+// A listing.created payload with just the listing fields, e.g. listing(501, { price: 80 }).
+// The created_at minute follows the id, so higher ids are newer.
+export const listing = (id, overrides = {}) => ({
+  id,
+  title: `Account ${id}`,
+  price: 100,
+  currency: 'USD',
+  category: 'wos_accounts',
+  created_at: `2026-01-05T09:${String(id % 60).padStart(2, '0')}:00Z`,
+  ...overrides,
+});
+
+// User text as the bot renders it, wrapped in Unicode directional isolates
+export const iso = (text) => `⁨${text}⁩`;
@@ -0,0 +1,147 @@
+import './support/env.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { PermissionFlagsBits, Status } from 'discord.js';
+import { createTestBot, IDS } from './support/harness.js';
+import { listing } from './fixtures/events.js';
+
+// Startup before login, gateway drops and resumes, the channel permission check and the
+// drain on shutdown.
+
+let harness;
+
+before(async () => {
+  harness = await createTestBot({ env: { RETRY_AFTER_SECONDS: '20' } });
+});
+
+after(async () => {
+  await harness.close();
+});
+
+describe('while Discord is not ready', () => {
+  it('answers webhooks with 503 and Retry-After, then handles the retry once logged in', async () => {
+    harness.discord.setGatewayStatus(Status.Idle);
+    harness.discord.reset();
+    let response;
+    try {
+      response = await harness.sendEvent('listing.created', listing(4001), { event_id: 'listing-4001' });
+      assert.equal(response.status, 503);
+      assert.equal(response.headers.get('retry-after'), '20');
+      assert.deepEqual(response.body, { success: false, error: 'Discord connection is not ready', retry_after: 20 });
+
+      const legacy = await harness.postSigned('/webhook/listing', listing(4002));
+      assert.equal(legacy.status, 503);
+
+      // Unsigned calls get the 401 and are not counted, so they can't probe the gateway state
+      const unsigned = await harness.request('POST', '/webhook', { body: { event_type: 'listing.created', data: listing(4004) } });
+      assert.equal(unsigned.status, 401);
+
+      const resend = await harness.admin('POST', '/admin/events/resend', { event_type: 'listing.created', data: listing(4003) });
+      assert.equal(resend.status, 503);
+
+      // Health and read-only admin endpoints keep answering
+      assert.equal((await harness.request('GET', '/health')).status, 503);
+      assert.equal((await harness.admin('GET', '/admin/deliveries')).status, 200);
+      assert.equal(harness.discord.actions.length, 0);
+    } finally {
+      harness.discord.setGatewayStatus(Status.Ready);
+    }
+
+    response = await harness.sendEvent('listing.created', listing(4001), { event_id: 'listing-4001' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.duplicate, undefined);
+    assert.equal(harness.discord.ofType('send').length, 1);
+
+    const metrics = await harness.request('GET', '/metrics');
+    assert.match(metrics.text, /^nxobot_events_received_total\{event_type="listing.created",outcome="unavailable"\} 2$/m);
+  });
+
+  it('answers 503 and closes the connection while shutting down', async () => {
+    const { lifecycle } = harness.webhookServer.app.locals;
+    lifecycle.draining = true;
+    try {
+      const response = await harness.sendEvent('listing.created', listing(4011));
+      assert.equal(response.status, 503);
+      assert.equal(response.body.error, 'Bot is shutting down');
+      assert.equal(response.headers.get('connection'), 'close');
+    } finally {
+      lifecycle.draining = false;
+    }
+  });
+});
+
+describe('gateway reconnects', () => {
+  it('tracks drops and sends the messages queued meanwhile once the session resumes', async () => {
+    harness.discord.reset();
+    harness.discord.setGatewayStatus(Status.Reconnecting);
+    harness.discord.client.emit('shardReconnecting', 0);
+    // A second drop notice for the same outage is not counted again
+    harness.discord.client.emit('shardDisconnect', { code: 1006 }, 0);
+
+    const delivery = await harness.bot.deliveryQueue.enqueue({ channelId: IDS.staffChannel, payload: { content: 'queued' } });
+    assert.equal(delivery.status, 'queued');
+
+    harness.discord.setGatewayStatus(Status.Ready);
+    harness.discord.client.emit('shardResume', 0, 12);
+    await harness.settle();
+
+    assert.deepEqual(harness.discord.ofType('send').map(send => send.payload.content), ['queued']);
+    const { gateway } = (await harness.request('GET', '/health')).body;
+    assert.equal(gateway.disconnects, 1);
+    assert.ok(gateway.last_resume_at >= gateway.last_disconnect_at);
+    const metrics = await harness.request('GET', '/metrics');
+    assert.match(metrics.text, /^nxobot_gateway_disconnects_total 1$/m);
+  });
+});
+
+describe('channel permission check', () => {
+  it('requires thread permissions in dispute channels and ask-seller thread permissions in listing channels', async () => {
+    harness.discord.addChannel({ id: IDS.wosDisputeChannel, guildId: IDS.guild, deny: [PermissionFlagsBits.CreatePrivateThreads] });
+    harness.discord.addChannel({ id: IDS.wosListingChannel, guildId: IDS.guild, deny: [PermissionFlagsBits.SendMessagesInThreads] });
+    harness.discord.addChannel({ id: IDS.listingChannel, guildId: IDS.guild, deny: [PermissionFlagsBits.ManageThreads] });
+    try {
+      const channels = await harness.bot.checkChannels();
+      const dispute = channels.find(({ id }) => id === IDS.wosDisputeChannel);
+      assert.equal(dispute.reachable, false);
+      assert.deepEqual(dispute.missing_permissions, ['CreatePrivateThreads']);
+      const listingChannel = channels.find(({ id }) => id === IDS.wosListingChannel);
+      assert.equal(listingChannel.reachable, false);
+      assert.deepEqual(listingChannel.missing_permissions, ['SendMessagesInThreads']);
+      // Managing threads is only needed where dispute threads are locked and archived
+      assert.equal(channels.find(({ id }) => id === IDS.listingChannel).reachable, true);
+    } finally {
+      harness.discord.addChannel({ id: IDS.wosDisputeChannel, guildId: IDS.guild });
+      harness.discord.addChannel({ id: IDS.wosListingChannel, guildId: IDS.guild });
+      harness.discord.addChannel({ id: IDS.listingChannel, guildId: IDS.guild });
+    }
+  });
+});
+
+describe('shutdown', () => {
+  it('lets the requests in flight finish before closing the server', async () => {
+    const draining = await createTestBot();
+    const channel = draining.discord.channel(IDS.wosListingChannel);
+    const send = channel.send;
+    channel.send = async (payload) => {
+      await new Promise(resolve => setTimeout(resolve, 200));
+      return send(payload);
+    };
+
+    try {
+      const pending = draining.sendEvent('listing.created', listing(4101));
+      await new Promise(resolve => setTimeout(resolve, 50));
+      assert.equal(draining.webhookServer.app.locals.lifecycle.inFlight, 1);
+
+      const abandoned = await draining.webhookServer.close({ timeoutMs: 2000 });
+      const response = await pending;
+      assert.equal(abandoned, 0);
+      assert.equal(response.status, 200);
+      assert.equal(response.body.result.destinations[0].delivery.status, 'delivered');
+      assert.equal(draining.webhookServer.server.listening, false);
+
+      await draining.bot.shutdown({ timeoutMs: 1000 });
+    } finally {
+      await draining.close();
+    }
+  });
+});
@@ -0,0 +1,193 @@
+import './support/env.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestBot, IDS } from './support/harness.js';
+import { validateCategories } from '../src/categories.js';
+import { listing, iso } from './fixtures/events.js';
+
+// Batched and digest delivery modes: wos_accounts posts batches every 15 minutes,
+// kingshot_accounts a daily digest at 09:00 UTC (test/fixtures/categories.batched.json).
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const MINUTE = 60 * 1000;
+let harness;
+
+before(async () => {
+  harness = await createTestBot({ env: { CATEGORIES_FILE: path.join(FIXTURES, 'categories.batched.json') } });
+});
+
+after(async () => {
+  await harness.close();
+});
+
+async function sendListings(listings) {
+  const responses = [];
+  for (const data of listings) {
+    responses.push(await harness.sendEvent('listing.created', data));
+  }
+  await harness.settle();
+  return responses;
+}
+
+describe('category registry', () => {
+  it('rejects unknown delivery modes and out-of-range schedules', () => {
+    assert.deepEqual(validateCategories([
+      { code: 'a', delivery_mode: 'weekly', batch_minutes: 0 },
+      { code: 'b', delivery_mode: 'digest', digest_schedule: 'monthly', digest_hour: 24 },
+    ]), [
+      'Category "a": delivery_mode must be one of instant, batched, digest',
+      'Category "a": batch_minutes must be a whole number of minutes between 1 and 1440',
+      'Category "b": digest_schedule must be one of hourly, daily',
+      'Category "b": digest_hour must be an hour between 0 and 23',
+    ]);
+  });
+});
+
+describe('batched mode', () => {
+  it('collects listings and posts them as one message once batch_minutes have passed', async () => {
+    harness.discord.reset();
+    const responses = await sendListings([listing(501), listing(502, { price: 80 }), listing(503)]);
+
+    assert.equal(harness.discord.actions.length, 0);
+    const { delivery } = responses[2].body.result.destinations[0];
+    assert.equal(delivery.status, 'batched');
+    assert.equal(delivery.mode, 'batched');
+    assert.equal(delivery.size, 3);
+
+    await harness.bot.listingBatches.tick(Date.now() + 10 * MINUTE);
+    assert.equal(harness.discord.actions.length, 0);
+
+    await harness.bot.listingBatches.tick(Date.now() + 16 * MINUTE);
+    const sends = harness.discord.ofType('send');
+    assert.equal(sends.length, 1);
+    assert.equal(sends[0].channelId, IDS.wosListingChannel);
+    assert.equal(sends[0].payload.content, `<@&${IDS.wosPingRole}> 🆕 **3** new listing(s) in ❄️ Whiteout Survival`);
+    assert.deepEqual(sends[0].payload.allowedMentions, { roles: [IDS.wosPingRole] });
+    assert.deepEqual(sends[0].payload.embeds.map(embed => embed.url), [
+      'https://nxoland.test/product/501',
+      'https://nxoland.test/product/502',
+      'https://nxoland.test/product/503',
+    ]);
+    assert.equal(harness.bot.listingBatches.listPending().length, 0);
+
+    // Updates edit the shared message, with the other listings left as they were
+    harness.discord.reset();
+    await harness.sendEvent('listing.updated', { listing_id: 502, price: 75 });
+    await harness.settle();
+    const edits = harness.discord.ofType('edit');
+    assert.equal(edits.length, 1);
+    assert.equal(edits[0].messageId, sends[0].messageId);
+    assert.equal(edits[0].payload.embeds.length, 3);
+    assert.equal(edits[0].payload.embeds[1].url, 'https://nxoland.test/product/502');
+    assert.ok(JSON.stringify(edits[0].payload.embeds[1]).includes('$75.00'));
+  });
+
+  it('keeps the batch when the post cannot be queued', async () => {
+    harness.discord.reset();
+    await sendListings([listing(511)]);
+    const { deliveryQueue } = harness.bot;
+    const enqueue = deliveryQueue.enqueue;
+    deliveryQueue.enqueue = async () => { throw new Error('disk full'); };
+    try {
+      await harness.bot.listingBatches.flush();
+    } finally {
+      deliveryQueue.enqueue = enqueue;
+    }
+    assert.deepEqual(harness.bot.listingBatches.listPending().map(batch => batch.listingIds), [['511']]);
+
+    await harness.bot.listingBatches.flush();
+    assert.equal(harness.discord.ofType('send').length, 1);
+    assert.equal(harness.bot.listingBatches.listPending().length, 0);
+  });
+
+  it('lets a forced flush wait for the scheduled post in progress', async () => {
+    harness.discord.reset();
+    await sendListings([listing(521)]);
+    const channel = harness.discord.channel(IDS.wosListingChannel);
+    const send = channel.send;
+    channel.send = async (payload) => {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      return send(payload);
+    };
+    try {
+      const scheduled = harness.bot.listingBatches.tick(Date.now() + 16 * MINUTE);
+      const flushed = await harness.bot.listingBatches.flush();
+      assert.equal((await scheduled).length, 1);
+      assert.deepEqual(flushed, []);
+    } finally {
+      channel.send = send;
+    }
+    assert.equal(harness.discord.ofType('send').length, 1);
+  });
+
+  it('posts a compact list for more than 10 listings and leaves out sold ones', async () => {
+    harness.discord.reset();
+    await sendListings(Array.from({ length: 12 }, (_, index) => listing(601 + index)));
+    await harness.sendEvent('listing.status_changed', { listing_id: 605, new_status: 'SOLD' });
+
+    await harness.bot.listingBatches.flush();
+    const sends = harness.discord.ofType('send');
+    assert.equal(sends.length, 1);
+    const [embed] = sends[0].payload.embeds;
+    assert.equal(sends[0].payload.embeds.length, 1);
+    assert.equal(embed.title, '🆕 11 New Listings - ❄️ Whiteout Survival');
+    const lines = embed.description.split('\n');
+    assert.equal(lines.length, 11);
+    assert.equal(lines[0], `• [${iso('Account 601')}](https://nxoland.test/product/601) - $100.00`);
+    assert.ok(!embed.description.includes('/product/605'));
+
+    // A listing sold after the post is struck through in the list
+    harness.discord.reset();
+    await harness.sendEvent('listing.status_changed', { listing_id: 601, new_status: 'SOLD' });
+    await harness.settle();
+    const [edit] = harness.discord.ofType('edit');
+    assert.equal(edit.messageId, sends[0].messageId);
+    const edited = edit.payload.embeds[0].description.split('\n');
+    assert.equal(edited[0], `• ~~[${iso('Account 601')}](https://nxoland.test/product/601) - $100.00~~`);
+    assert.equal(edited[1], lines[1]);
+  });
+});
+
+describe('digest mode', () => {
+  it('posts a daily summary with the cheapest, newest and price range after digest_hour', async () => {
+    harness.discord.reset();
+    const category = 'kingshot_accounts';
+    await sendListings([
+      listing(701, { category, price: 250, created_at: '2026-01-05T08:00:00Z' }),
+      listing(702, { category, price: 90, created_at: '2026-01-05T10:00:00Z' }),
+      listing(703, { category, price: 120, created_at: '2026-01-05T12:00:00Z' }),
+    ]);
+
+    await harness.bot.listingBatches.tick(Date.now());
+    assert.equal(harness.discord.actions.length, 0);
+
+    await harness.bot.listingBatches.tick(Date.now() + 25 * 60 * MINUTE);
+    const sends = harness.discord.ofType('send', { channelId: IDS.kingshotListingChannel });
+    assert.equal(sends.length, 1);
+    const [embed] = sends[0].payload.embeds;
+    assert.equal(embed.title, '📰 👑 KingShot - Daily Digest');
+    assert.equal(embed.description, '**3** new listing(s)');
+    assert.deepEqual(embed.fields.slice(0, 3), [
+      { name: '💸 Cheapest', value: `[${iso('Account 702')}](https://nxoland.test/product/702) - $90.00`, inline: true },
+      { name: '🆕 Newest', value: `[${iso('Account 703')}](https://nxoland.test/product/703) - $120.00`, inline: true },
+      { name: '📈 Price Range', value: '$90.00 - $250.00', inline: true },
+    ]);
+    assert.equal(embed.fields[3].value.split('\n').length, 3);
+  });
+});
+
+describe('shutdown', () => {
+  it('flushes pending batches before stopping', async () => {
+    harness.discord.reset();
+    await sendListings([listing(801)]);
+    assert.equal(harness.discord.actions.length, 0);
+
+    await harness.bot.shutdown();
+    const sends = harness.discord.ofType('send');
+    assert.equal(sends.length, 1);
+    assert.equal(sends[0].payload.embeds[0].url, 'https://nxoland.test/product/801');
+    assert.equal(harness.bot.listingBatches.listPending().length, 0);
+  });
+});
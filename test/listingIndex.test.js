@@ -0,0 +1,191 @@
+import './support/env.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestBot, createFakeBackend, IDS } from './support/harness.js';
+import { median } from '../src/listingIndex.js';
+import { buildStatsEmbed } from '../src/commands/stats.js';
+import { listing, iso } from './fixtures/events.js';
+
+// The listing index behind /search and /stats: fed by listing events, rebuilt by backfill.
+
+// Backfill endpoint: a Laravel paginated response in two pages
+const BACKFILL_PAGES = {
+  '/listings/active': { data: [listing(1001, { price: 40 }), { id: 1002 }], next_page_url: '/listings/active?page=2' },
+  '/listings/active?page=2': { data: [listing(1003, { category: 'kingshot_accounts', price: 70 })], next_page_url: null },
+};
+
+let harness;
+
+before(async () => {
+  const backend = createFakeBackend({ configured: true });
+  backend.get = async (url) => {
+    backend.calls.push({ method: 'GET', url });
+    return BACKFILL_PAGES[url];
+  };
+  harness = await createTestBot({ env: { LISTING_BACKFILL_URL: '/listings/active' }, backend });
+});
+
+after(async () => {
+  await harness.close();
+});
+
+// Run a slash command or button through the bot's interactionCreate listener and return
+// what it replied with
+function interact({ commandName = null, customId = null, options = {}, locale = 'en-US' }) {
+  return new Promise((resolve) => {
+    const answer = method => async (payload) => resolve({ method, payload: JSON.parse(JSON.stringify(payload)) });
+    harness.discord.client.emit('interactionCreate', {
+      commandName,
+      customId,
+      user: { id: IDS.buyer, username: 'buyer' },
+      locale,
+      isAutocomplete: () => false,
+      isChatInputCommand: () => Boolean(commandName),
+      isButton: () => Boolean(customId),
+      isModalSubmit: () => false,
+      options: {
+        getString: name => options[name] ?? null,
+        getNumber: name => options[name] ?? null,
+      },
+      reply: answer('reply'),
+      update: answer('update'),
+    });
+  });
+}
+
+describe('median', () => {
+  it('takes the middle value, or the mean of the two middle values', () => {
+    assert.equal(median([3, 1, 2]), 2);
+    assert.equal(median([40, 10, 30, 20]), 25);
+    assert.equal(median([]), null);
+  });
+});
+
+describe('listing index', () => {
+  before(async () => {
+    for (const data of [
+      listing(901, { title: 'Furnace 30 main', price: 150 }),
+      listing(902, { price: 60 }),
+      listing(903, { category: 'kingshot_accounts', price: 300 }),
+      listing(904, { price: 90, description: 'F2P, furnace 25' }),
+    ]) {
+      await harness.sendEvent('listing.created', data);
+    }
+    await harness.sendEvent('listing.status_changed', { listing_id: 902, new_status: 'SOLD' });
+    await harness.sendEvent('listing.updated', { listing_id: 904, price: 80 });
+  });
+
+  it('tracks active listings, prices and sales from listing events', () => {
+    const stats = harness.bot.listingIndex.stats();
+    assert.equal(stats.active, 3);
+    assert.deepEqual(stats.categories, [
+      { category: 'wos_accounts', count: 2, median_price: 115, currency: 'USD' },
+      { category: 'kingshot_accounts', count: 1, median_price: 300, currency: 'USD' },
+    ]);
+    assert.deepEqual(stats.sales.map(({ id, price }) => ({ id, price })), [{ id: '902', price: 60 }]);
+  });
+
+  it('/search filters by category, max price and text', async () => {
+    const { method, payload } = await interact({
+      commandName: 'search',
+      options: { category: 'wos_accounts', max_price: 200, query: 'furnace' },
+    });
+
+    assert.equal(method, 'reply');
+    assert.equal(payload.ephemeral, true);
+    const [embed] = payload.embeds;
+    assert.equal(embed.description, '❄️ Whiteout Survival • under $200.00 • "furnace"');
+    assert.deepEqual(embed.fields.map(field => field.name), [iso('Account 904'), iso('Furnace 30 main')]);
+    assert.equal(embed.fields[0].value, '💰 $80.00 • ❄️ Whiteout Survival\n[View listing](https://nxoland.test/product/904)');
+    assert.equal(embed.footer.text, '2 result(s) • Page 1/1');
+    assert.deepEqual(payload.components, []);
+  });
+
+  it('/search pages through results with Previous/Next buttons', async () => {
+    for (let id = 911; id <= 916; id++) {
+      await harness.sendEvent('listing.created', listing(id, { category: 'kingshot_accounts' }));
+    }
+
+    const first = await interact({ commandName: 'search', options: { category: 'kingshot_accounts' } });
+    assert.equal(first.payload.embeds[0].fields.length, 5);
+    assert.equal(first.payload.embeds[0].footer.text, '7 result(s) • Page 1/2');
+    const [previous, next] = first.payload.components[0].components;
+    assert.equal(previous.disabled, true);
+    assert.equal(next.custom_id, 'search:1:kingshot_accounts::');
+
+    const second = await interact({ customId: next.custom_id });
+    assert.equal(second.method, 'update');
+    assert.equal(second.payload.embeds[0].footer.text, '7 result(s) • Page 2/2');
+    assert.equal(second.payload.embeds[0].fields.length, 2);
+    assert.equal(second.payload.components[0].components[1].disabled, true);
+  });
+
+  it('/search answers in the user\'s language', async () => {
+    const { payload } = await interact({ commandName: 'search', options: { query: 'no such listing' }, locale: 'ar' });
+    const [embed] = payload.embeds;
+    assert.equal(embed.title, '🔎 الإعلانات المعروضة للبيع');
+    assert.equal(embed.description, 'كل الفئات • "no such listing"\n\nلا توجد إعلانات تطابق بحثك.');
+    assert.equal(embed.footer.text, '0 نتيجة • الصفحة 1/1');
+  });
+
+  it('/search refuses filters too long for the page buttons', async () => {
+    const { payload } = await interact({
+      commandName: 'search',
+      options: { category: 'kingshot_accounts', max_price: 200, query: 'furnace '.repeat(10) },
+    });
+    assert.equal(payload.content, '⚠️ This search is too long for the page buttons. Please use a shorter query or price.');
+    assert.equal(payload.embeds, undefined);
+  });
+
+  it('/stats shows active listings, medians and recent sales', async () => {
+    const { payload } = await interact({ commandName: 'stats' });
+
+    assert.equal(payload.ephemeral, undefined);
+    const [embed] = payload.embeds;
+    assert.equal(embed.description, '**9** listing(s) on sale');
+    assert.deepEqual(embed.fields[0], { name: '👑 KingShot', value: '7 on sale\nMedian: $100.00', inline: true });
+    assert.deepEqual(embed.fields[1], { name: '❄️ Whiteout Survival', value: '2 on sale\nMedian: $115.00', inline: true });
+    assert.match(embed.fields[2].value, new RegExp(`^\\*\\*1\\*\\* sold\\n• ${iso('Account 902')} - \\$60\\.00 <t:\\d+:R>$`));
+  });
+
+  it('/stats shows N/A for categories without priced listings', () => {
+    const listingIndex = {
+      stats: () => ({ active: 1, categories: [{ category: 'pubg_accounts', count: 1, median_price: null, currency: 'USD' }], sales: [] }),
+    };
+    const embed = buildStatsEmbed({ listingIndex, categories: harness.bot.categories }, 'en').toJSON();
+    assert.deepEqual(embed.fields[0], { name: 'pubg_accounts', value: '1 on sale\nMedian: N/A', inline: true });
+  });
+
+  it('/stats answers in the user\'s language', async () => {
+    const { payload } = await interact({ commandName: 'stats', locale: 'ar' });
+    const [embed] = payload.embeds;
+    assert.equal(embed.title, '📊 إحصائيات السوق');
+    assert.equal(embed.fields.at(-1).name, '🔴 المبيعات (آخر 7 أيام)');
+  });
+
+  it('answers listing buttons in the user\'s language', async () => {
+    let { payload } = await interact({ customId: 'listing:watch:901', locale: 'ar' });
+    assert.deepEqual(payload, { content: '🔔 أنت تتابع هذا الإعلان الآن. ستصلك رسالة خاصة إذا انخفض سعره أو تم بيعه. اضغط مرة أخرى لإيقاف المتابعة.', ephemeral: true });
+    ({ payload } = await interact({ customId: 'listing:watch:901', locale: 'en-US' }));
+    assert.deepEqual(payload, { content: '🔕 You are no longer watching this listing.', ephemeral: true });
+    ({ payload } = await interact({ customId: 'listing:watch:902', locale: 'ar' }));
+    assert.deepEqual(payload, { content: '⚠️ هذا الإعلان لم يعد متاحًا.', ephemeral: true });
+  });
+});
+
+describe('backfill', () => {
+  it('rebuilds the index from every page of the backfill endpoint and skips invalid entries', async () => {
+    const response = await harness.admin('POST', '/admin/listings/backfill');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { success: true, active: 2, skipped: 1 });
+    assert.deepEqual(harness.backend.calls.map(call => call.url), ['/listings/active', '/listings/active?page=2']);
+    assert.deepEqual(harness.bot.listingIndex.search().map(entry => entry.id), ['1003', '1001']);
+
+    // Recent sales survive a backfill
+    const stats = await harness.admin('GET', '/admin/listings/stats');
+    assert.equal(stats.body.active, 2);
+    assert.equal(stats.body.sales.length, 1);
+    assert.ok(stats.body.backfilled_at);
+  });
+});
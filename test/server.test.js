@@ -0,0 +1,157 @@
+import './support/env.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { PermissionFlagsBits, Status } from 'discord.js';
+import { createTestBot, IDS, ADMIN_TOKEN, TRANSCRIPT_SECRET } from './support/harness.js';
+import { TRANSCRIPTS_DIR } from '../src/transcriptArchive.js';
+import { signLink } from '../src/webhookAuth.js';
+import { SAMPLE_EVENTS } from './fixtures/events.js';
+
+let harness;
+
+before(async () => {
+  harness = await createTestBot();
+});
+
+after(async () => {
+  await harness.close();
+});
+
+describe('GET /health', () => {
+  it('is ok when the gateway is connected and every channel is reachable', async () => {
+    const response = await harness.request('GET', '/health');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'ok');
+    assert.deepEqual(response.body.gateway, {
+      connected: true,
+      status: 'Ready',
+      ping_ms: 25,
+      disconnects: 0,
+      last_disconnect_at: null,
+      last_resume_at: null,
+    });
+    assert.equal(response.body.channels.unreachable, 0);
+    assert.ok(response.body.channels.list.some(({ id, settings }) => id === IDS.wosListingChannel
+      && settings.includes('listing_channel_id of category "wos_accounts"')));
+  });
+
+  it('is degraded when a configured channel is missing or lacks permissions', async () => {
+    harness.discord.addChannel({ id: IDS.staffChannel, guildId: IDS.guild, deny: [PermissionFlagsBits.SendMessages] });
+    const response = await harness.request('GET', '/health');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'degraded');
+    const staff = response.body.channels.list.find(({ id }) => id === IDS.staffChannel);
+    assert.equal(staff.reachable, false);
+    assert.deepEqual(staff.missing_permissions, ['SendMessages']);
+    harness.discord.addChannel({ id: IDS.staffChannel, guildId: IDS.guild });
+  });
+
+  it('returns 503 while the gateway is disconnected', async () => {
+    harness.discord.setGatewayStatus(Status.Reconnecting);
+    try {
+      const response = await harness.request('GET', '/health');
+      assert.equal(response.status, 503);
+      assert.equal(response.body.status, 'unavailable');
+      assert.equal(response.body.gateway.status, 'Reconnecting');
+    } finally {
+      harness.discord.setGatewayStatus(Status.Ready);
+    }
+  });
+});
+
+describe('GET /metrics', () => {
+  it('counts webhook events by type and outcome', async () => {
+    await harness.sendEvent('listing.created', { ...SAMPLE_EVENTS['listing.created'], id: 60 });
+    await harness.sendEvent('listing.created', { id: 61 });
+    const response = await harness.request('GET', '/metrics');
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain/);
+    assert.match(response.text, /^nxobot_events_received_total\{event_type="listing.created",outcome="handled"\} 1$/m);
+    assert.match(response.text, /^nxobot_events_received_total\{event_type="listing.created",outcome="invalid"\} 1$/m);
+    assert.match(response.text, /^nxobot_deliveries_total\{op="send",outcome="delivered"\} 1$/m);
+    assert.match(response.text, /^nxobot_delivery_queue_depth 0$/m);
+    assert.match(response.text, /^nxobot_gateway_connected 1$/m);
+  });
+});
+
+describe('admin endpoints', () => {
+  it('require the admin token', async () => {
+    const anonymous = await harness.request('GET', '/admin/deliveries');
+    const admin = await harness.admin('GET', '/admin/deliveries');
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(admin.status, 200);
+    assert.deepEqual(admin.body, { pending: [], failed: [] });
+  });
+});
+
+describe('GET /transcripts', () => {
+  const file = '/transcripts/dispute-1-0123456789abcdef.html';
+
+  before(() => {
+    fs.writeFileSync(path.join(TRANSCRIPTS_DIR, path.basename(file)), '<h1>Dispute #1</h1>');
+  });
+
+  it('needs a signed link or the admin token', async () => {
+    assert.equal((await harness.request('GET', file)).status, 401);
+
+    const admin = await harness.request('GET', file, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+    assert.equal(admin.status, 200);
+    assert.equal(admin.text, '<h1>Dispute #1</h1>');
+
+    const signed = await harness.request('GET', signLink(TRANSCRIPT_SECRET, file, Date.now() + 60_000));
+    assert.equal(signed.status, 200);
+  });
+
+  it('rejects expired and tampered links, and links signed with the admin token', async () => {
+    const expired = await harness.request('GET', signLink(TRANSCRIPT_SECRET, file, Date.now() - 1000));
+    assert.equal(expired.status, 403);
+
+    const other = signLink(TRANSCRIPT_SECRET, file, Date.now() + 60_000).replace('dispute-1-', 'dispute-2-');
+    assert.equal((await harness.request('GET', other)).status, 403);
+
+    assert.equal((await harness.request('GET', signLink(ADMIN_TOKEN, file, Date.now() + 60_000))).status, 403);
+  });
+
+  it('/dispute transcript signs a fresh link to the archived transcript', async () => {
+    const linked = await createTestBot({ env: { PUBLIC_URL: 'https://bot.nxoland.test' } });
+    const transcriptCommand = (channelId) => new Promise((resolve) => {
+      linked.discord.client.emit('interactionCreate', {
+        commandName: 'dispute',
+        channelId,
+        guildId: IDS.guild,
+        user: { id: IDS.staff, username: 'staff', tag: 'staff' },
+        member: { roles: { cache: new Map([[IDS.staffRole, {}]]) } },
+        isAutocomplete: () => false,
+        isChatInputCommand: () => true,
+        options: { getSubcommand: () => 'transcript' },
+        deferReply: async () => {},
+        editReply: async (content) => resolve(content),
+      });
+    });
+
+    try {
+      const created = await linked.sendEvent('dispute.created', SAMPLE_EVENTS['dispute.created']);
+      await linked.settle();
+      const threadId = created.body.result.thread_id;
+      assert.equal(await transcriptCommand(threadId), '⚠️ No transcript has been archived for this dispute yet.');
+
+      await linked.sendEvent('dispute.resolved', SAMPLE_EVENTS['dispute.resolved']);
+      await linked.settle();
+      const reply = await transcriptCommand(threadId);
+      const url = new URL(reply.match(/https:\S+/)[0]);
+      assert.match(url.pathname, /^\/transcripts\/dispute-7-\w+\.html$/);
+      assert.ok(Number(url.searchParams.get('expires')) * 1000 > Date.now());
+
+      const page = await linked.request('GET', url.pathname + url.search);
+      assert.equal(page.status, 200);
+    } finally {
+      await linked.close();
+    }
+  });
+});
@@ -0,0 +1,17 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Imported first by every test file: a fresh DATA_DIR per test process and fixed locale and
+// time zone, so stores never touch ./data and rendered dates don't depend on the machine.
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'nxobot-test-'));
+process.env.DEFAULT_LOCALE = 'en';
+process.env.DISPLAY_TIMEZONE = 'UTC';
+process.env.LOG_FORMAT = 'pretty';
+
+// The bot logs every step; keep test output readable unless TEST_VERBOSE=1
+if (!process.env.TEST_VERBOSE) {
+  for (const method of ['log', 'info', 'warn', 'error']) console[method] = () => {};
+}
+
+process.on('exit', () => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
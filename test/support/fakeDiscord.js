@@ -0,0 +1,258 @@
+import { EventEmitter } from 'events';
+import { ChannelType, Collection, PermissionFlagsBits, PermissionsBitField, Status } from 'discord.js';
+
+// Discord API error as discord.js throws it (deliveryQueue treats some codes as permanent)
+function apiError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Embeds and components may be builders or plain JSON - record them as the JSON Discord receives
+function normalizePayload(payload) {
+  if (typeof payload === 'string') return { content: payload };
+  return JSON.parse(JSON.stringify(payload));
+}
+
+// In-memory stand-in for the discord.js Client, with just the surface the bot uses: channels,
+// private threads, guild roles and members, DMs, and the gateway/REST status. Every call that
+// would reach Discord is recorded in `actions` ({ type, ... }) so tests can assert on it.
+//
+//   const discord = createFakeDiscord();
+//   discord.addGuild({ id: 'g1', name: 'NXOLand', roles: [{ id: 'r1', members: ['u1'] }] });
+//   discord.addChannel({ id: 'c1', guildId: 'g1', name: 'listings' });
+//   const bot = await createBot({ client: discord.client, config });
+export function createFakeDiscord() {
+  const actions = [];
+  const channels = new Map();
+  const users = new Map();
+  let nextId = 1300000000000000000n;
+  const snowflake = () => String(nextId++);
+
+  const client = new EventEmitter();
+  client.user = { id: 'bot', username: 'NXOBot', tag: 'NXOBot#0001', bot: true };
+  client.ws = { status: Status.Ready, ping: 25 };
+  client.rest = new EventEmitter();
+  client.guilds = { cache: new Collection() };
+  client.isReady = () => client.ws.status === Status.Ready;
+
+  function record(type, fields) {
+    actions.push({ type, ...fields });
+  }
+
+  function getUser(id) {
+    if (!users.has(id)) {
+      users.set(id, {
+        id,
+        username: `user${id}`,
+        tag: `user${id}#0001`,
+        bot: false,
+        send: async (payload) => {
+          if (users.get(id).dmsClosed) throw apiError(50007, 'Cannot send messages to this user');
+          const message = { id: snowflake(), ...normalizePayload(payload) };
+          record('dm', { userId: id, messageId: message.id, payload: normalizePayload(payload) });
+          return message;
+        },
+      });
+    }
+    return users.get(id);
+  }
+
+  function createMessage(channel, payload, author = client.user) {
+    const message = {
+      id: snowflake(),
+      channelId: channel.id,
+      author: { id: author.id, username: author.username, bot: Boolean(author.bot) },
+      createdTimestamp: Date.now(),
+      createdAt: new Date(),
+      attachments: new Collection(),
+      content: '',
+      embeds: [],
+      components: [],
+      ...normalizePayload(payload),
+    };
+    message.edit = async (update) => channel.messages.edit(message.id, update);
+    channel.messageStore.set(message.id, message);
+    return message;
+  }
+
+  // Text channels and threads share the message API
+  function withMessages(channel) {
+    channel.messageStore = new Collection();
+    channel.send = async (payload) => {
+      if (channel.locked) throw apiError(50083, 'Thread is archived');
+      const message = createMessage(channel, payload);
+      record('send', { channelId: channel.id, messageId: message.id, payload: normalizePayload(payload) });
+      return message;
+    };
+    channel.messages = {
+      // fetch(id) or fetch({ limit, before }) - newest first, like Discord
+      fetch: async (options) => {
+        if (typeof options === 'string') {
+          const message = channel.messageStore.get(options);
+          if (!message) throw apiError(10008, 'Unknown Message');
+          return message;
+        }
+        const all = [...channel.messageStore.values()].reverse();
+        const start = options?.before ? all.findIndex(message => message.id === options.before) + 1 : 0;
+        return new Collection(all.slice(start, start + (options?.limit || 50)).map(message => [message.id, message]));
+      },
+      edit: async (messageId, payload) => {
+        const message = channel.messageStore.get(messageId);
+        if (!message) throw apiError(10008, 'Unknown Message');
+        Object.assign(message, normalizePayload(payload));
+        record('edit', { channelId: channel.id, messageId, payload: normalizePayload(payload) });
+        return message;
+      },
+      delete: async (messageId) => {
+        if (!channel.messageStore.delete(messageId)) throw apiError(10008, 'Unknown Message');
+        record('delete', { channelId: channel.id, messageId });
+      },
+    };
+    return channel;
+  }
+
+  function createThread(parent, { name, type = ChannelType.PublicThread, reason }) {
+    const thread = withMessages({
+      id: snowflake(),
+      name,
+      type,
+      parentId: parent.id,
+      guild: parent.guild,
+      guildId: parent.guild.id,
+      archived: false,
+      locked: false,
+      memberIds: new Set(),
+      isThread: () => true,
+      permissionsFor: (user) => parent.permissionsFor(user),
+    });
+    thread.members = {
+      add: async (userId, addReason) => {
+        thread.memberIds.add(String(userId));
+        record('thread.member.add', { threadId: thread.id, userId: String(userId), reason: addReason });
+      },
+    };
+    thread.setName = async (newName, renameReason) => thread.edit({ name: newName, reason: renameReason });
+    thread.setArchived = async (archived = true, archiveReason) => thread.edit({ archived, reason: archiveReason });
+    thread.edit = async ({ reason: editReason, ...changes }) => {
+      Object.assign(thread, changes);
+      record('thread.edit', { threadId: thread.id, changes, reason: editReason });
+      return thread;
+    };
+    channels.set(thread.id, thread);
+    record('thread.create', { channelId: parent.id, threadId: thread.id, name, threadType: type, reason });
+    return thread;
+  }
+
+  client.channels = {
+    fetch: async (id) => {
+      const channel = channels.get(String(id));
+      if (!channel) throw apiError(10003, 'Unknown Channel');
+      return channel;
+    },
+  };
+  client.users = { fetch: async (id) => getUser(String(id)) };
+
+  // Add a guild with roles ({ id, name, members: [userId] }) and plain members (user IDs)
+  function addGuild({ id, name = `Guild ${id}`, roles = [], members = [] }) {
+    const guild = { id, name, roles: { cache: new Collection() }, memberStore: new Collection() };
+
+    const addMember = (userId) => {
+      if (guild.memberStore.has(userId)) return guild.memberStore.get(userId);
+      const user = getUser(userId);
+      const member = {
+        id: userId,
+        user,
+        guild,
+        roles: {
+          cache: new Collection(),
+          add: async (roleId, reason) => {
+            member.roles.cache.set(roleId, guild.roles.cache.get(roleId));
+            guild.roles.cache.get(roleId)?.members.set(userId, member);
+            record('role.add', { guildId: id, userId, roleId, reason });
+          },
+          remove: async (roleId, reason) => {
+            member.roles.cache.delete(roleId);
+            guild.roles.cache.get(roleId)?.members.delete(userId);
+            record('role.remove', { guildId: id, userId, roleId, reason });
+          },
+        },
+      };
+      guild.memberStore.set(userId, member);
+      return member;
+    };
+
+    for (const role of roles) {
+      guild.roles.cache.set(role.id, { id: role.id, name: role.name || role.id, members: new Collection() });
+    }
+    for (const role of roles) {
+      for (const userId of role.members || []) {
+        const member = addMember(userId);
+        member.roles.cache.set(role.id, guild.roles.cache.get(role.id));
+        guild.roles.cache.get(role.id).members.set(userId, member);
+      }
+    }
+    members.forEach(addMember);
+
+    guild.members = {
+      // fetch() loads every member; fetch(id) one member
+      fetch: async (userId) => {
+        if (userId === undefined) return guild.memberStore;
+        const member = guild.memberStore.get(String(userId));
+        if (!member) throw apiError(10007, 'Unknown Member');
+        return member;
+      },
+    };
+    client.guilds.cache.set(id, guild);
+    return guild;
+  }
+
+  // Add a text (or forum) channel to a guild. `deny` lists permission flags the bot lacks there.
+  function addChannel({ id, guildId, name = `channel-${id}`, type = ChannelType.GuildText, deny = [] }) {
+    const guild = client.guilds.cache.get(guildId) || addGuild({ id: guildId });
+    // Everything but Administrator, which would override the denied permissions
+    const permissions = new PermissionsBitField(PermissionsBitField.All).remove(PermissionFlagsBits.Administrator, ...deny);
+    const channel = withMessages({
+      id,
+      name,
+      type,
+      guild,
+      guildId,
+      isThread: () => false,
+      permissionsFor: () => permissions,
+    });
+    channel.threads = { create: async (options) => createThread(channel, options) };
+    channels.set(id, channel);
+    return channel;
+  }
+
+  // Post a message as a user, e.g. a buyer replying in a dispute thread, and emit messageCreate
+  function postAs(userId, channelId, content) {
+    const channel = channels.get(channelId);
+    const message = createMessage(channel, { content }, getUser(userId));
+    message.channel = channel;
+    message.member = channel.guild.memberStore.get(userId) || null;
+    client.emit('messageCreate', message);
+    return message;
+  }
+
+  return {
+    client,
+    actions,
+    addGuild,
+    addChannel,
+    postAs,
+    channel: (id) => channels.get(String(id)),
+    user: getUser,
+    // Recorded actions of one type, optionally filtered by a field, e.g. ofType('send', { channelId })
+    ofType: (type, fields = {}) => actions.filter(action => action.type === type
+      && Object.entries(fields).every(([key, value]) => action[key] === value)),
+    // Simulate a gateway disconnect or reconnect
+    setGatewayStatus(status) {
+      client.ws.status = status;
+    },
+    reset() {
+      actions.length = 0;
+    },
+  };
+}
@@ -0,0 +1,140 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { once } from 'events';
+import { loadConfig } from '../../src/config.js';
+import { createBot } from '../../src/bot.js';
+import { startWebhookServer } from '../../src/server.js';
+import { createSignatureHeaders } from '../../src/webhookAuth.js';
+import { createFakeDiscord } from './fakeDiscord.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+// IDs of the fake guild used by every test
+export const IDS = {
+  guild: '100000000000000001',
+  listingChannel: '100000000000000010',
+  disputeChannel: '100000000000000015',
+  wosListingChannel: '100000000000000011',
+  wosDisputeChannel: '100000000000000012',
+  kingshotListingChannel: '100000000000000013',
+  kingshotDisputeChannel: '100000000000000014',
+  moderationChannel: '100000000000000016',
+  staffChannel: '100000000000000017',
+  wosPingRole: '100000000000000031',
+  staffRole: '100000000000000032',
+  escalationRole: '100000000000000033',
+  verifiedSellerRole: '100000000000000034',
+  buyer: '200000000000000001',
+  seller: '200000000000000002',
+  staff: '200000000000000003',
+  escalation: '200000000000000004',
+};
+
+export const WEBHOOK_SECRET = 'test-webhook-secret';
+export const ADMIN_TOKEN = 'test-admin-token';
+export const TRANSCRIPT_SECRET = 'test-transcript-secret';
+
+// Backend stand-in: records callbacks instead of calling Laravel
+export function createFakeBackend({ configured = false } = {}) {
+  const calls = [];
+  return {
+    calls,
+    isConfigured: () => configured,
+    get: async (url) => {
+      calls.push({ method: 'GET', url });
+      return null;
+    },
+    post: async (url, body) => {
+      calls.push({ method: 'POST', url, body });
+      return {};
+    },
+  };
+}
+
+// A bot wired to the fake Discord client and fake backend, with its webhook server listening
+// on a random local port. env entries override the test configuration.
+export async function createTestBot({ env = {}, backend = createFakeBackend() } = {}) {
+  const discord = createFakeDiscord();
+  discord.addGuild({
+    id: IDS.guild,
+    name: 'NXOLand',
+    roles: [
+      { id: IDS.wosPingRole, name: 'WOS Alerts' },
+      { id: IDS.staffRole, name: 'Staff', members: [IDS.staff] },
+      { id: IDS.escalationRole, name: 'Escalation', members: [IDS.escalation] },
+      { id: IDS.verifiedSellerRole, name: 'Verified Seller' },
+    ],
+    members: [IDS.buyer, IDS.seller],
+  });
+  for (const [key, id] of Object.entries(IDS)) {
+    if (key.endsWith('Channel')) discord.addChannel({ id, guildId: IDS.guild, name: key });
+  }
+
+  const config = loadConfig({
+    DISCORD_TOKEN: 'test-token',
+    WEBHOOK_SECRET,
+    ADMIN_API_TOKEN: ADMIN_TOKEN,
+    TRANSCRIPT_LINK_SECRET: TRANSCRIPT_SECRET,
+    FRONTEND_URL: 'https://nxoland.test',
+    DISCORD_GUILD_ID: IDS.guild,
+    DISCORD_LISTING_CHANNEL_ID: IDS.listingChannel,
+    DISCORD_DISPUTE_CHANNEL_ID: IDS.disputeChannel,
+    DISCORD_MODERATION_CHANNEL_ID: IDS.moderationChannel,
+    DISCORD_STAFF_CHANNEL_ID: IDS.staffChannel,
+    DISCORD_STAFF_ROLE_IDS: IDS.staffRole,
+    DISCORD_ESCALATION_ROLE_ID: IDS.escalationRole,
+    DISCORD_VERIFIED_SELLER_ROLE_ID: IDS.verifiedSellerRole,
+    CATEGORIES_FILE: path.join(FIXTURES, 'categories.json'),
+    TEMPLATES_FILE: path.join(FIXTURES, 'no-templates.json'),
+    GUILDS_FILE: path.join(FIXTURES, 'no-guilds.json'),
+    ...env,
+  });
+
+  const bot = await createBot({ client: discord.client, config, backend });
+  const webhookServer = startWebhookServer(bot, { port: 0, host: '127.0.0.1' });
+  const { server } = webhookServer;
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, urlPath, { body, headers = {} } = {}) {
+    const rawBody = body === undefined ? undefined : JSON.stringify(body);
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: { ...(rawBody && { 'Content-Type': 'application/json' }), ...headers },
+      body: rawBody,
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+    return { status: response.status, headers: response.headers, body: json, text };
+  }
+
+  // POST a body signed the way Laravel signs webhooks
+  function postSigned(urlPath, body, headers = {}) {
+    const rawBody = JSON.stringify(body);
+    return request('POST', urlPath, { body, headers: { ...createSignatureHeaders(WEBHOOK_SECRET, rawBody), ...headers } });
+  }
+
+  return {
+    bot,
+    discord,
+    backend,
+    config,
+    webhookServer,
+    request,
+    postSigned,
+    // Send a webhook event to /webhook
+    sendEvent: (eventType, data, extra = {}) => postSigned('/webhook', { event_type: eventType, data, ...extra }),
+    admin: (method, urlPath, body) => request(method, urlPath, { body, headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } }),
+    // Let 'delivered' listeners (thread archiving, message bookkeeping) finish
+    settle: () => new Promise(resolve => setTimeout(resolve, 10)),
+    async close() {
+      bot.stop();
+      if (server.listening) await webhookServer.close();
+    },
+  };
+}
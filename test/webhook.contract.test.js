@@ -0,0 +1,535 @@
+import './support/env.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChannelType } from 'discord.js';
+import { createTestBot, IDS } from './support/harness.js';
+import { SAMPLE_EVENTS, BUYER, SELLER, iso } from './fixtures/events.js';
+
+// Contract tests: replay the sample Laravel payloads through POST /webhook and assert on the
+// exact Discord messages the bot produces. Events build on each other (an update edits the
+// post the created event made), so each describe block runs in order against one bot.
+
+const LISTING_BUTTONS = (id, { ask = true } = {}) => [{
+  type: 1,
+  components: [
+    { type: 2, emoji: { name: '🔔', animated: false }, custom_id: `listing:watch:${id}`, label: 'Watch', style: 2 },
+    { type: 2, emoji: { name: '🚩', animated: false }, custom_id: `listing:report:${id}`, label: 'Report', style: 2 },
+    ...(ask ? [{ type: 2, emoji: { name: '💬', animated: false }, custom_id: `listing:ask:${id}`, label: 'Ask seller', style: 1 }] : []),
+  ],
+}];
+
+const ORDER_FIELDS = [
+  { name: '🏷️ Listing', value: iso('Level 30 account'), inline: false },
+  { name: '💰 Amount', value: '$150.00', inline: true },
+  { name: '🎮 Category', value: '❄️ Whiteout Survival', inline: true },
+];
+const ORDER_LINK = { name: '🔗 Order', value: '[View order on NXOLand](https://nxoland.test/orders/1001)', inline: false };
+
+let harness;
+
+before(async () => {
+  harness = await createTestBot();
+});
+
+after(async () => {
+  await harness.close();
+});
+
+// Send a sample event and return the response plus what reached Discord
+async function replay(eventType, data = SAMPLE_EVENTS[eventType]) {
+  harness.discord.reset();
+  const response = await harness.sendEvent(eventType, data);
+  await harness.settle();
+  return { response, actions: [...harness.discord.actions] };
+}
+
+describe('listing events', () => {
+  let messageId;
+
+  it('listing.created posts the listing embed with buttons and the category ping role', async () => {
+    const { response, actions } = await replay('listing.created');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.equal(actions.length, 1);
+    const [send] = actions;
+    assert.equal(send.type, 'send');
+    assert.equal(send.channelId, IDS.wosListingChannel);
+    assert.equal(send.payload.content, `<@&${IDS.wosPingRole}>`);
+    assert.deepEqual(send.payload.allowedMentions, { roles: [IDS.wosPingRole] });
+    assert.deepEqual(send.payload.embeds, [{
+      title: '🆕 New Listing Available!',
+      description: `**${iso('Level 30 account')}**`,
+      url: 'https://nxoland.test/product/42',
+      color: 0x5DADE2,
+      fields: [
+        { name: '💰 Price', value: '$150.00', inline: true },
+        { name: '📂 Category', value: '❄️ Whiteout Survival', inline: true },
+        { name: '📝 Description', value: iso('Furnace 30, 4 heroes at gold'), inline: false },
+        { name: '🔗 View Listing', value: '[Click here to view](https://nxoland.test/product/42)', inline: false },
+      ],
+      image: { url: 'https://cdn.nxoland.test/listings/42.png' },
+      footer: { text: 'NXOLand Marketplace' },
+      timestamp: '2026-01-05T09:30:00.000Z',
+    }]);
+    assert.deepEqual(send.payload.components, LISTING_BUTTONS(42));
+    messageId = send.messageId;
+  });
+
+  it('listing.updated edits the posted embed in place', async () => {
+    const { response, actions } = await replay('listing.updated');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(actions.map(({ type, channelId, messageId: id }) => ({ type, channelId, messageId: id })), [
+      { type: 'edit', channelId: IDS.wosListingChannel, messageId },
+    ]);
+    const [embed] = actions[0].payload.embeds;
+    assert.equal(embed.title, '🆕 New Listing Available!');
+    assert.deepEqual(embed.fields[0], { name: '💰 Price', value: '$120.50', inline: true });
+    // Unchanged fields come from the stored listing
+    assert.equal(embed.description, `**${iso('Level 30 account')}**`);
+    assert.equal(embed.image.url, 'https://cdn.nxoland.test/listings/42.png');
+  });
+
+  it('listing.status_changed marks a sold listing and removes the buttons', async () => {
+    const { response, actions } = await replay('listing.status_changed');
+
+    assert.equal(response.status, 200);
+    assert.equal(actions.length, 1);
+    assert.equal(actions[0].type, 'edit');
+    assert.equal(actions[0].messageId, messageId);
+    assert.deepEqual(actions[0].payload.components, []);
+    assert.deepEqual(actions[0].payload.embeds, [{
+      title: '🔴 SOLD',
+      description: `~~**${iso('Level 30 account')}**~~`,
+      url: 'https://nxoland.test/product/42',
+      color: 0xED4245,
+      fields: [
+        { name: '💰 Price', value: '~~$120.50~~', inline: true },
+        { name: '📂 Category', value: '❄️ Whiteout Survival', inline: true },
+        { name: '📝 Description', value: iso('Furnace 30, 4 heroes at gold'), inline: false },
+        { name: '🔗 View Listing', value: '[Click here to view](https://nxoland.test/product/42)', inline: false },
+      ],
+      image: { url: 'https://cdn.nxoland.test/listings/42.png' },
+      footer: { text: 'NXOLand Marketplace' },
+      timestamp: '2026-01-05T09:30:00.000Z',
+    }]);
+  });
+
+  it('forgets a listing post whose delete fails for good, so later updates skip it', async () => {
+    const deleting = await createTestBot({ env: { LISTING_RETIRE_MODE: 'delete' } });
+    try {
+      await deleting.sendEvent('listing.created', SAMPLE_EVENTS['listing.created']);
+      await deleting.settle();
+      const [{ messageId: postId }] = deleting.bot.listingMessages.get(42).messages;
+      // A moderator removed the post by hand
+      deleting.discord.channel(IDS.wosListingChannel).messageStore.delete(postId);
+
+      const retired = await deleting.sendEvent('listing.status_changed', SAMPLE_EVENTS['listing.status_changed']);
+      await deleting.settle();
+      assert.equal(retired.body.result.deliveries[0].status, 'failed');
+      assert.deepEqual(deleting.bot.listingMessages.get(42).messages, []);
+
+      deleting.discord.reset();
+      const updated = await deleting.sendEvent('listing.updated', SAMPLE_EVENTS['listing.updated']);
+      await deleting.settle();
+      assert.deepEqual(updated.body.result.deliveries, []);
+      assert.deepEqual(deleting.discord.actions, []);
+    } finally {
+      await deleting.close();
+    }
+  });
+
+  it('legacy /webhook/listing posts to the primary guild listing channel', async () => {
+    harness.discord.reset();
+    const response = await harness.postSigned('/webhook/listing', {
+      id: 43,
+      title: 'KingShot castle 25',
+      price: 80,
+      category: 'kingshot_accounts',
+      created_at: '2026-01-05T09:30:00Z',
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.sentTo, IDS.kingshotListingChannel);
+    assert.equal(response.body.delivery.status, 'delivered');
+    const [send] = harness.discord.actions;
+    assert.equal(send.channelId, IDS.kingshotListingChannel);
+    assert.deepEqual(send.payload.embeds, [{
+      title: '🆕 New Listing Available!',
+      description: `**${iso('KingShot castle 25')}**`,
+      url: 'https://nxoland.test/product/43',
+      color: 0xF1C40F,
+      fields: [
+        { name: '💰 Price', value: '$80.00', inline: true },
+        { name: '📂 Category', value: '👑 KingShot', inline: true },
+        { name: '🔗 View Listing', value: '[Click here to view](https://nxoland.test/product/43)', inline: false },
+      ],
+      footer: { text: 'NXOLand Marketplace' },
+      timestamp: '2026-01-05T09:30:00.000Z',
+    }]);
+    // No seller Discord ID, so no "Ask seller" button
+    assert.deepEqual(send.payload.components, LISTING_BUTTONS(43, { ask: false }));
+  });
+
+  it('legacy /webhook/listing rejects an invalid listing with 422', async () => {
+    const response = await harness.postSigned('/webhook/listing', { id: 44, price: -5 });
+
+    assert.equal(response.status, 422);
+    assert.equal(response.body.error, 'Invalid listing data');
+    assert.ok(response.body.errors.some(({ field }) => field === 'title'));
+  });
+});
+
+describe('dispute events', () => {
+  let threadId;
+
+  it('dispute.created opens a private thread with buyer, seller and staff', async () => {
+    const { response, actions } = await replay('dispute.created');
+
+    assert.equal(response.status, 200);
+    threadId = response.body.result.thread_id;
+    assert.deepEqual(response.body.result, {
+      thread_id: threadId,
+      channel_id: IDS.wosDisputeChannel,
+      guild_id: IDS.guild,
+      thread_url: `https://discord.com/channels/${IDS.guild}/${threadId}`,
+    });
+
+    assert.deepEqual(actions.slice(0, 4), [
+      {
+        type: 'thread.create',
+        channelId: IDS.wosDisputeChannel,
+        threadId,
+        name: 'Dispute #7 - Order #1001 (Whiteout Survival)',
+        threadType: ChannelType.PrivateThread,
+        reason: 'New dispute created - private communication between buyer and seller',
+      },
+      { type: 'thread.member.add', threadId, userId: BUYER, reason: 'Buyer added to dispute thread' },
+      { type: 'thread.member.add', threadId, userId: SELLER, reason: 'Seller added to dispute thread' },
+      { type: 'thread.member.add', threadId, userId: IDS.staff, reason: 'Staff added to dispute thread' },
+    ]);
+
+    const send = actions[4];
+    assert.equal(send.type, 'send');
+    assert.equal(send.channelId, threadId);
+    assert.ok(send.payload.content.startsWith(`<@${BUYER}> <@${SELLER}> <@&${IDS.staffRole}>\n\n`));
+    assert.deepEqual(send.payload.allowedMentions, { parse: [], users: [BUYER, SELLER], roles: [IDS.staffRole] });
+    assert.deepEqual(send.payload.embeds, [{
+      title: '⚠️ New Dispute Created',
+      description: '**Dispute #7**',
+      color: 0xFF6B6B,
+      fields: [
+        { name: '📦 Order ID', value: '#1001', inline: true },
+        { name: '👤 Initiated By', value: 'Buyer', inline: true },
+        { name: '📂 Category', value: '❄️ Whiteout Survival', inline: true },
+        { name: '📋 Reason', value: iso('Account details do not match'), inline: false },
+        { name: '📝 Description', value: iso('The furnace level is 28, not 30'), inline: false },
+        { name: '🆔 Buyer Discord', value: `<@${BUYER}>`, inline: true },
+        { name: '🆔 Seller Discord', value: `<@${SELLER}>`, inline: true },
+        { name: '📅 Opened', value: 'Jan 6, 2026, 12:00 PM', inline: true },
+      ],
+      footer: { text: 'NXOLand Dispute System' },
+      timestamp: '2026-01-06T12:00:00.000Z',
+    }]);
+  });
+
+  it('dispute.created retried after a partial attempt reuses the thread that was opened', async () => {
+    const event = { ...SAMPLE_EVENTS['dispute.created'], dispute_id: 10 };
+    const first = await replay('dispute.created', event);
+    // As if the intro had not been queued before the first attempt failed
+    harness.bot.disputeThreads.save(10, { introQueued: false });
+
+    const { response, actions } = await replay('dispute.created', event);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.result.thread_id, first.response.body.result.thread_id);
+    assert.equal(actions.filter(({ type }) => type === 'thread.create').length, 0);
+    const sends = actions.filter(({ type }) => type === 'send');
+    assert.equal(sends.length, 1);
+    assert.equal(sends[0].channelId, first.response.body.result.thread_id);
+
+    // Once the intro is queued, a repeated event changes nothing
+    assert.deepEqual((await replay('dispute.created', event)).actions, []);
+  });
+
+  it('dispute.updated posts the status change, brings in the escalation role and renames the thread', async () => {
+    const { response, actions } = await replay('dispute.updated');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.result.thread_id, threadId);
+    assert.deepEqual(actions[0].payload.embeds, [{
+      title: '🔄 Dispute Status Updated',
+      description: '**Dispute #7**',
+      color: 0xE67E22,
+      fields: [
+        { name: '⏮️ Previous Status', value: '🟢 Open', inline: true },
+        { name: '⏭️ New Status', value: '🚨 Escalated', inline: true },
+        { name: '📦 Order ID', value: '#1001', inline: true },
+        { name: '📝 Notes', value: iso('Escalated to senior staff'), inline: false },
+        { name: '👤 Updated By', value: iso('moderator'), inline: true },
+      ],
+      footer: { text: 'NXOLand Dispute System' },
+      timestamp: '2026-01-07T08:00:00.000Z',
+    }]);
+    assert.deepEqual(actions.slice(1).map(({ messageId, payload, ...action }) => ({ ...action, ...(payload && { payload }) })), [
+      { type: 'thread.member.add', threadId, userId: IDS.escalation, reason: 'Dispute #7 escalated' },
+      {
+        type: 'send',
+        channelId: threadId,
+        payload: { content: `<@&${IDS.escalationRole}>`, allowedMentions: { parse: [], roles: [IDS.escalationRole] } },
+      },
+      {
+        type: 'thread.edit',
+        threadId,
+        changes: { name: '[Escalated] Dispute #7 - Order #1001 (Whiteout Survival)' },
+        reason: 'Dispute status changed to escalated',
+      },
+    ]);
+  });
+
+  it('dispute.resolved posts the resolution, archives a transcript and locks the thread', async () => {
+    const { response, actions } = await replay('dispute.resolved');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.result.delivery.status, 'delivered');
+    assert.equal(response.body.result.transcript.message_count, 3);
+
+    const [send, close] = actions;
+    assert.equal(send.channelId, threadId);
+    assert.equal(send.payload.content, `<@${BUYER}> <@${SELLER}> <@&${IDS.staffRole}>\n\n✅ **Resolved: REFUND**`);
+    assert.deepEqual(send.payload.embeds, [{
+      title: '✅ Dispute Resolved',
+      description: '**Dispute #7** has been resolved',
+      color: 0x51CF66,
+      fields: [
+        { name: '📦 Order ID', value: '#1001', inline: true },
+        { name: '⚖️ Resolution', value: '✅ **Resolved: REFUND**', inline: false },
+        { name: '👤 Resolved By', value: iso('moderator'), inline: true },
+        { name: '📝 Resolution Notes', value: iso('Seller could not prove the furnace level'), inline: false },
+      ],
+      footer: { text: 'NXOLand Dispute System' },
+      timestamp: '2026-01-08T10:00:00.000Z',
+    }]);
+    assert.deepEqual(close, {
+      type: 'thread.edit',
+      threadId,
+      changes: { name: '[Resolved] Dispute #7 - Order #1001 (Whiteout Survival)', locked: true, archived: true },
+      reason: 'Dispute #7 resolved',
+    });
+    assert.equal(harness.bot.disputeThreads.get(7).status, 'resolved');
+  });
+
+  it('dispute.resolved without a thread posts to the dispute channel with the same mentions', async () => {
+    const { response, actions } = await replay('dispute.resolved', { ...SAMPLE_EVENTS['dispute.resolved'], dispute_id: 8 });
+
+    assert.equal(response.status, 200);
+    const [send] = actions;
+    assert.equal(send.channelId, IDS.wosDisputeChannel);
+    assert.equal(send.payload.content, `<@${BUYER}> <@${SELLER}> <@&${IDS.staffRole}>\n\n✅ **Resolved: REFUND**`);
+    assert.deepEqual(send.payload.allowedMentions, { parse: [], users: [BUYER, SELLER], roles: [IDS.staffRole] });
+  });
+
+  it('dispute.resolved for a dispute already resolved (e.g. with /dispute resolve) posts nothing', async () => {
+    const { response, actions } = await replay('dispute.resolved');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.result.already_resolved, true);
+    assert.deepEqual(actions, []);
+  });
+
+  it('dispute.updated after /dispute escalate made the same change posts nothing', async () => {
+    const created = await replay('dispute.created', { ...SAMPLE_EVENTS['dispute.created'], dispute_id: 9 });
+    const escalatedThread = created.response.body.result.thread_id;
+
+    harness.discord.reset();
+    const reply = await new Promise((resolve) => {
+      harness.discord.client.emit('interactionCreate', {
+        commandName: 'dispute',
+        channelId: escalatedThread,
+        guildId: IDS.guild,
+        user: { id: IDS.staff, username: 'staff', tag: 'staff' },
+        member: { roles: { cache: new Map([[IDS.staffRole, {}]]) } },
+        isAutocomplete: () => false,
+        isChatInputCommand: () => true,
+        options: { getSubcommand: () => 'escalate', getString: () => 'Seller stopped answering' },
+        deferReply: async () => {},
+        editReply: async (content) => resolve(content),
+      });
+    });
+    await harness.settle();
+    assert.equal(reply, '🚨 Dispute escalated.');
+    assert.equal(harness.discord.ofType('send', { channelId: escalatedThread }).length, 2);
+
+    // Laravel's own dispute.updated for the escalation (previous_status: open) follows
+    const { response, actions } = await replay('dispute.updated', { ...SAMPLE_EVENTS['dispute.updated'], dispute_id: 9 });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.result.unchanged, true);
+    assert.deepEqual(actions, []);
+  });
+});
+
+describe('order events', () => {
+  const dmsTo = (actions) => actions.filter(({ type }) => type === 'dm').map(({ userId }) => userId);
+
+  it('order.created DMs buyer and seller', async () => {
+    const { response, actions } = await replay('order.created');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(dmsTo(actions), [BUYER, SELLER]);
+    const expected = [{
+      title: '🛒 New Order',
+      description: '**Order #1001** was placed. The payment is held by NXOLand until the buyer confirms the delivery.',
+      url: 'https://nxoland.test/orders/1001',
+      color: 0x5865F2,
+      fields: [...ORDER_FIELDS, ORDER_LINK],
+      footer: { text: 'NXOLand Orders' },
+      timestamp: '2026-01-05T10:00:00.000Z',
+    }];
+    assert.deepEqual(actions[0].payload.embeds, expected);
+    assert.deepEqual(actions[1].payload.embeds, expected);
+  });
+
+  it('order.delivered DMs the buyer with the confirmation deadline, using the stored order', async () => {
+    const { actions } = await replay('order.delivered');
+
+    assert.deepEqual(dmsTo(actions), [BUYER]);
+    assert.deepEqual(actions[0].payload.embeds, [{
+      title: '📦 Order Delivered',
+      description: '**Order #1001**: the seller delivered the account details. Check them on NXOLand, then confirm receipt or open a dispute. Never share account details in Discord.',
+      url: 'https://nxoland.test/orders/1001',
+      color: 0xFEE75C,
+      fields: [
+        ...ORDER_FIELDS,
+        { name: '⏳ Confirm By', value: 'Jan 8, 2026, 11:00 AM', inline: true },
+        ORDER_LINK,
+      ],
+      footer: { text: 'NXOLand Orders' },
+      timestamp: '2026-01-05T11:00:00.000Z',
+    }]);
+  });
+
+  it('order.confirmed DMs the seller', async () => {
+    const { actions } = await replay('order.confirmed');
+
+    assert.deepEqual(dmsTo(actions), [SELLER]);
+    assert.deepEqual(actions[0].payload.embeds, [{
+      title: '✅ Buyer Confirmed Receipt',
+      description: '**Order #1001**: the buyer confirmed the delivery. Your payout will be released shortly.',
+      url: 'https://nxoland.test/orders/1001',
+      color: 0x57F287,
+      fields: [...ORDER_FIELDS, ORDER_LINK],
+      footer: { text: 'NXOLand Orders' },
+      timestamp: '2026-01-05T12:00:00.000Z',
+    }]);
+  });
+
+  it('order.auto_completed DMs buyer and seller', async () => {
+    const { actions } = await replay('order.auto_completed');
+
+    assert.deepEqual(dmsTo(actions), [BUYER, SELLER]);
+    assert.deepEqual(actions[0].payload.embeds, [{
+      title: '⏱️ Order Completed Automatically',
+      description: '**Order #1001** was completed automatically because the confirmation period ended without a dispute.',
+      url: 'https://nxoland.test/orders/1001',
+      color: 0x57F287,
+      fields: [...ORDER_FIELDS, ORDER_LINK],
+      footer: { text: 'NXOLand Orders' },
+      timestamp: '2026-01-08T11:00:00.000Z',
+    }]);
+  });
+
+  it('payout.released DMs the seller with fee and net amount', async () => {
+    const { actions } = await replay('payout.released');
+
+    assert.deepEqual(dmsTo(actions), [SELLER]);
+    assert.deepEqual(actions[0].payload.embeds, [{
+      title: '💸 Payout Released',
+      description: '**Order #1001**: your payout was released to your NXOLand balance.',
+      url: 'https://nxoland.test/orders/1001',
+      color: 0x51CF66,
+      fields: [
+        ...ORDER_FIELDS,
+        { name: '🧾 Fee', value: '$7.50', inline: true },
+        { name: '💸 You Receive', value: '$142.50', inline: true },
+        ORDER_LINK,
+      ],
+      footer: { text: 'NXOLand Orders' },
+      timestamp: '2026-01-05T13:00:00.000Z',
+    }]);
+  });
+});
+
+describe('account events', () => {
+  it('account.linked consumes the /link code, gives the Verified Seller role and confirms by DM', async () => {
+    const { code } = harness.bot.accountLinks.createCode(SELLER);
+    const { response, actions } = await replay('account.linked', { ...SAMPLE_EVENTS['account.linked'], code });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.result, { discord_id: SELLER, user_id: '501', verified_seller: true, roles_updated: [IDS.guild] });
+    assert.deepEqual(actions.map(({ messageId, ...action }) => action), [
+      { type: 'role.add', guildId: IDS.guild, userId: SELLER, roleId: IDS.verifiedSellerRole, reason: 'Linked NXOLand account is a verified seller' },
+      {
+        type: 'dm',
+        userId: SELLER,
+        payload: { content: `🔗 Your Discord account is now linked to your NXOLand account **${iso('seller_one')}**.\n✅ You have the Verified Seller role.` },
+      },
+    ]);
+  });
+
+  it('account.linked rejects an unknown code with 422', async () => {
+    const { response, actions } = await replay('account.linked', { ...SAMPLE_EVENTS['account.linked'], code: 'NOPE1234' });
+
+    assert.equal(response.status, 422);
+    assert.deepEqual(response.body.errors, [{ field: 'code', message: 'is unknown or expired' }]);
+    assert.deepEqual(actions, []);
+  });
+
+  it('account.unlinked removes the role and confirms by DM', async () => {
+    const { response, actions } = await replay('account.unlinked');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.result, { unlinked: true, discord_id: SELLER, user_id: '501' });
+    assert.deepEqual(actions.map(({ messageId, ...action }) => action), [
+      { type: 'role.remove', guildId: IDS.guild, userId: SELLER, roleId: IDS.verifiedSellerRole, reason: 'NXOLand account unlinked or no longer a verified seller' },
+      { type: 'dm', userId: SELLER, payload: { content: '🔗 Your Discord account is no longer linked to NXOLand.' } },
+    ]);
+  });
+});
+
+describe('webhook contract', () => {
+  it('has a sample payload for every registered event type', () => {
+    assert.deepEqual(harness.bot.eventHandlers.list().sort(), Object.keys(SAMPLE_EVENTS).sort());
+  });
+
+  it('rejects unsigned requests', async () => {
+    const response = await harness.request('POST', '/webhook', { body: { event_type: 'listing.created', data: SAMPLE_EVENTS['listing.created'] } });
+    assert.equal(response.status, 401);
+  });
+
+  it('rejects unknown event types with 400', async () => {
+    const response = await harness.sendEvent('listing.exploded', { listing_id: 1 });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Unknown event type: listing.exploded');
+  });
+
+  it('rejects payloads that fail the schema with 422 and sends nothing', async () => {
+    const { response, actions } = await replay('listing.created', { id: 99, price: 'free' });
+
+    assert.equal(response.status, 422);
+    assert.deepEqual(response.body.errors.map(({ field }) => field).sort(), ['price', 'title']);
+    assert.deepEqual(actions, []);
+  });
+
+  it('treats a retried event ID as a duplicate', async () => {
+    const data = { ...SAMPLE_EVENTS['listing.created'], id: 50 };
+    const first = await harness.sendEvent('listing.created', data, { event_id: 'evt-50' });
+    harness.discord.reset();
+    const retry = await harness.sendEvent('listing.created', data, { event_id: 'evt-50' });
+
+    assert.equal(first.status, 200);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.duplicate, true);
+    assert.deepEqual(retry.body.result, first.body.result);
+    assert.deepEqual(harness.discord.actions, []);
+  });
+});